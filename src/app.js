@@ -0,0 +1,139 @@
+const express = require("express");
+const cors = require("cors");
+const cookieParser = require("cookie-parser");
+const { getCollections } = require("./db");
+const { assertTimeZone } = require("./time");
+const { createIdTokenVerifier } = require("./firebase");
+const { createVerifyToken } = require("./middleware/auth");
+const {
+  assignRequestId,
+  logRequest,
+  logError,
+  handleError,
+  notFound,
+} = require("./middleware/requests");
+const { createSessionService } = require("./services/sessions");
+const { createAuditLog } = require("./services/audit");
+const { createSearchService } = require("./services/search");
+const { createRegistrationService } = require("./services/registrations");
+const { createCheckInService } = require("./services/checkin");
+const { createReceiptService } = require("./services/receipts");
+const { createPushService } = require("./services/push");
+const { createNotificationService } = require("./services/notifications");
+const { createStreamService } = require("./services/stream");
+const { createAttachmentService } = require("./services/attachments");
+const { createUploadService } = require("./services/uploads");
+const { createCommentService } = require("./services/comments");
+const { createClubService } = require("./services/clubs");
+const { createImportService } = require("./services/imports");
+const { createAuthRouter } = require("./routes/auth");
+const { createImportsRouter } = require("./routes/imports");
+const { createUsersRouter } = require("./routes/users");
+const { createRolesRouter } = require("./routes/roles");
+const { createAuditRouter } = require("./routes/audit");
+const { createReceiptsRouter } = require("./routes/receipts");
+const { createNotificationsRouter } = require("./routes/notifications");
+const { createPushRouter } = require("./routes/push");
+const { createStreamRouter } = require("./routes/stream");
+const { createNoticesRouter } = require("./routes/notices");
+const { createAttachmentsRouter } = require("./routes/attachments");
+const { createCommentsRouter } = require("./routes/comments");
+const { createClubsRouter } = require("./routes/clubs");
+const { createCalendarRouter } = require("./routes/calendar");
+const { createEventsRouter } = require("./routes/events");
+const { createRegistrationsRouter } = require("./routes/registrations");
+const { createCheckInRouter } = require("./routes/checkin");
+const { createSearchRouter } = require("./routes/search");
+const { createUploadsRouter } = require("./routes/uploads");
+
+// Builds the Express application around an already-connected MongoDB `db`,
+// an `images` store for uploaded images, a `files` store for private files
+// such as notice attachments, a `mailer` transport for emails and a `broker`
+// for live updates. Nothing here touches the network or
+// process.env, so tests can create as many apps as they like.
+const createApp = ({ db, images, files, mailer, broker, config }) => {
+  const app = express();
+  assertTimeZone(config.timezone);
+
+  const collections = getCollections(db);
+  const push = createPushService({ collections, config });
+  const context = {
+    collections,
+    config,
+    images,
+    sessions: createSessionService({ collections, config }),
+    audit: createAuditLog({ collections }),
+    search: createSearchService({ collections }),
+    registrations: createRegistrationService({ collections }),
+    checkIn: createCheckInService({ collections, config }),
+    receipts: createReceiptService({ collections }),
+    push,
+    notifications: createNotificationService({ collections, config, mailer, push }),
+    stream: createStreamService({ collections, config, broker }),
+    attachments: createAttachmentService({ collections, config, files }),
+    uploads: createUploadService({ collections, config, images }),
+    comments: createCommentService({ collections }),
+    clubs: createClubService({ collections, config }),
+    imports: createImportService({ collections, config }),
+    verifyIdToken: createIdTokenVerifier(config.firebase),
+  };
+  context.verifyToken = createVerifyToken(context);
+  context.identifyUser = createVerifyToken(context, { optional: true });
+
+  // req.ip, recorded in the audit log and on sessions, is taken from
+  // X-Forwarded-For only when the request came through a trusted proxy
+  app.set("trust proxy", config.trustProxy);
+
+  // Middlewares
+  app.use(assignRequestId);
+  app.use(
+    cors({
+      origin: config.corsOrigins,
+      credentials: true,
+      exposedHeaders: ["X-Request-Id"],
+    })
+  );
+  app.use(express.json());
+  app.use(cookieParser());
+
+  if (config.logRequests) {
+    app.use(logRequest);
+  }
+
+  // Root Route Handler
+  app.get("/", (req, res) => {
+    res.send("Hello World!");
+  });
+
+  app.use(createAuthRouter(context));
+  // Before the users router, whose /users/:email would swallow /users/imports
+  app.use(createImportsRouter(context));
+  app.use(createUsersRouter(context));
+  app.use(createRolesRouter(context));
+  app.use(createAuditRouter(context));
+  // Before the notices router, whose /notices/:id would swallow /notices/unread-count
+  app.use(createReceiptsRouter(context));
+  app.use(createNoticesRouter(context));
+  app.use(createAttachmentsRouter(context));
+  app.use(createNotificationsRouter(context));
+  app.use(createPushRouter(context));
+  // Before the events router, whose /events/:id would swallow /events/:id.ics
+  app.use(createCalendarRouter(context));
+  app.use(createEventsRouter(context));
+  app.use(createRegistrationsRouter(context));
+  app.use(createCheckInRouter(context));
+  app.use(createCommentsRouter(context));
+  app.use(createClubsRouter(context));
+  app.use(createSearchRouter(context));
+  app.use(createUploadsRouter(context));
+  app.use(createStreamRouter(context));
+
+  // Registered last so they see every route above
+  app.use(notFound);
+  app.use(logError);
+  app.use(handleError);
+
+  return app;
+};
+
+module.exports = { createApp };
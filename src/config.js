@@ -0,0 +1,134 @@
+// Reads TRUST_PROXY: a hop count, "true", or the addresses/subnets of the
+// proxies in front of the app (e.g. "loopback, 10.0.0.0/8"); unset or
+// "false" trusts none
+const parseTrustProxy = (value) => {
+  if (!value || value === "false") {
+    return false;
+  }
+  if (value === "true") {
+    return true;
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+// Builds the application config from environment variables. createApp() takes
+// the resulting object, so tests can pass their own values instead.
+const loadConfig = (env = process.env) => ({
+  port: env.PORT || 5000,
+  nodeEnv: env.NODE_ENV || "development",
+  mongodbUri: env.MONGODB_URI,
+  databaseName: env.MONGODB_DB || "LuPulse",
+  jwtSecret: env.JWT_SECRET,
+  corsOrigins: env.CORS_ORIGINS
+    ? env.CORS_ORIGINS.split(",").map((origin) => origin.trim())
+    : ["http://localhost:5173", "https://lupulse1.netlify.app"],
+  logRequests: env.LOG_REQUESTS !== "false",
+  // Express "trust proxy" setting: which proxies' X-Forwarded-For to believe
+  trustProxy: parseTrustProxy(env.TRUST_PROXY),
+  // Zone in which event dates and times are entered and calendars are shown
+  timezone: env.EVENT_TIMEZONE || "Asia/Dhaka",
+  // Public base URL of this API, used in links such as calendar feed URLs;
+  // defaults to the host of the incoming request
+  publicUrl: env.PUBLIC_URL ? env.PUBLIC_URL.replace(/\/+$/, "") : null,
+  // Public URL of the web app, used for links in emails
+  appUrl: (env.APP_URL || "https://lupulse1.netlify.app").replace(/\/+$/, ""),
+  firebase: {
+    projectId: env.FIREBASE_PROJECT_ID,
+    publicKeys: env.FIREBASE_PUBLIC_KEYS ? JSON.parse(env.FIREBASE_PUBLIC_KEYS) : null,
+    certsUrl:
+      env.FIREBASE_CERTS_URL ||
+      "https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com",
+  },
+  checkIn: {
+    privateKey: env.CHECKIN_PRIVATE_KEY || null,
+  },
+  mail: {
+    // "smtp" in production; "file" writes each email to `directory` as JSON
+    // and "console" logs it instead
+    transport: env.MAIL_TRANSPORT || "console",
+    from: env.MAIL_FROM || "LuPulse <no-reply@lupulse.app>",
+    directory: env.MAIL_DIRECTORY || "mail",
+    smtp: {
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === "true",
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+    },
+  },
+  notifications: {
+    maxAttempts: 5,
+    retryDelayMs: 60 * 1000,
+    batchSize: 50,
+    pollIntervalMs: Number(env.EMAIL_POLL_INTERVAL_MS) || 30 * 1000,
+  },
+  webPush: {
+    // Generate a pair with `npm run vapid-keys`. Without one, a pair is
+    // generated on first use and stored in the database.
+    publicKey: env.VAPID_PUBLIC_KEY || null,
+    privateKey: env.VAPID_PRIVATE_KEY || null,
+    // Contact for push services, as a mailto: or https: URL
+    subject: env.VAPID_SUBJECT || "mailto:no-reply@lupulse.app",
+    // How long push services keep trying to deliver a message
+    ttlSeconds: 24 * 60 * 60,
+    // Push services subscriptions may point at ("*." covers subdomains):
+    // Chrome (FCM), Firefox (autopush), Edge (WNS) and Safari. Any other
+    // endpoint is refused, so the server cannot be made to send requests to
+    // internal addresses.
+    endpointHosts: [
+      "fcm.googleapis.com",
+      "updates.push.services.mozilla.com",
+      "*.notify.windows.com",
+      "*.push.apple.com",
+    ],
+    allowInsecureEndpoints: false,
+  },
+  images: {
+    maxBytes: 5 * 1024 * 1024,
+    // Largest width and height, in pixels
+    maxDimension: 8000,
+    // Uploaded images nothing refers to are deleted once this old
+    orphanGraceMs: 24 * 60 * 60 * 1000,
+    reapIntervalMs: 60 * 60 * 1000,
+  },
+  attachments: {
+    maxBytes: 10 * 1024 * 1024,
+    maxPerNotice: 10,
+    // How long a download link stays valid
+    linkTtlSeconds: 5 * 60,
+  },
+  imports: {
+    // Largest roster CSV accepted for a user import
+    maxBytes: 5 * 1024 * 1024,
+    // Rosters with more rows than this are imported in the background
+    inlineRows: 500,
+    // Users written to the database per bulk write
+    batchSize: 500,
+    // A background import that has not finished a batch for this long, for
+    // example because the server restarted, is marked failed
+    staleAfterMs: 15 * 60 * 1000,
+    reapIntervalMs: 60 * 1000,
+  },
+  files: {
+    // Where uploaded images and private files such as notice attachments
+    // are kept: "cloudinary" in production, or "disk" to keep them in
+    // `directory`
+    driver: env.FILE_STORAGE || "cloudinary",
+    directory: env.FILE_DIRECTORY || "uploads",
+  },
+  stream: {
+    // "memory" for a single instance; "mongodb" shares live updates between
+    // instances through a change stream (requires a replica set)
+    broker: env.STREAM_BROKER || "memory",
+    heartbeatMs: 25 * 1000,
+    announceIntervalMs: 15 * 1000,
+  },
+  cloudinary: {
+    cloudName: env.CLOUD_NAME,
+    apiKey: env.CLOUD_API_KEY,
+    apiSecret: env.CLOUD_API_SECRET,
+    folder: "LuPulse",
+  },
+});
+
+module.exports = { loadConfig };
@@ -0,0 +1,136 @@
+const { BUILT_IN_ROLES } = require("./permissions");
+const { runMigrations } = require("./migrations");
+const { NOTICE_TEXT_FIELDS, EVENT_TEXT_FIELDS } = require("./services/search");
+
+// Emails are stored as users typed them, so lookups by email compare them
+// with this collation, which ignores case; the Users email index uses it too
+const EMAIL_COLLATION = { locale: "en", strength: 2 };
+
+// Whether two emails are the same under EMAIL_COLLATION
+const sameEmail = (a, b) => a.localeCompare(b, "en", { sensitivity: "accent" }) === 0;
+
+// A text index over every key of `weights`
+const textIndex = (weights) =>
+  Object.fromEntries(Object.keys(weights).map((field) => [field, "text"]));
+
+// Database & Collections
+const getCollections = (db) => ({
+  eventsCollection: db.collection("Events"),
+  noticeCollection: db.collection("Notices"),
+  userCollection: db.collection("Users"),
+  sessionCollection: db.collection("Sessions"),
+  roleCollection: db.collection("Roles"),
+  auditCollection: db.collection("AuditLog"),
+  registrationCollection: db.collection("Registrations"),
+  receiptCollection: db.collection("NoticeReceipts"),
+  uploadCollection: db.collection("Uploads"),
+  commentCollection: db.collection("Comments"),
+  reactionCollection: db.collection("Reactions"),
+  clubCollection: db.collection("Clubs"),
+  userImportCollection: db.collection("UserImports"),
+  userImportRowCollection: db.collection("UserImportRows"),
+  notificationQueueCollection: db.collection("NotificationQueue"),
+  pushSubscriptionCollection: db.collection("PushSubscriptions"),
+  settingCollection: db.collection("Settings"),
+  streamEventCollection: db.collection("StreamEvents"),
+  streamStateCollection: db.collection("StreamState"),
+});
+
+// Creates indexes, seeds (or resets) the built-in roles and applies pending
+// migrations. Safe to run on every startup.
+const prepareDatabase = async (db, config, options) => {
+  const {
+    sessionCollection,
+    roleCollection,
+    auditCollection,
+    noticeCollection,
+    eventsCollection,
+    registrationCollection,
+    receiptCollection,
+    uploadCollection,
+    commentCollection,
+    reactionCollection,
+    clubCollection,
+    userImportCollection,
+    userImportRowCollection,
+    notificationQueueCollection,
+    pushSubscriptionCollection,
+    streamEventCollection,
+    userCollection,
+  } = getCollections(db);
+
+  // Expired sessions are purged by MongoDB's TTL monitor
+  await sessionCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await sessionCollection.createIndex({ email: 1 });
+  await roleCollection.createIndex({ name: 1 }, { unique: true });
+  await auditCollection.createIndex({ timestamp: -1 });
+  await auditCollection.createIndex({ actor: 1, timestamp: -1 });
+  await auditCollection.createIndex({ targetType: 1, targetId: 1 });
+  await noticeCollection.createIndex(textIndex(NOTICE_TEXT_FIELDS), {
+    name: "notice_text",
+    weights: NOTICE_TEXT_FIELDS,
+  });
+  await eventsCollection.createIndex(textIndex(EVENT_TEXT_FIELDS), {
+    name: "event_text",
+    weights: EVENT_TEXT_FIELDS,
+  });
+  await registrationCollection.createIndex({ eventId: 1, email: 1 }, { unique: true });
+  await registrationCollection.createIndex({ eventId: 1, status: 1, waitlistedAt: 1 });
+  await registrationCollection.createIndex({ email: 1 });
+  await registrationCollection.createIndex({ eventId: 1, checkedInAt: 1 });
+  await eventsCollection.createIndex({ startsAt: 1 });
+  await noticeCollection.createIndex({ pinned: -1, publishAt: -1 });
+  await receiptCollection.createIndex({ noticeId: 1, email: 1 }, { unique: true });
+  await receiptCollection.createIndex({ email: 1 });
+  await userCollection.createIndex({ calendarTokenHash: 1 }, { sparse: true });
+  await uploadCollection.createIndex({ createdAt: 1 });
+  await uploadCollection.createIndex({ url: 1 });
+  // The reaper looks up uploaded images by URL
+  await userCollection.createIndex({ image: 1 });
+  await noticeCollection.createIndex({ image: 1 });
+  await eventsCollection.createIndex({ image: 1 });
+  await eventsCollection.createIndex({ "overrides.image": 1 });
+  await clubCollection.createIndex({ image: 1 });
+  await commentCollection.createIndex({ targetType: 1, targetId: 1, parentId: 1, createdAt: 1 });
+  await commentCollection.createIndex({ parentId: 1, createdAt: 1 });
+  await reactionCollection.createIndex({ targetType: 1, targetId: 1, email: 1, emoji: 1 }, { unique: true });
+  await clubCollection.createIndex({ name: 1 }, { unique: true, collation: { locale: "en", strength: 2 } });
+  await userCollection.createIndex({ "clubs.clubId": 1, "clubs.status": 1 });
+  await eventsCollection.createIndex({ club: 1, startsAt: 1 });
+  await noticeCollection.createIndex({ club: 1, publishAt: -1 });
+  // Roster imports match users by email and check their university ids
+  await userCollection.createIndex({ email: 1 }, { name: "email_ci", collation: EMAIL_COLLATION });
+  await userCollection.createIndex({ id: 1 });
+  await userImportCollection.createIndex({ createdAt: -1 });
+  await userImportRowCollection.createIndex({ importId: 1, row: 1 }, { unique: true });
+  await notificationQueueCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+  // At most one waiting message per notice and recipient
+  await notificationQueueCollection.createIndex(
+    { noticeId: 1, channel: 1, to: 1, endpoint: 1 },
+    { unique: true, partialFilterExpression: { status: "pending" } }
+  );
+  await pushSubscriptionCollection.createIndex({ endpoint: 1 }, { unique: true });
+  await pushSubscriptionCollection.createIndex({ email: 1 });
+  // Live updates can be resumed for a day
+  await streamEventCollection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+  for (const [name, role] of Object.entries(BUILT_IN_ROLES)) {
+    await roleCollection.updateOne(
+      { name },
+      {
+        $set: {
+          description: role.description,
+          permissions: role.permissions,
+          department: null,
+          builtIn: true,
+        },
+        $setOnInsert: { createdAt: new Date() },
+      },
+      { upsert: true }
+    );
+  }
+
+  await runMigrations(db, config, options);
+};
+
+module.exports = { EMAIL_COLLATION, sameEmail, getCollections, prepareDatabase };
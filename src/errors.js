@@ -0,0 +1,69 @@
+const { ObjectId } = require("mongodb");
+
+// Application Errors
+// Route handlers throw these; the terminal error handler turns them into
+// { message, code, requestId } responses.
+class AppError extends Error {
+  constructor(message, status = 500, code = "INTERNAL_ERROR") {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, errors) {
+    super(message, 400, "VALIDATION_ERROR");
+    this.errors = errors;
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message) {
+    super(message, 401, "UNAUTHORIZED");
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message) {
+    super(message, 403, "FORBIDDEN");
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message) {
+    super(message, 404, "NOT_FOUND");
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message) {
+    super(message, 409, "CONFLICT");
+  }
+}
+
+// Lets Express 4 route async handler rejections to the error handler
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+// Converts a path parameter to an ObjectId, rejecting malformed ids with a 400
+const parseObjectId = (id) => {
+  if (typeof id !== "string" || !/^[0-9a-fA-F]{24}$/.test(id)) {
+    throw new ValidationError("Validation Error: The provided id is not a valid identifier.", [
+      { field: "id", message: "must be a 24-character hex string" },
+    ]);
+  }
+  return new ObjectId(id);
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  asyncHandler,
+  parseObjectId,
+};
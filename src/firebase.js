@@ -0,0 +1,69 @@
+const jwt = require("jsonwebtoken");
+
+// Firebase ID Token Verification
+// Returns a verifier bound to one Firebase project. `publicKeys` (a key id ->
+// PEM map) skips Google's published certificates, so a locally generated key
+// pair can stand in for Firebase during development and tests.
+const createIdTokenVerifier = ({ projectId, publicKeys, certsUrl }) => {
+  let cachedKeys = null;
+  let cachedKeysExpireAt = 0;
+
+  // Resolves the key id -> PEM map used to check ID token signatures
+  const getPublicKeys = async () => {
+    if (publicKeys) {
+      return publicKeys;
+    }
+
+    if (cachedKeys && Date.now() < cachedKeysExpireAt) {
+      return cachedKeys;
+    }
+
+    const response = await fetch(certsUrl);
+    if (!response.ok) {
+      throw new Error(`Unable to fetch Firebase public keys (HTTP ${response.status})`);
+    }
+
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get("cache-control") || "");
+    cachedKeys = await response.json();
+    cachedKeysExpireAt = Date.now() + (maxAge ? Number(maxAge[1]) : 3600) * 1000;
+
+    return cachedKeys;
+  };
+
+  // Verifies a Firebase ID token and returns the identity it asserts. Signature,
+  // audience, issuer and expiry failures surface as jwt.JsonWebTokenError.
+  return async (idToken) => {
+    if (!projectId) {
+      throw new Error("FIREBASE_PROJECT_ID is not configured");
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header.kid) {
+      throw new jwt.JsonWebTokenError("ID token is malformed");
+    }
+
+    const keys = await getPublicKeys();
+    const publicKey = keys[decoded.header.kid];
+    if (!publicKey) {
+      throw new jwt.JsonWebTokenError("ID token is signed with an unknown key");
+    }
+
+    const claims = jwt.verify(idToken, publicKey, {
+      algorithms: ["RS256"],
+      audience: projectId,
+      issuer: `https://securetoken.google.com/${projectId}`,
+    });
+
+    if (!claims.sub || !claims.email) {
+      throw new jwt.JsonWebTokenError("ID token is missing the subject or email claim");
+    }
+
+    return {
+      uid: claims.sub,
+      email: claims.email,
+      emailVerified: claims.email_verified === true,
+    };
+  };
+};
+
+module.exports = { createIdTokenVerifier };
@@ -0,0 +1,267 @@
+const { buildOccurrence } = require("./recurrence");
+const { parseDate, timeZoneOffset, toEventTimestamps, zonedParts } = require("./time");
+
+// iCalendar (RFC 5545) output for events and dated notices
+
+const PRODUCT_ID = "-//Leading University//LuPulse//EN";
+const UID_DOMAIN = "lupulse";
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Folds a content line to at most 75 octets, never splitting a character
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+      limit = 74; // continuation lines start with a space
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+};
+
+// 20260701T030000Z
+const formatUtc = (instant) =>
+  `${instant.getUTCFullYear()}${pad(instant.getUTCMonth() + 1)}${pad(instant.getUTCDate())}` +
+  `T${pad(instant.getUTCHours())}${pad(instant.getUTCMinutes())}${pad(instant.getUTCSeconds())}Z`;
+
+// 20260701T090000, as shown on clocks in `timeZone`
+const formatLocal = (instant, timeZone) => {
+  const parts = zonedParts(instant, timeZone);
+  return `${parts.year}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hours)}${pad(parts.minutes)}${pad(parts.seconds)}`;
+};
+
+const formatDateValue = ({ year, month, day }) => `${year}${pad(month)}${pad(day)}`;
+
+// +0600, -0430
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? "-" : "+";
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+};
+
+// Offset changes of `timeZone` in [start, end), found by sampling daily and
+// narrowing each change down to the minute
+const findTransitions = (timeZone, start, end) => {
+  const day = 24 * 60 * 60 * 1000;
+  const transitions = [];
+  let previous = start.getTime();
+  let previousOffset = timeZoneOffset(start, timeZone);
+
+  for (let time = previous + day; time < end.getTime() + day; time += day) {
+    const offset = timeZoneOffset(new Date(time), timeZone);
+
+    if (offset !== previousOffset) {
+      let low = previous;
+      let high = time;
+      while (high - low > 60 * 1000) {
+        const middle = low + Math.floor((high - low) / 2 / 60000) * 60000;
+        if (timeZoneOffset(new Date(middle), timeZone) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ at: new Date(high), from: previousOffset, to: offset });
+    }
+
+    previous = time;
+    previousOffset = offset;
+  }
+
+  return transitions;
+};
+
+// VTIMEZONE for `timeZone`, covering the given years with one observance per
+// offset change (or a single fixed-offset observance, as for Asia/Dhaka)
+const buildTimeZone = (timeZone, years) => {
+  const first = Math.min(...years);
+  const last = Math.max(...years);
+  const start = new Date(Date.UTC(first, 0, 1));
+  const transitions = findTransitions(timeZone, start, new Date(Date.UTC(last + 1, 0, 1)));
+  const initialOffset = timeZoneOffset(start, timeZone);
+  const standardOffset = Math.min(initialOffset, ...transitions.map((transition) => transition.to));
+
+  const observance = (dtstart, from, to) => [
+    `BEGIN:${to > standardOffset ? "DAYLIGHT" : "STANDARD"}`,
+    `DTSTART:${dtstart}`,
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+    `END:${to > standardOffset ? "DAYLIGHT" : "STANDARD"}`,
+  ];
+
+  return [
+    "BEGIN:VTIMEZONE",
+    `TZID:${timeZone}`,
+    ...observance(`${first}0101T000000`, initialOffset, initialOffset),
+    ...transitions.flatMap((transition) =>
+      observance(
+        formatUtc(new Date(transition.at.getTime() + transition.from * 60000)).slice(0, -1),
+        transition.from,
+        transition.to
+      )
+    ),
+    "END:VTIMEZONE",
+  ];
+};
+
+// FREQ=WEEKLY;INTERVAL=2;UNTIL=20261231T040000Z. UNTIL is the start of the
+// last allowed occurrence, in UTC as RFC 5545 requires with a TZID start.
+const formatRule = (event) => {
+  const { frequency, interval, until, count } = event.recurrence;
+  const parts = [`FREQ=${frequency.toUpperCase()}`, `INTERVAL=${interval || 1}`];
+
+  if (until) {
+    const { startsAt } = toEventTimestamps({ date: until, time: event.time }, event.timezone);
+    parts.push(`UNTIL=${formatUtc(startsAt)}`);
+  }
+  if (count) {
+    parts.push(`COUNT=${count}`);
+  }
+  return parts.join(";");
+};
+
+// Start of the occurrence the rule places on `key`, as a local date-time
+const occurrenceStart = (event, key) =>
+  formatLocal(toEventTimestamps({ date: key, time: event.time }, event.timezone).startsAt, event.timezone);
+
+// A VEVENT for an event, a series (with its rule and cancelled dates) or,
+// given `occurrence`, one changed occurrence of a series
+const eventComponent = (event, now, occurrence = null) => {
+  const timeZone = event.timezone;
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:event-${event._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(event.updatedAt || event.createdAt || now)}`,
+    `DTSTART;TZID=${timeZone}:${formatLocal(event.startsAt, timeZone)}`,
+  ];
+
+  if (event.endsAt) {
+    lines.push(`DTEND;TZID=${timeZone}:${formatLocal(event.endsAt, timeZone)}`);
+  }
+  if (occurrence) {
+    lines.push(`RECURRENCE-ID;TZID=${timeZone}:${occurrence}`);
+  } else if (event.recurrence) {
+    lines.push(`RRULE:${formatRule(event)}`);
+    if (event.exceptions?.length) {
+      lines.push(`EXDATE;TZID=${timeZone}:${event.exceptions.map((key) => occurrenceStart(event, key)).join(",")}`);
+    }
+  }
+  lines.push(`SUMMARY:${escapeText(event.name)}`);
+  if (event.venue) {
+    lines.push(`LOCATION:${escapeText(event.venue)}`);
+  }
+  if (event.details) {
+    lines.push(`DESCRIPTION:${escapeText(event.details)}`);
+  }
+  if (event.department) {
+    lines.push(`CATEGORIES:${escapeText(event.department)}`);
+  }
+  lines.push("END:VEVENT");
+
+  return lines;
+};
+
+// Notices become all-day entries on their date
+const noticeComponent = (notice, day, now) => {
+  const nextDay = new Date(Date.UTC(day.year, day.month - 1, day.day + 1));
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:notice-${notice._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(notice.updatedAt || notice.createdAt || now)}`,
+    `DTSTART;VALUE=DATE:${formatDateValue(day)}`,
+    `DTEND;VALUE=DATE:${formatDateValue({
+      year: nextDay.getUTCFullYear(),
+      month: nextDay.getUTCMonth() + 1,
+      day: nextDay.getUTCDate(),
+    })}`,
+    `SUMMARY:${escapeText(notice.title)}`,
+    ...(notice.description ? [`DESCRIPTION:${escapeText(notice.description)}`] : []),
+    ...(notice.category ? [`CATEGORIES:${escapeText(notice.category)}`] : []),
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ];
+};
+
+// A complete VCALENDAR. Events without a `startsAt` and notices without a
+// readable `date` are left out; events without their own `timezone` are
+// shown in `timeZone`.
+const buildCalendar = ({ name, timeZone, events = [], notices = [] }) => {
+  const now = new Date();
+  const scheduled = events
+    .filter((event) => event.startsAt)
+    .map((event) => ({ ...event, timezone: event.timezone || timeZone }));
+
+  // Changed occurrences of series are listed as their own VEVENTs
+  const modified = scheduled.flatMap((event) =>
+    (event.recurrence ? event.overrides || [] : [])
+      .filter((override) => !(event.exceptions || []).includes(override.occurrence))
+      .map((override) => ({
+        occurrence: buildOccurrence(event, override.occurrence),
+        recurrenceId: occurrenceStart(event, override.occurrence),
+      }))
+      .filter(({ occurrence }) => occurrence.startsAt)
+  );
+
+  const yearsByZone = new Map();
+  for (const event of [...scheduled, ...modified.map(({ occurrence }) => occurrence)]) {
+    const years = yearsByZone.get(event.timezone) || [];
+    const startYear = zonedParts(event.startsAt, event.timezone).year;
+    years.push(startYear);
+    if (event.endsAt) {
+      years.push(zonedParts(event.endsAt, event.timezone).year);
+    }
+    // Series need the zone's rules for as long as they run; open-ended
+    // ones get a few years, which calendar apps extend from the last rule
+    if (event.recurrence && !event.occurrence) {
+      years.push(event.lastOccurrence ? Number(event.lastOccurrence.slice(0, 4)) : startYear + 2);
+    }
+    yearsByZone.set(event.timezone, years);
+  }
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    ...[...yearsByZone].flatMap(([zone, years]) => buildTimeZone(zone, years)),
+    ...scheduled.flatMap((event) => eventComponent(event, now)),
+    ...modified.flatMap(({ occurrence, recurrenceId }) => eventComponent(occurrence, now, recurrenceId)),
+    ...notices.flatMap((notice) => {
+      const day = parseDate(notice.date);
+      return day ? noticeComponent(notice, day, now) : [];
+    }),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = { escapeText, foldLine, buildCalendar };
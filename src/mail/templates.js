@@ -0,0 +1,45 @@
+const { escapeHtml } = require("../utils");
+
+const SUBJECT_PREFIXES = {
+  created: "New notice",
+  updated: "Notice updated",
+};
+
+// The email telling `user` about a notice that was published ("created") or
+// changed ("updated"). `links` holds the absolute `notice` and `unsubscribe`
+// URLs.
+const renderNoticeEmail = ({ notice, kind, user, links }) => {
+  const subject = `${SUBJECT_PREFIXES[kind]}: ${notice.title}`;
+  const greeting = `Hello ${user.fullName || user.email},`;
+  const intro =
+    kind === "created"
+      ? `A new ${notice.category} notice has been published on LuPulse.`
+      : `A ${notice.category} notice on LuPulse has been updated.`;
+  const footer = "You are receiving this because you are in the notice's audience.";
+
+  const text = [
+    greeting,
+    "",
+    intro,
+    "",
+    notice.title,
+    notice.description,
+    "",
+    `Read it on LuPulse: ${links.notice}`,
+    "",
+    `${footer} To stop these emails, visit ${links.unsubscribe}`,
+  ].join("\n");
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    `<p>${escapeHtml(intro)}</p>`,
+    `<h2>${escapeHtml(notice.title)}</h2>`,
+    `<p>${escapeHtml(notice.description).replace(/\n/g, "<br>")}</p>`,
+    `<p><a href="${escapeHtml(links.notice)}">Read it on LuPulse</a></p>`,
+    `<p><small>${escapeHtml(footer)} <a href="${escapeHtml(links.unsubscribe)}">Unsubscribe</a></small></p>`,
+  ].join("\n");
+
+  return { subject, text, html };
+};
+
+module.exports = { renderNoticeEmail };
@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// Mail transports. Each one sends a message { from, to, subject, text, html,
+// headers } and resolves to { messageId }; failures reject, and the
+// notification queue retries them.
+
+// Sends through an SMTP server (production)
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+// Writes each message to `directory` as a JSON file instead of sending it
+// (development and tests)
+const createFileTransport = ({ directory }) => ({
+  send: async (message) => {
+    const messageId = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(
+      path.join(directory, `${messageId}.json`),
+      JSON.stringify({ ...message, messageId, sentAt: new Date() }, null, 2)
+    );
+    return { messageId };
+  },
+});
+
+// Logs each message's envelope instead of sending it
+const createConsoleTransport = ({ log = console.log } = {}) => ({
+  send: async (message) => {
+    const messageId = crypto.randomUUID();
+    log(`Mail ${messageId} to ${message.to}: ${message.subject}`);
+    return { messageId };
+  },
+});
+
+// The transport named by `config.transport`: "smtp", "file" or "console"
+const createMailTransport = (config) => {
+  switch (config.transport) {
+    case "smtp":
+      return createSmtpTransport(config.smtp);
+    case "file":
+      return createFileTransport({ directory: config.directory });
+    case "console":
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${config.transport}`);
+  }
+};
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createMailTransport,
+};
@@ -0,0 +1,88 @@
+const jwt = require("jsonwebtoken");
+const { ObjectId } = require("mongodb");
+const {
+  asyncHandler,
+  AppError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../errors");
+const { resolveGrants } = require("../permissions");
+
+// The req.user shape for a stored user: their role, department, grants and
+// the clubs they are an active member of ({ clubId, role })
+const loadRequestUser = async ({ roleCollection }, user) => {
+  const adminRole = user.adminRole || "user";
+  const role = await roleCollection.findOne({ name: adminRole });
+
+  return {
+    email: user.email,
+    adminRole,
+    userType: user.userType,
+    department: user.department,
+    grants: role ? resolveGrants(role.permissions, user) : [],
+    clubs: (user.clubs || [])
+      .filter((membership) => membership.status === "active")
+      .map(({ clubId, role: clubRole }) => ({ clubId, role: clubRole })),
+  };
+};
+
+// Middleware to verify the JWT cookie and the session it is bound to. On
+// success req.user carries the account's role, department and grants, and
+// the `sessionId` of the login.
+// With `optional`, requests without a valid login pass through anonymously
+// instead of being rejected.
+const createVerifyToken = ({ collections, config }, { optional = false } = {}) => {
+  const { sessionCollection, userCollection } = collections;
+
+  const authenticate = async (req) => {
+    const token = req.cookies.token;
+
+    if (!token) {
+      throw new UnauthorizedError("Unauthorized: Please log in to access this resource.");
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.jwtSecret);
+    } catch (error) {
+      if (error instanceof jwt.TokenExpiredError) {
+        throw new UnauthorizedError("Unauthorized: Your access token has expired. Please refresh your session.");
+      }
+      throw new ForbiddenError("Forbidden: Invalid or expired token. Please log in again.");
+    }
+
+    const session = ObjectId.isValid(decoded.sid)
+      ? await sessionCollection.findOne({
+          _id: new ObjectId(decoded.sid),
+          revokedAt: null,
+        })
+      : null;
+
+    if (!session) {
+      throw new UnauthorizedError("Unauthorized: Your session has ended. Please log in again.");
+    }
+
+    const user = await userCollection.findOne({ email: decoded.email });
+
+    if (!user) {
+      throw new NotFoundError("User not found: The account associated with this token does not exist.");
+    }
+
+    return { ...(await loadRequestUser(collections, user)), sessionId: session._id };
+  };
+
+  return asyncHandler(async (req, res, next) => {
+    try {
+      req.user = await authenticate(req);
+    } catch (error) {
+      if (!optional || !(error instanceof AppError) || error.status >= 500) {
+        throw error;
+      }
+    }
+
+    next();
+  });
+};
+
+module.exports = { loadRequestUser, createVerifyToken };
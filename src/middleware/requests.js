@@ -0,0 +1,79 @@
+const crypto = require("crypto");
+const {
+  AppError,
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+} = require("../errors");
+
+// Request ID Middleware - honours an upstream X-Request-Id
+const assignRequestId = (req, res, next) => {
+  const upstreamId = req.get("x-request-id");
+  req.id = upstreamId && /^[\w.-]{1,100}$/.test(upstreamId) ? upstreamId : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+// Logging Middleware
+const logRequest = (req, res, next) => {
+  console.log(`[${new Date().toISOString()}] [${req.id}] ${req.method} ${req.url}`);
+  next();
+};
+
+// Maps errors thrown outside our own AppError hierarchy onto it
+const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+  if (error.type === "entity.parse.failed") {
+    return new ValidationError("Validation Error: The request body is not valid JSON.");
+  }
+  if (error.name === "MulterError") {
+    return new ValidationError(`Validation Error: ${error.message}${error.field ? ` (${error.field})` : ""}.`);
+  }
+  if (error.name === "BSONError") {
+    return new ValidationError("Validation Error: The provided id is not a valid identifier.");
+  }
+  if (error.code === 11000) {
+    return new ConflictError("Conflict: A record with the same unique value already exists.");
+  }
+  return new AppError("Internal Server Error: Something went wrong. Please try again later.");
+};
+
+const logError = (error, req, res, next) => {
+  const appError = toAppError(error);
+  if (appError.status >= 500) {
+    console.error(`[${new Date().toISOString()}] [${req.id}] Error: ${error.stack || error.message}`);
+  }
+  next(error);
+};
+
+// Terminal error handler: the only place error responses are written
+const handleError = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const appError = toAppError(error);
+  const body = { message: appError.message, code: appError.code, requestId: req.id };
+
+  if (appError.errors) {
+    body.errors = appError.errors;
+  }
+
+  res.status(appError.status).json(body);
+};
+
+// Answers requests that matched no route
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Not found: No route matches ${req.method} ${req.path}.`));
+};
+
+module.exports = {
+  assignRequestId,
+  logRequest,
+  toAppError,
+  logError,
+  handleError,
+  notFound,
+};
@@ -0,0 +1,35 @@
+const { parseDate, toEventTimestamps } = require("../time");
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// Gives events created before schedules were normalised a real `startsAt` /
+// `endsAt`, a `timezone`, and a YYYY-MM-DD `date`. Events whose date or time
+// cannot be understood keep their strings and get a null `startsAt`.
+const up = async (db, { timezone }) => {
+  const eventsCollection = db.collection("Events");
+  const unparseable = [];
+  let updated = 0;
+
+  for await (const event of eventsCollection.find({ startsAt: { $exists: false } })) {
+    const eventTimezone = event.timezone || timezone;
+    const { startsAt, endsAt } = toEventTimestamps(event, eventTimezone);
+    const day = parseDate(event.date);
+    const update = { startsAt, endsAt, endTime: event.endTime ?? null, timezone: eventTimezone };
+
+    if (day) {
+      update.date = `${day.year}-${pad(day.month)}-${pad(day.day)}`;
+    }
+
+    await eventsCollection.updateOne({ _id: event._id }, { $set: update });
+
+    if (startsAt) {
+      updated += 1;
+    } else {
+      unparseable.push(event._id);
+    }
+  }
+
+  return { updated, unparseable };
+};
+
+module.exports = { name: "2026-10-event-timestamps", up };
@@ -0,0 +1,40 @@
+// Data migrations, applied in order and at most once each. Every migration
+// exports a unique `name` and an async `up(db, config)` returning a summary
+// that is stored alongside it in the Migrations collection.
+const MIGRATIONS = [
+  require("./event-timestamps"),
+  require("./notice-publication"),
+];
+
+// Runs every migration not yet recorded. A migration is claimed before it
+// runs, so app instances starting together never apply one twice; a failed
+// migration is released again and retried on the next startup.
+const runMigrations = async (db, config, { log = console.log } = {}) => {
+  const migrationCollection = db.collection("Migrations");
+  await migrationCollection.createIndex({ name: 1 }, { unique: true });
+
+  for (const migration of MIGRATIONS) {
+    try {
+      await migrationCollection.insertOne({ name: migration.name, startedAt: new Date() });
+    } catch (error) {
+      if (error.code === 11000) {
+        continue;
+      }
+      throw error;
+    }
+
+    try {
+      const result = await migration.up(db, config);
+      await migrationCollection.updateOne(
+        { name: migration.name },
+        { $set: { appliedAt: new Date(), result } }
+      );
+      log(`Applied migration ${migration.name}: ${JSON.stringify(result)}`);
+    } catch (error) {
+      await migrationCollection.deleteOne({ name: migration.name });
+      throw error;
+    }
+  }
+};
+
+module.exports = { MIGRATIONS, runMigrations };
@@ -0,0 +1,24 @@
+// Gives notices created before scheduling existed a `publishAt` (when they
+// were created), no expiry and no pin, so they sort among newer notices.
+const up = async (db) => {
+  const noticeCollection = db.collection("Notices");
+  let updated = 0;
+
+  for await (const notice of noticeCollection.find({ publishAt: { $exists: false } })) {
+    await noticeCollection.updateOne(
+      { _id: notice._id },
+      {
+        $set: {
+          publishAt: notice.createdAt || notice._id.getTimestamp(),
+          expiresAt: notice.expiresAt ?? null,
+          pinned: notice.pinned ?? false,
+        },
+      }
+    );
+    updated += 1;
+  }
+
+  return { updated };
+};
+
+module.exports = { name: "2026-10-notice-publication", up };
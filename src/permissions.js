@@ -0,0 +1,265 @@
+const { ForbiddenError } = require("./errors");
+const { noticeStatus, noticeStatusQuery } = require("./publication");
+
+// Every permission a role may grant. A grant is either a bare permission
+// ("notices:write"), which applies to all departments, or one scoped to a
+// single department ("notices:write@CSE").
+const PERMISSIONS = [
+  "users:read",
+  "users:update",
+  "users:delete",
+  "users:promote",
+  "users:import",
+  "sessions:revoke",
+  "roles:manage",
+  "audit:read",
+  "notices:read-all",
+  "notices:write",
+  "notices:delete",
+  "notices:receipts",
+  "events:write",
+  "events:delete",
+  "events:attendees",
+  "events:checkin",
+  "comments:moderate",
+  "clubs:manage",
+];
+
+// Built-in roles are re-seeded on every startup and cannot be changed through
+// the API. "*" grants every permission; an "@own" scope stands for the
+// department of whoever holds the role.
+const BUILT_IN_ROLES = {
+  user: {
+    description: "Regular member with no administrative permissions.",
+    permissions: [],
+  },
+  admin: {
+    description: "Manages users, notices and events.",
+    permissions: [
+      "users:read",
+      "users:update",
+      "users:delete",
+      "sessions:revoke",
+      "notices:read-all",
+      "notices:write@own",
+      "notices:delete@own",
+      "notices:receipts@own",
+      "events:write@own",
+      "events:delete@own",
+      "events:attendees@own",
+      "events:checkin@own",
+      "comments:moderate@own",
+      "clubs:manage@own",
+    ],
+  },
+  superadmin: {
+    description: "Full access, including role management.",
+    permissions: ["*"],
+  },
+};
+
+// Roles within a club, most senior first. Presidents and moderators manage
+// the club's events and notices with CLUB_PERMISSIONS.
+const CLUB_ROLES = ["president", "moderator", "member"];
+const CLUB_MANAGER_ROLES = ["president", "moderator"];
+
+// What club managers may do with their own club's events and notices,
+// whatever their role
+const CLUB_PERMISSIONS = [
+  "notices:write",
+  "notices:delete",
+  "notices:receipts",
+  "events:write",
+  "events:delete",
+  "events:attendees",
+  "events:checkin",
+  "comments:moderate",
+];
+
+const parseGrant = (grant) => {
+  const [permission, department = null] = grant.split("@");
+  return { permission, department };
+};
+
+// Parses a role's grants for one user, resolving "@own" to their department.
+// Without a department, "@own" grants confer nothing.
+const resolveGrants = (permissions, user) =>
+  permissions
+    .map(parseGrant)
+    .filter((grant) => grant.department !== "own" || user.department)
+    .map((grant) =>
+      grant.department === "own" ? { ...grant, department: user.department } : grant
+    );
+
+// Human-readable department list for error messages
+const describeDepartments = (departments) =>
+  [].concat(departments ?? []).join(", ") || "unassigned";
+
+// True when the user holds `permission`. When `departments` (a department or
+// array of departments) is given, the grant must also cover every one of them.
+const hasPermission = (user, permission, departments) => {
+  const required = departments === undefined ? [] : [].concat(departments);
+
+  return user.grants.some(
+    (grant) =>
+      (grant.permission === "*" || grant.permission === permission) &&
+      (departments === undefined ||
+        grant.department === null ||
+        required.every((department) => department === grant.department))
+  );
+};
+
+// True when the user holds `permission` for every department.
+const hasGlobalPermission = (user, permission) =>
+  user.grants.some(
+    (grant) =>
+      (grant.permission === "*" || grant.permission === permission) &&
+      grant.department === null
+  );
+
+// Departments in which the user holds `permission` through a scoped grant only.
+const scopedDepartments = (user, permission) =>
+  user.grants
+    .filter(
+      (grant) =>
+        grant.department !== null &&
+        (grant.permission === "*" || grant.permission === permission)
+    )
+    .map((grant) => grant.department);
+
+// Ids of the clubs the user is an active member of, limited to those where
+// they hold one of `roles`
+const clubIds = (user, roles = CLUB_ROLES) =>
+  (user.clubs || []).filter((membership) => roles.includes(membership.role)).map((membership) => membership.clubId);
+
+// True when the user is president or moderator of the club with `clubId`
+const managesClub = (user, clubId) =>
+  Boolean(clubId) && clubIds(user, CLUB_MANAGER_ROLES).some((id) => id.equals(clubId));
+
+// True when the user may use `permission` on `item`, an event or notice:
+// through a grant covering its department, or as a manager of its club.
+const canManage = (user, permission, item) =>
+  hasPermission(user, permission, item.department ?? null) ||
+  (CLUB_PERMISSIONS.includes(permission) && managesClub(user, item.club));
+
+// Query matching the notices whose publication state a user may see: live
+// notices for everyone, and drafts, scheduled and expired notices too in
+// the departments and clubs the user can write notices for.
+const noticePublicationQuery = (user, now = new Date()) => {
+  if (hasGlobalPermission(user, "notices:write")) {
+    return {};
+  }
+
+  const departments = scopedDepartments(user, "notices:write");
+  const clubs = clubIds(user, CLUB_MANAGER_ROLES);
+  const editable = [
+    ...(departments.length > 0 ? [{ department: { $in: departments } }] : []),
+    ...(clubs.length > 0 ? [{ club: { $in: clubs } }] : []),
+  ];
+  const live = noticeStatusQuery("live", now);
+
+  return editable.length > 0 ? { $or: [live, ...editable] } : live;
+};
+
+// Query matching the notices a user may see: everything with a global
+// "notices:read-all" grant, otherwise notices for their audience or
+// department plus those of any department they hold a scoped grant for,
+// and the club-only notices of their clubs. Either way, unpublished notices
+// follow noticePublicationQuery().
+const noticeVisibilityQuery = (user, now = new Date()) => {
+  const clauses = [noticePublicationQuery(user, now)];
+
+  if (!hasGlobalPermission(user, "notices:read-all")) {
+    clauses.push({
+      $or: [
+        { club: null, targetAudience: { $in: ["All", user.userType] } },
+        {
+          club: null,
+          department: {
+            $in: [user.department, ...scopedDepartments(user, "notices:read-all")],
+          },
+        },
+        { club: { $in: clubIds(user) } },
+      ],
+    });
+  }
+
+  const restrictions = clauses.filter((clause) => Object.keys(clause).length > 0);
+  return restrictions.length > 0 ? { $and: restrictions } : {};
+};
+
+// True when noticeVisibilityQuery(user) matches `notice`; for checking a
+// notice that is not (or no longer) in the database
+const canViewNotice = (user, notice, now = new Date()) => {
+  const departments = [].concat(notice.department ?? []);
+  const inDepartments = (candidates) => candidates.some((department) => departments.includes(department));
+
+  const published =
+    hasGlobalPermission(user, "notices:write") ||
+    noticeStatus(notice, now) === "live" ||
+    inDepartments(scopedDepartments(user, "notices:write")) ||
+    managesClub(user, notice.club);
+
+  const inAudience = notice.club
+    ? clubIds(user).some((id) => id.equals(notice.club))
+    : ["All", user.userType].includes(notice.targetAudience) ||
+      inDepartments([user.department, ...scopedDepartments(user, "notices:read-all")]);
+
+  return published && (hasGlobalPermission(user, "notices:read-all") || inAudience);
+};
+
+// Query over Users matching everyone a notice is addressed to under the
+// audience rules of noticeVisibilityQuery(): its target audience, plus every
+// member of its departments; or for a club-only notice, the club's members.
+const noticeAudienceQuery = (notice) => {
+  if (notice.club) {
+    return { clubs: { $elemMatch: { clubId: notice.club, status: "active" } } };
+  }
+  if (notice.targetAudience === "All") {
+    return {};
+  }
+
+  return {
+    $or: [
+      { userType: notice.targetAudience },
+      { department: { $in: [].concat(notice.department ?? []) } },
+    ],
+  };
+};
+
+// Middleware to require a permission (in any department) from the role of
+// the logged-in user. With `clubs`, managing any club will do for the
+// permissions club managers hold. Handlers that act on department- or
+// club-owned content check the owner itself with hasPermission() or
+// canManage().
+const requirePermission = (permission, { clubs = false } = {}) => (req, res, next) => {
+  const managesAnyClub =
+    clubs && CLUB_PERMISSIONS.includes(permission) && req.user && clubIds(req.user, CLUB_MANAGER_ROLES).length > 0;
+
+  if (!req.user || !(hasPermission(req.user, permission) || managesAnyClub)) {
+    throw new ForbiddenError("Forbidden: You do not have permission to access this resource.");
+  }
+  next();
+};
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  CLUB_ROLES,
+  CLUB_MANAGER_ROLES,
+  CLUB_PERMISSIONS,
+  parseGrant,
+  resolveGrants,
+  describeDepartments,
+  hasPermission,
+  hasGlobalPermission,
+  scopedDepartments,
+  clubIds,
+  managesClub,
+  canManage,
+  noticePublicationQuery,
+  noticeVisibilityQuery,
+  canViewNotice,
+  noticeAudienceQuery,
+  requirePermission,
+};
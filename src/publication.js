@@ -0,0 +1,37 @@
+// Notice scheduling. A notice with a null `publishAt` is a draft; otherwise
+// it is scheduled until `publishAt`, then live until `expiresAt` (if set).
+// Notices written before scheduling existed have no `publishAt` at all and
+// count as published.
+
+const NOTICE_STATUSES = ["draft", "scheduled", "live", "expired"];
+
+const noticeStatus = (notice, now = new Date()) => {
+  if (notice.publishAt === null) {
+    return "draft";
+  }
+  if (notice.publishAt > now) {
+    return "scheduled";
+  }
+  if (notice.expiresAt && notice.expiresAt <= now) {
+    return "expired";
+  }
+  return "live";
+};
+
+// Query matching the notices with `status` at `now`
+const noticeStatusQuery = (status, now = new Date()) => {
+  const published = { $or: [{ publishAt: { $exists: false } }, { publishAt: { $lte: now } }] };
+
+  switch (status) {
+    case "draft":
+      return { publishAt: { $type: "null" } };
+    case "scheduled":
+      return { publishAt: { $gt: now } };
+    case "expired":
+      return { $and: [published, { expiresAt: { $lte: now } }] };
+    default:
+      return { $and: [published, { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }] };
+  }
+};
+
+module.exports = { NOTICE_STATUSES, noticeStatus, noticeStatusQuery };
@@ -0,0 +1,52 @@
+const webPush = require("web-push");
+
+// How long to wait for a push service to answer
+const PUSH_TIMEOUT_MS = 10 * 1000;
+
+// A push service answered with an error status. 404 and 410 mean the
+// subscription has expired or was removed and should be forgotten.
+class PushServiceError extends Error {
+  constructor(statusCode, body) {
+    super(`Push service responded ${statusCode}${body ? `: ${body}` : ""}`);
+    this.name = "PushServiceError";
+    this.statusCode = statusCode;
+    this.expired = statusCode === 404 || statusCode === 410;
+  }
+}
+
+// Generates a VAPID key pair: { publicKey, privateKey }, base64url-encoded
+const generateVapidKeys = () => webPush.generateVAPIDKeys();
+
+// Sends `payload` (JSON) to a subscription ({ endpoint, keys: { p256dh,
+// auth } }), encrypted for it (RFC 8291) and signed with the `vapid` keys
+// and subject (RFC 8292). A push message with the same `topic` replaces one
+// the push service has not delivered yet.
+const sendPushMessage = async ({ subscription, payload, vapid, ttlSeconds, topic }) => {
+  const { endpoint, method, headers, body } = webPush.generateRequestDetails(
+    subscription,
+    JSON.stringify(payload),
+    {
+      vapidDetails: vapid,
+      TTL: ttlSeconds,
+      topic,
+      contentEncoding: "aes128gcm",
+    }
+  );
+
+  // Push services answer directly; following a redirect could lead the
+  // request anywhere
+  const response = await fetch(endpoint, {
+    method,
+    headers,
+    body,
+    redirect: "error",
+    signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new PushServiceError(response.status, (await response.text()).slice(0, 200));
+  }
+  return { statusCode: response.status };
+};
+
+module.exports = { PushServiceError, generateVapidKeys, sendPushMessage };
@@ -0,0 +1,214 @@
+const { parseDate, toEventTimestamps } = require("./time");
+
+// Recurring events. A series is one Events document with a `recurrence`
+// rule; its occurrences are identified by the date they fall on under that
+// rule ("2026-07-08"), even after an override moves one to another day.
+//
+//   recurrence: { frequency, interval, until, count }
+//   exceptions: ["2026-07-15"]                        cancelled occurrences
+//   overrides:  [{ occurrence: "2026-07-22", ... }]   changed occurrences
+//   lastOccurrence: "2026-08-26"                      null while unbounded
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+
+// Fields of a single occurrence that an override can change
+const OCCURRENCE_FIELDS = ["name", "date", "time", "endTime", "venue", "details", "image"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDay = (instant) => instant.toISOString().slice(0, 10);
+
+// "2026-07-08" moved by `days` days
+const addDays = (key, days) => formatDay(new Date(Date.parse(key) + days * DAY_MS));
+
+// Dates of a series' occurrences under its rule, in order. Monthly series
+// skip months without their day (no 31 April), as RFC 5545 does. Without
+// `until` or `count` this never ends, so callers must stop iterating.
+function* seriesDates({ date, recurrence }) {
+  const start = parseDate(date);
+  if (!start) {
+    return;
+  }
+  if (!recurrence) {
+    yield formatDay(new Date(Date.UTC(start.year, start.month - 1, start.day)));
+    return;
+  }
+
+  const { frequency, interval = 1, until, count } = recurrence;
+  const stepDays = frequency === "weekly" ? 7 * interval : interval;
+  let produced = 0;
+
+  for (let step = 0; ; step += 1) {
+    const candidate =
+      frequency === "monthly"
+        ? new Date(Date.UTC(start.year, start.month - 1 + step * interval, start.day))
+        : new Date(Date.UTC(start.year, start.month - 1, start.day + step * stepDays));
+
+    if (frequency === "monthly" && candidate.getUTCDate() !== start.day) {
+      continue;
+    }
+
+    const key = formatDay(candidate);
+    if (until && key > until) {
+      return;
+    }
+
+    yield key;
+    produced += 1;
+    if (count && produced >= count) {
+      return;
+    }
+  }
+}
+
+// Whether `key` is a date the series' rule produces (cancelled or not),
+// worked out without walking an unbounded series up to it
+const isSeriesDate = (event, key) => {
+  const [first] = seriesDates(event);
+  const { recurrence } = event;
+
+  if (!first || key < first || (recurrence?.until && key > recurrence.until)) {
+    return false;
+  }
+  if (!recurrence) {
+    return key === first;
+  }
+  if (recurrence.count) {
+    return [...seriesDates(event)].includes(key);
+  }
+
+  const interval = recurrence.interval || 1;
+  if (recurrence.frequency === "monthly") {
+    const months = (Number(key.slice(0, 4)) - Number(first.slice(0, 4))) * 12 +
+      Number(key.slice(5, 7)) - Number(first.slice(5, 7));
+    return key.slice(8) === first.slice(8) && months % interval === 0;
+  }
+
+  const days = Math.round((Date.parse(key) - Date.parse(first)) / DAY_MS);
+  return days % (recurrence.frequency === "weekly" ? 7 * interval : interval) === 0;
+};
+
+// Number of occurrences the rule produces before `key`
+const countBefore = (event, key) => {
+  let total = 0;
+  for (const date of seriesDates(event)) {
+    if (date >= key) {
+      break;
+    }
+    total += 1;
+  }
+  return total;
+};
+
+// Last date an occurrence of the series can fall on, or null when the rule
+// never ends. Overrides may move occurrences past the rule's last date.
+const lastOccurrenceOf = (event) => {
+  if (event.recurrence && !event.recurrence.until && !event.recurrence.count) {
+    return null;
+  }
+
+  let last = null;
+  for (const date of seriesDates(event)) {
+    last = date;
+  }
+  for (const override of event.overrides || []) {
+    const moved = parseDate(override.date) && override.date.slice(0, 10);
+    if (moved && (!last || moved > last)) {
+      last = moved;
+    }
+  }
+  return last;
+};
+
+const pickOccurrenceFields = (source) =>
+  Object.fromEntries(
+    OCCURRENCE_FIELDS.filter((field) => source[field] !== undefined).map((field) => [field, source[field]])
+  );
+
+// One occurrence as a standalone event: the series' fields, any override,
+// and real timestamps for the occurrence's own date and time.
+const buildOccurrence = (event, key) => {
+  const { exceptions, overrides, ...series } = event;
+  const override = (overrides || []).find((entry) => entry.occurrence === key);
+  const fields = {
+    ...series,
+    date: key,
+    ...(override ? pickOccurrenceFields(override) : {}),
+  };
+
+  return {
+    ...fields,
+    ...toEventTimestamps(fields, event.timezone),
+    occurrence: key,
+    isModified: Boolean(override),
+  };
+};
+
+// Occurrences of a series (or the single event) falling between `from` and
+// `to` (inclusive YYYY-MM-DD dates), skipping cancelled ones. Occurrences
+// moved by an override count on the day they were moved to.
+const expandOccurrences = (event, from, to) => {
+  if (!event.recurrence) {
+    return [{ ...event, occurrence: null, isModified: false }];
+  }
+
+  const exceptions = new Set(event.exceptions || []);
+  const overridden = new Set((event.overrides || []).map((override) => override.occurrence));
+  const keys = [];
+
+  for (const key of seriesDates(event)) {
+    if (key > to) {
+      break;
+    }
+    if (key >= from && !exceptions.has(key) && !overridden.has(key)) {
+      keys.push(key);
+    }
+  }
+  for (const override of event.overrides || []) {
+    const date = override.date.slice(0, 10);
+    if (date >= from && date <= to && !exceptions.has(override.occurrence)) {
+      keys.push(override.occurrence);
+    }
+  }
+
+  return keys.map((key) => buildOccurrence(event, key));
+};
+
+// Drops exceptions and overrides whose occurrence the (changed) rule no
+// longer produces
+const keepMatchingOccurrences = (event) => ({
+  exceptions: (event.exceptions || []).filter((key) => event.recurrence && isSeriesDate(event, key)),
+  overrides: (event.overrides || []).filter(
+    (override) => event.recurrence && isSeriesDate(event, override.occurrence)
+  ),
+});
+
+// The series fields that end it just before occurrence `key`
+const truncateSeries = (event, key) => {
+  const truncated = {
+    ...event,
+    recurrence: { ...event.recurrence, until: addDays(key, -1), count: null },
+  };
+  const kept = keepMatchingOccurrences(truncated);
+
+  return {
+    recurrence: truncated.recurrence,
+    ...kept,
+    lastOccurrence: lastOccurrenceOf({ ...truncated, ...kept }),
+  };
+};
+
+module.exports = {
+  FREQUENCIES,
+  OCCURRENCE_FIELDS,
+  addDays,
+  seriesDates,
+  isSeriesDate,
+  countBefore,
+  lastOccurrenceOf,
+  buildOccurrence,
+  pickOccurrenceFields,
+  expandOccurrences,
+  keepMatchingOccurrences,
+  truncateSeries,
+};
@@ -0,0 +1,134 @@
+const express = require("express");
+const multer = require("multer");
+const {
+  asyncHandler,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  parseObjectId,
+} = require("../errors");
+const {
+  describeDepartments,
+  canManage,
+  canViewNotice,
+  noticePublicationQuery,
+  requirePermission,
+} = require("../permissions");
+
+// Notice Attachment Routes. Files are uploaded as multipart/form-data under
+// the field name "files" and downloaded through signed links, which carry
+// their own authorisation.
+const createAttachmentsRouter = ({ collections, config, verifyToken, audit, stream, attachments }) => {
+  const router = express.Router();
+  const { noticeCollection } = collections;
+  const { recordAudit } = audit;
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.attachments.maxBytes, files: config.attachments.maxPerNotice },
+  });
+
+  // The notice with the given id, if the caller may change its attachments
+  const findEditableNotice = async (req) => {
+    const notice = await noticeCollection.findOne({ _id: parseObjectId(req.params.id) });
+
+    if (!notice) {
+      throw new NotFoundError("Notice not found: The requested notice does not exist.");
+    }
+    if (!canManage(req.user, "notices:write", notice)) {
+      throw new ForbiddenError(`Forbidden: You can only edit notices for departments or clubs you manage (${describeDepartments(notice.department)}).`);
+    }
+
+    return notice;
+  };
+
+  // Records an attachment change like any other edit of the notice
+  const recordChange = async (req, action, before) => {
+    const after = await noticeCollection.findOne({ _id: before._id });
+    await recordAudit(req, { action, targetType: "notice", targetId: before._id, before, after });
+    await stream.publish({ type: "notice.updated", targetId: before._id, before, after });
+  };
+
+  // API to Attach Files to a Notice
+  router.post(
+    "/notices/:id/attachments",
+    verifyToken,
+    requirePermission("notices:write", { clubs: true }),
+    upload.array("files"),
+    asyncHandler(async (req, res) => {
+      if (!req.files || req.files.length === 0) {
+        throw new ValidationError("Validation Error: No file uploaded.");
+      }
+
+      const notice = await findEditableNotice(req);
+      const added = await attachments.addAttachments(notice, req.files, req.user.email);
+      await recordChange(req, "notice.attach", notice);
+
+      res.status(201).json({
+        message: `${added.length} ${added.length === 1 ? "file" : "files"} attached to the notice.`,
+        attachments: added,
+      });
+    })
+  );
+
+  // API to Remove an Attachment from a Notice
+  router.delete(
+    "/notices/:id/attachments/:attachmentId",
+    verifyToken,
+    requirePermission("notices:write", { clubs: true }),
+    asyncHandler(async (req, res) => {
+      const attachmentId = parseObjectId(req.params.attachmentId);
+      const notice = await findEditableNotice(req);
+
+      if (!(await attachments.removeAttachment(notice, attachmentId))) {
+        throw new NotFoundError("Attachment not found: The notice has no such attachment.");
+      }
+      await recordChange(req, "notice.detach", notice);
+
+      res.status(200).json({ message: "Attachment removed from the notice." });
+    })
+  );
+
+  // API to Get a Short-Lived Download Link for an Attachment. Anyone who may
+  // open the notice may download its attachments.
+  router.get("/notices/:id/attachments/:attachmentId/link", verifyToken, asyncHandler(async (req, res) => {
+    const attachmentId = parseObjectId(req.params.attachmentId);
+    const notice = await noticeCollection.findOne({
+      _id: parseObjectId(req.params.id),
+      ...noticePublicationQuery(req.user),
+    });
+
+    // Club-only notices are for the club's members
+    if (!notice || (notice.club && !canViewNotice(req.user, notice))) {
+      throw new NotFoundError("Notice not found: The requested notice does not exist.");
+    }
+
+    const attachment = (notice.attachments || []).find((entry) => entry._id.equals(attachmentId));
+    if (!attachment) {
+      throw new NotFoundError("Attachment not found: The notice has no such attachment.");
+    }
+
+    const baseUrl = config.publicUrl || `${req.protocol}://${req.get("host")}`;
+    res.status(200).json(attachments.createDownloadLink(notice, attachment, baseUrl));
+  }));
+
+  // API to Download an Attachment through a Signed Link
+  router.get("/attachments/:attachmentId", asyncHandler(async (req, res) => {
+    const download = await attachments.openDownloadLink(req.params.attachmentId, req.query.token);
+
+    if (!download) {
+      throw new UnauthorizedError("Unauthorized: The download link is invalid or has expired.");
+    }
+
+    res
+      .status(200)
+      .attachment(download.attachment.name)
+      .type(download.attachment.contentType)
+      .set({ "Cache-Control": "private, no-store", "X-Content-Type-Options": "nosniff" })
+      .send(download.contents);
+  }));
+
+  return router;
+};
+
+module.exports = { createAttachmentsRouter };
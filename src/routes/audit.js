@@ -0,0 +1,94 @@
+const express = require("express");
+const { asyncHandler, ValidationError } = require("../errors");
+const { requirePermission } = require("../permissions");
+const { toCsvRow } = require("../utils");
+
+// Audit Log Routes
+const createAuditRouter = ({ collections, verifyToken }) => {
+  const router = express.Router();
+  const { auditCollection } = collections;
+
+  // API to Query the Audit Log (JSON, or CSV with ?format=csv)
+  router.get("/audit", verifyToken, requirePermission("audit:read"), asyncHandler(async (req, res) => {
+    const { actor, action, targetType, targetId, from, to, format } = req.query;
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 500) {
+      throw new ValidationError("Validation Error: page must be a positive integer and limit between 1 and 500.");
+    }
+
+    const query = {};
+
+    if (typeof actor === "string" && actor) query.actor = actor;
+    if (typeof action === "string" && action) query.action = action;
+    if (typeof targetType === "string" && targetType) query.targetType = targetType;
+    if (typeof targetId === "string" && targetId) query.targetId = targetId;
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        throw new ValidationError("Validation Error: from and to must be valid ISO 8601 dates.");
+      }
+
+      query.timestamp = {};
+      if (fromDate) query.timestamp.$gte = fromDate;
+      if (toDate) query.timestamp.$lte = toDate;
+    }
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`
+      );
+      res.write(
+        toCsvRow(["timestamp", "actor", "actorRole", "action", "targetType", "targetId", "ip", "changes"])
+      );
+
+      const cursor = auditCollection.find(query).sort({ timestamp: -1 });
+      for await (const entry of cursor) {
+        res.write(
+          toCsvRow([
+            entry.timestamp.toISOString(),
+            entry.actor,
+            entry.actorRole,
+            entry.action,
+            entry.targetType,
+            entry.targetId,
+            entry.ip,
+            JSON.stringify(entry.changes),
+          ])
+        );
+      }
+
+      return res.end();
+    }
+
+    const [entries, total] = await Promise.all([
+      auditCollection
+        .find(query)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      auditCollection.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  }));
+
+  return router;
+};
+
+module.exports = { createAuditRouter };
@@ -0,0 +1,201 @@
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const { ObjectId } = require("mongodb");
+const { EMAIL_COLLATION } = require("../db");
+const {
+  asyncHandler,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../errors");
+const { hashToken } = require("../utils");
+const { validateBody, signupSchema } = require("../validation");
+
+// Auth Routes: login, session refresh, logout and signup
+const createAuthRouter = ({ collections, config, sessions, verifyIdToken, uploads }) => {
+  const router = express.Router();
+  const { userCollection, sessionCollection } = collections;
+  const { createSession, revokeSessions, setAuthCookies, clearAuthCookies, parseRefreshToken } = sessions;
+
+  // API for User Authentication (Login) - Generates JWT Token
+  router.post("/login", asyncHandler(async (req, res) => {
+    const { idToken } = req.body;
+
+    if (!idToken || typeof idToken !== "string") {
+      throw new ValidationError("Validation Error: A Firebase ID token is required.");
+    }
+
+    let identity;
+    try {
+      identity = await verifyIdToken(idToken);
+    } catch (error) {
+      if (error instanceof jwt.JsonWebTokenError) {
+        throw new UnauthorizedError("Unauthorized: The provided ID token is invalid or expired.");
+      }
+      throw error;
+    }
+
+    if (!identity.emailVerified) {
+      throw new ForbiddenError("Email not verified: Please verify your email before logging in.");
+    }
+
+    let user = await userCollection.findOne({ email: identity.email }, { collation: EMAIL_COLLATION });
+
+    if (!user) {
+      throw new NotFoundError("User not found: The provided email does not match any account.");
+    }
+
+    // The first Firebase account to log in owns the profile. Matching on a
+    // missing uid keeps two first logins from both claiming it.
+    if (!user.uid) {
+      await userCollection.updateOne(
+        { _id: user._id, uid: null },
+        { $set: { uid: identity.uid } }
+      );
+      user = await userCollection.findOne({ _id: user._id });
+    }
+
+    // Another Firebase account with the same email, e.g. one re-created
+    // after deletion, must not take the profile over
+    if (!user || user.uid !== identity.uid) {
+      throw new ForbiddenError("Forbidden: This email is linked to a different sign-in account.");
+    }
+
+    const refreshSecret = crypto.randomBytes(32).toString("base64url");
+    const session = await createSession(req, user, identity.uid, refreshSecret);
+
+    setAuthCookies(res, user, session, refreshSecret);
+
+    res.status(200).json({ message: "Login successful. Welcome back!", success: true });
+  }));
+
+  // API to Rotate the Refresh Token and Issue a New Access Token
+  router.post("/auth/refresh", asyncHandler(async (req, res) => {
+    const parsed = parseRefreshToken(req.cookies.refreshToken);
+
+    if (!parsed) {
+      clearAuthCookies(res);
+      throw new UnauthorizedError("Unauthorized: Please log in to access this resource.");
+    }
+
+    const session = await sessionCollection.findOne({ _id: parsed.sessionId });
+
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      clearAuthCookies(res);
+      throw new UnauthorizedError("Unauthorized: Your session has ended. Please log in again.");
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+
+    if (presentedHash !== session.refreshTokenHash) {
+      // A rotated-away token coming back means it was copied: end the family.
+      if (session.previousTokenHashes.includes(presentedHash)) {
+        await revokeSessions({ _id: session._id }, "refresh_token_reuse");
+        console.warn(`Refresh token reuse detected for session ${session._id} (${session.email})`);
+      }
+
+      clearAuthCookies(res);
+      throw new UnauthorizedError("Unauthorized: Your session has ended. Please log in again.");
+    }
+
+    const user = await userCollection.findOne({ email: session.email });
+
+    if (!user) {
+      await revokeSessions({ _id: session._id }, "user_deleted");
+      clearAuthCookies(res);
+      throw new UnauthorizedError("Unauthorized: The account associated with this session no longer exists.");
+    }
+
+    const refreshSecret = crypto.randomBytes(32).toString("base64url");
+
+    // Matching on the presented hash makes concurrent refreshes race safely:
+    // only one of them can rotate the token.
+    const result = await sessionCollection.updateOne(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+      {
+        $set: { refreshTokenHash: hashToken(refreshSecret), lastUsedAt: new Date() },
+        $push: { previousTokenHashes: presentedHash },
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      clearAuthCookies(res);
+      throw new UnauthorizedError("Unauthorized: Your session has ended. Please log in again.");
+    }
+
+    setAuthCookies(res, user, session, refreshSecret);
+
+    res.status(200).json({ message: "Session refreshed successfully.", success: true });
+  }));
+
+  // API for User Authentication (Logout) - Revokes the Session and Clears Cookies
+  router.post("/logout", asyncHandler(async (req, res) => {
+    let sessionId = null;
+
+    try {
+      const decoded = jwt.verify(req.cookies.token || "", config.jwtSecret, {
+        ignoreExpiration: true,
+      });
+      if (ObjectId.isValid(decoded.sid)) {
+        sessionId = new ObjectId(decoded.sid);
+      }
+    } catch (error) {
+      const parsed = parseRefreshToken(req.cookies.refreshToken);
+      if (parsed) {
+        const session = await sessionCollection.findOne({ _id: parsed.sessionId });
+        if (session && session.refreshTokenHash === hashToken(parsed.secret)) {
+          sessionId = session._id;
+        }
+      }
+    }
+
+    if (sessionId) {
+      await revokeSessions({ _id: sessionId }, "logout");
+    }
+
+    clearAuthCookies(res);
+    res.status(200).json({ message: "Logout successful. You have been signed out." });
+  }));
+
+  // API for User Registration (Signup)
+  router.post("/signup", validateBody(signupSchema), asyncHandler(async (req, res) => {
+    const {
+      fullName,
+      id,
+      email,
+      userType,
+      designation,
+      department,
+      image,
+    } = req.body;
+
+    const existingUser = await userCollection.findOne({ email }, { collation: EMAIL_COLLATION });
+    if (existingUser) {
+      throw new ConflictError("Account already exists: The provided email is already registered.");
+    }
+
+    const userData = {
+      fullName,
+      id,
+      email,
+      userType,
+      department,
+      image,
+      designation,
+      createdAt: new Date(),
+      adminRole: "user",
+    };
+
+    await userCollection.insertOne(userData);
+    res
+      .status(201)
+      .json({ message: "Registration successful. Welcome to LuPulse!", user: await uploads.withImage(userData) });
+  }));
+
+  return router;
+};
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const express = require("express");
+const { asyncHandler, NotFoundError, parseObjectId } = require("../errors");
+const { buildCalendar } = require("../ical");
+const { loadRequestUser } = require("../middleware/auth");
+const { noticeVisibilityQuery } = require("../permissions");
+const { noticeStatusQuery } = require("../publication");
+const { hashToken } = require("../utils");
+
+// Calendar (.ics) Routes. Calendar apps cannot send cookies, so personal
+// feeds are authorised by a secret token in the URL instead.
+const createCalendarRouter = ({ collections, config, verifyToken }) => {
+  const router = express.Router();
+  const { eventsCollection, noticeCollection, userCollection } = collections;
+
+  const sendCalendar = (res, filename, calendar) => {
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+    res.setHeader("Cache-Control", "no-cache");
+    res.status(200).send(calendar);
+  };
+
+  const scheduledEvents = () =>
+    eventsCollection.find({ startsAt: { $ne: null } }).sort({ startsAt: 1 }).toArray();
+
+  // API to Subscribe to All Events
+  router.get("/events.ics", asyncHandler(async (req, res) => {
+    const events = await scheduledEvents();
+    sendCalendar(
+      res,
+      "lupulse-events.ics",
+      buildCalendar({ name: "LuPulse Events", timeZone: config.timezone, events })
+    );
+  }));
+
+  // API to Download One Event
+  router.get("/events/:id.ics", asyncHandler(async (req, res) => {
+    const event = await eventsCollection.findOne({ _id: parseObjectId(req.params.id) });
+
+    if (!event) {
+      throw new NotFoundError("Event not found: The requested event does not exist.");
+    }
+    if (!event.startsAt) {
+      throw new NotFoundError("Event not scheduled: This event has no date and time that a calendar can use.");
+    }
+
+    sendCalendar(
+      res,
+      `event-${event._id}.ics`,
+      buildCalendar({ name: event.name, timeZone: config.timezone, events: [event] })
+    );
+  }));
+
+  // API to Create (or Replace) the Logged-in User's Personal Feed URL
+  router.post("/calendar/feed", verifyToken, asyncHandler(async (req, res) => {
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await userCollection.updateOne(
+      { email: req.user.email },
+      { $set: { calendarTokenHash: hashToken(token), calendarTokenCreatedAt: new Date() } }
+    );
+
+    const url = `${config.publicUrl || `${req.protocol}://${req.get("host")}`}/calendar/${token}.ics`;
+    res.status(201).json({
+      message: "Calendar feed created. Any previous feed URL no longer works.",
+      url,
+      webcalUrl: url.replace(/^https?:/, "webcal:"),
+    });
+  }));
+
+  // API to Revoke the Logged-in User's Personal Feed URL
+  router.delete("/calendar/feed", verifyToken, asyncHandler(async (req, res) => {
+    await userCollection.updateOne(
+      { email: req.user.email },
+      { $unset: { calendarTokenHash: "", calendarTokenCreatedAt: "" } }
+    );
+    res.status(200).json({ message: "Calendar feed revoked." });
+  }));
+
+  // API to Fetch a Personal Feed: every event plus the live, dated notices
+  // the feed's owner may see
+  router.get("/calendar/:token.ics", asyncHandler(async (req, res) => {
+    const user = await userCollection.findOne({ calendarTokenHash: hashToken(req.params.token) });
+
+    if (!user) {
+      throw new NotFoundError("Calendar feed not found: The feed URL is invalid or has been revoked.");
+    }
+
+    const [events, notices] = await Promise.all([
+      scheduledEvents(),
+      noticeCollection
+        .find({
+          $and: [
+            noticeVisibilityQuery(await loadRequestUser(collections, user)),
+            noticeStatusQuery("live"),
+          ],
+          date: { $type: "string" },
+        })
+        .toArray(),
+    ]);
+
+    sendCalendar(
+      res,
+      "lupulse.ics",
+      buildCalendar({ name: "LuPulse", timeZone: config.timezone, events, notices })
+    );
+  }));
+
+  return router;
+};
+
+module.exports = { createCalendarRouter };
@@ -0,0 +1,226 @@
+const express = require("express");
+const {
+  asyncHandler,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  parseObjectId,
+} = require("../errors");
+const {
+  describeDepartments,
+  canManage,
+  hasGlobalPermission,
+  requirePermission,
+  scopedDepartments,
+} = require("../permissions");
+const { buildFilterQuery } = require("../services/search");
+const {
+  validateBody,
+  validateQuery,
+  checkInSchema,
+  attendanceReportQuerySchema,
+} = require("../validation");
+const { percentage } = require("../utils");
+
+// Scans may be recorded offline and synced later, but never from the future
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const attendanceRate = (registered, checkedIn) => percentage(checkedIn, registered);
+
+// Counts registered and checked-in attendees by `key`
+const breakdown = (rows, key) => {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const name = row[key] ?? null;
+    const group = groups.get(name) || { [key]: name, registered: 0, checkedIn: 0 };
+    group.registered += 1;
+    group.checkedIn += row.checkedInAt ? 1 : 0;
+    groups.set(name, group);
+  }
+
+  return [...groups.values()]
+    .map((group) => ({ ...group, attendanceRate: attendanceRate(group.registered, group.checkedIn) }))
+    .sort((a, b) => b.registered - a.registered);
+};
+
+// Check-in and Attendance Routes
+const createCheckInRouter = ({ collections, verifyToken, checkIn, registrations }) => {
+  const router = express.Router();
+  const { eventsCollection, registrationCollection, userCollection } = collections;
+
+  const findEvent = async (id) => {
+    const event = await eventsCollection.findOne({ _id: parseObjectId(id) });
+    if (!event) {
+      throw new NotFoundError("Event not found: The requested event does not exist.");
+    }
+    return event;
+  };
+
+  // API to Fetch the Public Key that Verifies Check-in Codes
+  router.get("/checkin/public-key", (req, res) => {
+    res.status(200).json({ algorithm: "Ed25519", publicKey: checkIn.publicKey });
+  });
+
+  // API to Fetch the Logged-in User's Check-in QR Code (PNG, or ?format=svg)
+  router.get("/events/:id/registration/qr", verifyToken, asyncHandler(async (req, res) => {
+    const event = await findEvent(req.params.id);
+    const registration = await registrations.getRegistration(event._id, req.user.email);
+
+    if (!registration || registration.status !== "registered") {
+      throw new NotFoundError("Registration not found: Only registered attendees have a check-in code.");
+    }
+
+    const code = checkIn.issueCode(registration);
+
+    if (req.query.format === "svg") {
+      res.type("image/svg+xml").send(await checkIn.renderQrCode(code, "svg"));
+    } else {
+      res.type("image/png").send(await checkIn.renderQrCode(code, "png"));
+    }
+  }));
+
+  // API to Check an Attendee In by Scanning Their Code
+  router.post(
+    "/events/:id/checkin",
+    verifyToken,
+    requirePermission("events:checkin", { clubs: true }),
+    validateBody(checkInSchema),
+    asyncHandler(async (req, res) => {
+      const event = await findEvent(req.params.id);
+
+      if (!canManage(req.user, "events:checkin", event)) {
+        throw new ForbiddenError(`Forbidden: You can only check in attendees of events for departments or clubs you manage (${describeDepartments(event.department)}).`);
+      }
+
+      const scannedAt = req.body.scannedAt ? new Date(req.body.scannedAt) : null;
+      if (scannedAt && scannedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+        throw new ValidationError("Validation Error: scannedAt cannot be in the future.");
+      }
+
+      const { registration, attendee } = await checkIn.checkIn(event, req.body.code, {
+        scannedAt,
+        checkedInBy: req.user.email,
+      });
+
+      res.status(200).json({
+        message: "Checked in successfully.",
+        attendee,
+        checkedInAt: registration.checkedInAt,
+      });
+    })
+  );
+
+  // API to Fetch an Event's Attendance Report
+  router.get("/events/:id/attendance", verifyToken, requirePermission("events:attendees", { clubs: true }), asyncHandler(async (req, res) => {
+    const event = await findEvent(req.params.id);
+
+    if (!canManage(req.user, "events:attendees", event)) {
+      throw new ForbiddenError(`Forbidden: You can only view attendance of events for departments or clubs you manage (${describeDepartments(event.department)}).`);
+    }
+
+    const entries = await registrationCollection
+      .find({ eventId: event._id, status: "registered" })
+      .toArray();
+    const users = await userCollection
+      .find({ email: { $in: entries.map((entry) => entry.email) } })
+      .project({ email: 1, userType: 1, department: 1 })
+      .toArray();
+    const usersByEmail = new Map(users.map((user) => [user.email, user]));
+
+    const rows = entries.map((entry) => ({
+      ...usersByEmail.get(entry.email),
+      checkedInAt: entry.checkedInAt ?? null,
+    }));
+    const checkedIn = rows.filter((row) => row.checkedInAt).length;
+
+    res.status(200).json({
+      event: {
+        _id: event._id,
+        name: event.name,
+        date: event.date,
+        department: event.department ?? null,
+        capacity: event.capacity ?? null,
+      },
+      registered: rows.length,
+      checkedIn,
+      noShows: rows.length - checkedIn,
+      attendanceRate: attendanceRate(rows.length, checkedIn),
+      byDepartment: breakdown(rows, "department"),
+      byUserType: breakdown(rows, "userType"),
+    });
+  }));
+
+  // API to Fetch Attendance per Department across Events
+  router.get(
+    "/reports/attendance",
+    verifyToken,
+    requirePermission("events:attendees"),
+    validateQuery(attendanceReportQuerySchema),
+    asyncHandler(async (req, res) => {
+      const { department, from, to } = req.query;
+      const query = buildFilterQuery({ department, from, to });
+
+      if (!hasGlobalPermission(req.user, "events:attendees")) {
+        const allowed = scopedDepartments(req.user, "events:attendees");
+
+        if (department && !allowed.includes(department)) {
+          throw new ForbiddenError(`Forbidden: You can only view attendance for departments you manage (${describeDepartments(allowed)}).`);
+        }
+        if (!department) {
+          query.department = { $in: allowed };
+        }
+      }
+
+      const events = await eventsCollection
+        .find(query)
+        .project({ name: 1, date: 1, department: 1 })
+        .sort({ date: 1 })
+        .toArray();
+
+      const counts = await registrationCollection
+        .aggregate([
+          { $match: { eventId: { $in: events.map((event) => event._id) }, status: "registered" } },
+          {
+            $group: {
+              _id: "$eventId",
+              registered: { $sum: 1 },
+              checkedIn: { $sum: { $cond: [{ $ifNull: ["$checkedInAt", false] }, 1, 0] } },
+            },
+          },
+        ])
+        .toArray();
+      const countsByEvent = new Map(counts.map((count) => [count._id.toString(), count]));
+
+      const departments = new Map();
+      for (const event of events) {
+        const { registered = 0, checkedIn = 0 } = countsByEvent.get(event._id.toString()) || {};
+        const name = event.department ?? null;
+        const group = departments.get(name) || { department: name, registered: 0, checkedIn: 0, events: [] };
+
+        group.registered += registered;
+        group.checkedIn += checkedIn;
+        group.events.push({
+          _id: event._id,
+          name: event.name,
+          date: event.date,
+          registered,
+          checkedIn,
+          attendanceRate: attendanceRate(registered, checkedIn),
+        });
+        departments.set(name, group);
+      }
+
+      res.status(200).json({
+        departments: [...departments.values()].map((group) => ({
+          ...group,
+          attendanceRate: attendanceRate(group.registered, group.checkedIn),
+        })),
+      });
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createCheckInRouter };
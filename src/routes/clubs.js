@@ -0,0 +1,268 @@
+const express = require("express");
+const {
+  asyncHandler,
+  ValidationError,
+  ForbiddenError,
+  parseObjectId,
+} = require("../errors");
+const {
+  describeDepartments,
+  hasPermission,
+  managesClub,
+  requirePermission,
+} = require("../permissions");
+const { noticeStatus } = require("../publication");
+const { seatsRemaining } = require("../services/registrations");
+const {
+  validateBody,
+  validateQuery,
+  clubSchema,
+  clubUpdateSchema,
+  clubMemberSchema,
+  clubMemberListQuerySchema,
+  clubFeedQuerySchema,
+} = require("../validation");
+
+// Club Routes. Clubs are set up by holders of "clubs:manage"; from then on
+// their presidents and moderators run them: they approve join requests and
+// manage the club's events and club-only notices through the event and
+// notice routes, without any global role.
+const createClubsRouter = ({ collections, verifyToken, identifyUser, audit, uploads, clubs }) => {
+  const router = express.Router();
+  const { clubCollection } = collections;
+  const { recordAudit } = audit;
+
+  // Clubs with their logo, member count and the caller's membership
+  const presentClubs = async (list, user) => {
+    const [withLogos, counts, memberships] = await Promise.all([
+      uploads.withImages(list),
+      clubs.memberCounts(list.map((club) => club._id)),
+      user ? clubs.membershipsOf(user.email) : new Map(),
+    ]);
+
+    return withLogos.map((club) => {
+      const membership = memberships.get(club._id.toString());
+      return {
+        ...club,
+        memberCount: counts.get(club._id.toString()) ?? 0,
+        membership: membership ? { role: membership.role, status: membership.status } : null,
+      };
+    });
+  };
+
+  const presentClub = async (club, user) => (await presentClubs([club], user))[0];
+
+  // Those who set clubs up may also do anything a club's president can
+  const isClubAdmin = (user, club) => hasPermission(user, "clubs:manage", club.department ?? null);
+
+  const isPresident = (user, club) =>
+    user.clubs.some((membership) => membership.clubId.equals(club._id) && membership.role === "president");
+
+  // The club named in the path, if the caller manages it
+  const findManagedClub = async (req) => {
+    const club = await clubs.findClub(parseObjectId(req.params.id));
+    if (!managesClub(req.user, club._id) && !isClubAdmin(req.user, club)) {
+      throw new ForbiddenError("Forbidden: Only the club's president and moderators can do this.");
+    }
+    return club;
+  };
+
+  // API to Fetch All Clubs
+  router.get("/clubs", identifyUser, asyncHandler(async (req, res) => {
+    const list = await clubCollection.find({}).sort({ name: 1 }).toArray();
+    res.status(200).json(await presentClubs(list, req.user));
+  }));
+
+  // API to Fetch the Caller's Clubs with Their Latest Notices and Upcoming Events
+  router.get("/clubs/feed", verifyToken, validateQuery(clubFeedQuerySchema), asyncHandler(async (req, res) => {
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new ValidationError("Validation Error: limit must be between 1 and 100.");
+    }
+
+    const feed = await clubs.feed(req.user, { limit });
+
+    res.status(200).json({
+      clubs: await presentClubs(feed.clubs, req.user),
+      notices: (await uploads.withImages(feed.notices)).map((notice) => ({
+        ...notice,
+        status: noticeStatus(notice),
+      })),
+      events: (await uploads.withImages(feed.events)).map((event) => ({
+        ...event,
+        seatsRemaining: seatsRemaining(event),
+      })),
+    });
+  }));
+
+  // API to Fetch a Club's Profile
+  router.get("/clubs/:id", identifyUser, asyncHandler(async (req, res) => {
+    const club = await clubs.findClub(parseObjectId(req.params.id));
+    res.status(200).json(await presentClub(club, req.user));
+  }));
+
+  // API to Create a Club with Its President
+  router.post(
+    "/clubs",
+    verifyToken,
+    requirePermission("clubs:manage"),
+    validateBody(clubSchema),
+    asyncHandler(async (req, res) => {
+      const { name, description, image, department, president } = req.body;
+
+      if (!hasPermission(req.user, "clubs:manage", department ?? null)) {
+        throw new ForbiddenError(`Forbidden: You can only create clubs for departments you manage (${describeDepartments(department)}).`);
+      }
+
+      const club = await clubs.createClub(
+        { name, description: description || "", image: image || null, department: department ?? null },
+        president,
+        req.user.email
+      );
+
+      await recordAudit(req, {
+        action: "club.create",
+        targetType: "club",
+        targetId: club._id,
+        after: { ...club, president },
+      });
+
+      res.status(201).json({ message: "Club created successfully.", club: await presentClub(club, req.user) });
+    })
+  );
+
+  // API to Update a Club's Profile
+  router.patch("/clubs/:id", verifyToken, validateBody(clubUpdateSchema), asyncHandler(async (req, res) => {
+    const club = await clubs.findClub(parseObjectId(req.params.id));
+
+    if (!isPresident(req.user, club) && !isClubAdmin(req.user, club)) {
+      throw new ForbiddenError("Forbidden: Only the club's president can change its profile.");
+    }
+
+    const updated = await clubs.updateClub(club, { ...req.body, updatedBy: req.user.email, updatedAt: new Date() });
+
+    await recordAudit(req, {
+      action: "club.update",
+      targetType: "club",
+      targetId: club._id,
+      before: club,
+      after: updated,
+    });
+
+    res.status(200).json({ message: "Club updated successfully.", club: await presentClub(updated, req.user) });
+  }));
+
+  // API to Delete a Club that No Longer Has Events or Notices
+  router.delete("/clubs/:id", verifyToken, requirePermission("clubs:manage"), asyncHandler(async (req, res) => {
+    const club = await clubs.findClub(parseObjectId(req.params.id));
+
+    if (!isClubAdmin(req.user, club)) {
+      throw new ForbiddenError(`Forbidden: You can only delete clubs for departments you manage (${describeDepartments(club.department)}).`);
+    }
+
+    await clubs.deleteClub(club);
+    await recordAudit(req, { action: "club.delete", targetType: "club", targetId: club._id, before: club });
+
+    res.status(200).json({ message: "Club deleted successfully." });
+  }));
+
+  // API to Ask to Join a Club
+  router.post("/clubs/:id/join", verifyToken, asyncHandler(async (req, res) => {
+    const club = await clubs.findClub(parseObjectId(req.params.id));
+    const member = await clubs.requestToJoin(club._id, req.user.email);
+
+    res.status(201).json({ message: "Join request sent. A club moderator will review it.", member });
+  }));
+
+  // API to Leave a Club, or Withdraw a Join Request
+  router.delete("/clubs/:id/join", verifyToken, asyncHandler(async (req, res) => {
+    const club = await clubs.findClub(parseObjectId(req.params.id));
+    await clubs.removeMember(club._id, req.user.email);
+
+    res.status(200).json({ message: "You have left the club." });
+  }));
+
+  // API to List a Club's Members, or (for its managers) Its Join Requests
+  router.get(
+    "/clubs/:id/members",
+    verifyToken,
+    validateQuery(clubMemberListQuerySchema),
+    asyncHandler(async (req, res) => {
+      const { status = "active" } = req.query;
+      const club =
+        status === "pending" ? await findManagedClub(req) : await clubs.findClub(parseObjectId(req.params.id));
+
+      res.status(200).json(await clubs.listMembers(club._id, status));
+    })
+  );
+
+  // API to Approve a Join Request
+  router.post("/clubs/:id/members/:email/approve", verifyToken, asyncHandler(async (req, res) => {
+    const club = await findManagedClub(req);
+    const member = await clubs.approve(club._id, req.params.email);
+
+    await recordAudit(req, {
+      action: "club.approve",
+      targetType: "club",
+      targetId: club._id,
+      after: member,
+    });
+
+    res.status(200).json({ message: "Join request approved.", member });
+  }));
+
+  // API to Change a Member's Role. Making someone president hands the club
+  // over to them.
+  router.patch(
+    "/clubs/:id/members/:email",
+    verifyToken,
+    validateBody(clubMemberSchema),
+    asyncHandler(async (req, res) => {
+      const club = await clubs.findClub(parseObjectId(req.params.id));
+
+      if (!isPresident(req.user, club) && !isClubAdmin(req.user, club)) {
+        throw new ForbiddenError("Forbidden: Only the club's president can change members' roles.");
+      }
+
+      const before = await clubs.membershipOf(club._id, req.params.email);
+      const member = await clubs.setRole(club._id, req.params.email, req.body.role);
+
+      await recordAudit(req, {
+        action: "club.role",
+        targetType: "club",
+        targetId: club._id,
+        before: before && { email: member.email, role: before.role },
+        after: { email: member.email, role: member.role },
+      });
+
+      res.status(200).json({ message: "Member role updated.", member });
+    })
+  );
+
+  // API to Remove a Member or Turn Down a Join Request. Moderators may only
+  // remove plain members.
+  router.delete("/clubs/:id/members/:email", verifyToken, asyncHandler(async (req, res) => {
+    const club = await findManagedClub(req);
+    const membership = await clubs.membershipOf(club._id, req.params.email);
+
+    if (membership?.role === "moderator" && !isPresident(req.user, club) && !isClubAdmin(req.user, club)) {
+      throw new ForbiddenError("Forbidden: Only the club's president can remove moderators.");
+    }
+
+    await clubs.removeMember(club._id, req.params.email);
+
+    await recordAudit(req, {
+      action: "club.remove",
+      targetType: "club",
+      targetId: club._id,
+      before: membership && { email: req.params.email, role: membership.role, status: membership.status },
+    });
+
+    res.status(200).json({ message: "Member removed from the club." });
+  }));
+
+  return router;
+};
+
+module.exports = { createClubsRouter };
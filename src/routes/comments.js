@@ -0,0 +1,221 @@
+const express = require("express");
+const {
+  asyncHandler,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  parseObjectId,
+} = require("../errors");
+const { canManage, noticeVisibilityQuery } = require("../permissions");
+const {
+  validateBody,
+  validateQuery,
+  commentSchema,
+  commentEditSchema,
+  commentListQuerySchema,
+} = require("../validation");
+
+// Path segment of each kind of item users can comment on. Express matches
+// "/:items(notices|events)" against these.
+const ITEM_TYPES = {
+  notices: "notice",
+  events: "event",
+};
+
+const capitalize = (word) => word[0].toUpperCase() + word.slice(1);
+
+// Comment & Reaction Routes, for notices and events alike. Anyone who can see
+// an item (notices under the GET /notices audience rules) can read and add
+// comments and reactions; holders of "comments:moderate" for the item's
+// department, and managers of its club, can hide or delete any comment and
+// lock the thread.
+const createCommentsRouter = ({ collections, verifyToken, audit, comments }) => {
+  const router = express.Router();
+  const { noticeCollection, eventsCollection } = collections;
+  const { recordAudit } = audit;
+  const itemPath = "/:items(notices|events)/:id";
+
+  // The item of `targetType` with `id`, if the caller can see it
+  const findItem = async (req, targetType, id) => {
+    const item =
+      targetType === "notice"
+        ? await noticeCollection.findOne({ $and: [{ _id: id }, noticeVisibilityQuery(req.user)] })
+        : await eventsCollection.findOne({ _id: id });
+
+    if (!item) {
+      throw new NotFoundError(`${capitalize(targetType)} not found: The requested ${targetType} does not exist.`);
+    }
+    return item;
+  };
+
+  const isModerator = (user, item) => canManage(user, "comments:moderate", item);
+
+  // Resolves the item named in the path, with who is looking at it
+  const loadItem = async (req) => {
+    const targetType = ITEM_TYPES[req.params.items];
+    const item = await findItem(req, targetType, parseObjectId(req.params.id));
+    return { targetType, item, viewer: { email: req.user.email, moderator: isModerator(req.user, item) } };
+  };
+
+  // Resolves the comment named in the path together with its item
+  const loadComment = async (req) => {
+    const comment = await comments.findComment(parseObjectId(req.params.commentId));
+    const item = await findItem(req, comment.targetType, comment.targetId);
+    return { comment, item, viewer: { email: req.user.email, moderator: isModerator(req.user, item) } };
+  };
+
+  const checkUnlocked = (item, viewer, targetType) => {
+    if (item.commentsLocked && !viewer.moderator) {
+      throw new ForbiddenError(`Forbidden: Comments on this ${targetType} are locked.`);
+    }
+  };
+
+  const checkModerator = (viewer) => {
+    if (!viewer.moderator) {
+      throw new ForbiddenError("Forbidden: You do not have permission to moderate these comments.");
+    }
+  };
+
+  // API to Fetch the Comments on a Notice or Event (paginated)
+  router.get(
+    `${itemPath}/comments`,
+    verifyToken,
+    validateQuery(commentListQuerySchema),
+    asyncHandler(async (req, res) => {
+      const page = req.query.page === undefined ? 1 : Number(req.query.page);
+      const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+      if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+        throw new ValidationError("Validation Error: page must be a positive integer and limit between 1 and 100.");
+      }
+
+      const { targetType, item, viewer } = await loadItem(req);
+      const { comments: thread, total } = await comments.listComments(targetType, item._id, viewer, { page, limit });
+
+      res.status(200).json({
+        comments: thread,
+        locked: Boolean(item.commentsLocked),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      });
+    })
+  );
+
+  // API to Comment on a Notice or Event, or Reply to a Comment
+  router.post(`${itemPath}/comments`, verifyToken, validateBody(commentSchema), asyncHandler(async (req, res) => {
+    const { targetType, item, viewer } = await loadItem(req);
+    checkUnlocked(item, viewer, targetType);
+
+    const comment = await comments.addComment(targetType, item._id, req.user, {
+      body: req.body.body,
+      parentId: req.body.parentId ? parseObjectId(req.body.parentId) : null,
+    });
+
+    const [presented] = await comments.presentComments([comment], viewer);
+    res.status(201).json({ message: "Comment posted.", comment: presented });
+  }));
+
+  // API to Edit One's Own Comment
+  router.patch(
+    "/comments/:commentId",
+    verifyToken,
+    validateBody(commentEditSchema),
+    asyncHandler(async (req, res) => {
+      const { comment, item, viewer } = await loadComment(req);
+      checkUnlocked(item, viewer, comment.targetType);
+
+      const edited = await comments.editComment(comment, req.user.email, req.body.body);
+      const [presented] = await comments.presentComments([edited], viewer);
+      res.status(200).json({ message: "Comment updated.", comment: presented });
+    })
+  );
+
+  // API to Delete a Comment: one's own, or any as a moderator
+  router.delete("/comments/:commentId", verifyToken, asyncHandler(async (req, res) => {
+    const { comment, viewer } = await loadComment(req);
+    const isAuthor = comment.author === req.user.email;
+
+    if (!isAuthor && !viewer.moderator) {
+      throw new ForbiddenError("Forbidden: You can only delete your own comments.");
+    }
+
+    const deleted = await comments.deleteComment(comment, req.user.email);
+
+    // Removing someone else's comment is a moderation action
+    if (!isAuthor) {
+      await recordAudit(req, {
+        action: "comment.delete",
+        targetType: "comment",
+        targetId: comment._id,
+        before: comment,
+        after: deleted,
+      });
+    }
+
+    res.status(200).json({ message: "Comment deleted." });
+  }));
+
+  // API for Moderators to Hide a Comment from Everyone Else, or Show It Again
+  for (const [action, hidden] of [["hide", true], ["unhide", false]]) {
+    router.post(`/comments/:commentId/${action}`, verifyToken, asyncHandler(async (req, res) => {
+      const { comment, viewer } = await loadComment(req);
+      checkModerator(viewer);
+
+      const updated = await comments.setHidden(comment, req.user.email, hidden);
+      await recordAudit(req, {
+        action: `comment.${action}`,
+        targetType: "comment",
+        targetId: comment._id,
+        before: comment,
+        after: updated,
+      });
+
+      const [presented] = await comments.presentComments([updated], viewer);
+      res.status(200).json({ message: hidden ? "Comment hidden." : "Comment visible again.", comment: presented });
+    }));
+  }
+
+  // API for Moderators to Lock (POST) or Unlock (DELETE) a Comment Thread.
+  // Locked threads take no new comments or edits, except from moderators.
+  for (const [method, locked] of [["post", true], ["delete", false]]) {
+    router[method](`${itemPath}/comments/lock`, verifyToken, asyncHandler(async (req, res) => {
+      const { targetType, item, viewer } = await loadItem(req);
+      checkModerator(viewer);
+
+      const collection = targetType === "notice" ? noticeCollection : eventsCollection;
+      await collection.updateOne({ _id: item._id }, { $set: { commentsLocked: locked } });
+      await recordAudit(req, {
+        action: locked ? "comments.lock" : "comments.unlock",
+        targetType,
+        targetId: item._id,
+        before: { commentsLocked: Boolean(item.commentsLocked) },
+        after: { commentsLocked: locked },
+      });
+
+      res.status(200).json({ message: locked ? "Comments locked." : "Comments unlocked.", locked });
+    }));
+  }
+
+  // API to Fetch the Reactions to a Notice or Event
+  router.get(`${itemPath}/reactions`, verifyToken, asyncHandler(async (req, res) => {
+    const { targetType, item } = await loadItem(req);
+    res.status(200).json(await comments.reactionSummary(targetType, item._id, req.user.email));
+  }));
+
+  // API to React to a Notice or Event with an Emoji (PUT), or Take It Back (DELETE)
+  for (const [method, change] of [["put", comments.react], ["delete", comments.unreact]]) {
+    router[method](`${itemPath}/reactions/:emoji`, verifyToken, asyncHandler(async (req, res) => {
+      const { targetType, item } = await loadItem(req);
+      await change(targetType, item._id, req.user.email, req.params.emoji);
+      res.status(200).json(await comments.reactionSummary(targetType, item._id, req.user.email));
+    }));
+  }
+
+  return router;
+};
+
+module.exports = { createCommentsRouter };
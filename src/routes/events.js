@@ -0,0 +1,525 @@
+const express = require("express");
+const {
+  asyncHandler,
+  AppError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  parseObjectId,
+} = require("../errors");
+const { describeDepartments, canManage, requirePermission } = require("../permissions");
+const {
+  validateBody,
+  validateQuery,
+  eventSchema,
+  eventScopeQuerySchema,
+  eventSearchQuerySchema,
+} = require("../validation");
+const { seatsRemaining, formatRegistration } = require("../services/registrations");
+const { toEventTimestamps, parseInstant } = require("../time");
+const {
+  addDays,
+  seriesDates,
+  isSeriesDate,
+  countBefore,
+  lastOccurrenceOf,
+  buildOccurrence,
+  expandOccurrences,
+  keepMatchingOccurrences,
+  truncateSeries,
+} = require("../recurrence");
+
+// Longest window GET /events expands recurring events over
+const MAX_EXPANSION_DAYS = 366;
+
+// Longest a series with an end date may run
+const MAX_SERIES_DAYS = 5 * 366;
+
+// The validated recurrence rule of a request body, or null
+const readRecurrence = ({ date, recurrence }) => {
+  if (!recurrence) {
+    return null;
+  }
+
+  const start = date.slice(0, 10);
+  const until = recurrence.until ? recurrence.until.slice(0, 10) : null;
+
+  if (until && recurrence.count) {
+    throw new ValidationError("Validation Error: recurrence.until and recurrence.count cannot both be set.");
+  }
+  if (until && until < start) {
+    throw new ValidationError("Validation Error: recurrence.until must not be before date.");
+  }
+  if (until && until > addDays(start, MAX_SERIES_DAYS)) {
+    throw new ValidationError("Validation Error: recurrence.until must be within five years of date.");
+  }
+
+  return {
+    frequency: recurrence.frequency,
+    interval: recurrence.interval ?? 1,
+    until,
+    count: recurrence.count ?? null,
+  };
+};
+
+// Stored fields of an event or series built from a validated body and its
+// owning { department, club }. Like event dates, a registrationDeadline
+// without a UTC offset is wall-clock time in `timeZone`, so a bare date
+// closes registration at the start of that day.
+const buildEventFields = (body, { department, club }, timeZone) => {
+  const { name, date, time, endTime, venue, details, image, capacity, registrationDeadline } = body;
+
+  return {
+    name,
+    date,
+    time,
+    endTime: endTime ?? null,
+    ...toEventTimestamps({ date, time, endTime }, timeZone),
+    timezone: timeZone,
+    venue,
+    details,
+    image: image || null,
+    department,
+    club,
+    capacity: capacity ?? null,
+    registrationDeadline: registrationDeadline ? parseInstant(registrationDeadline, timeZone) : null,
+    recurrence: readRecurrence(body),
+  };
+};
+
+// Event Routes
+const createEventsRouter = ({
+  collections,
+  config,
+  verifyToken,
+  identifyUser,
+  audit,
+  search,
+  registrations,
+  checkIn,
+  stream,
+  uploads,
+  comments,
+  clubs,
+}) => {
+  const router = express.Router();
+  const { eventsCollection, registrationCollection } = collections;
+  const { recordAudit } = audit;
+
+  // The { department, club } a body assigns an event to, falling back to
+  // `current` for what it leaves out. Club events belong to their club's
+  // department.
+  const readOwner = async (body, current) => {
+    const clubId = body.club === undefined ? current.club ?? null : body.club && parseObjectId(body.club);
+
+    if (!clubId) {
+      return { department: body.department || current.department, club: null };
+    }
+
+    const club = await clubs.findClub(clubId);
+    if (body.department && body.department !== club.department) {
+      throw new ValidationError("Validation Error: department cannot be set on club events; they belong to the club's department.");
+    }
+    return { department: club.department ?? null, club: club._id };
+  };
+
+  // Occurrence of a recurring event named by ?scope= and ?occurrence=, or
+  // null when the request applies to the whole event
+  const findOccurrence = (event, { scope = "all", occurrence }) => {
+    if (scope === "all") {
+      return null;
+    }
+    if (!event.recurrence) {
+      throw new ValidationError(`Validation Error: scope ${scope} only applies to recurring events.`);
+    }
+    if (!occurrence) {
+      throw new ValidationError(`Validation Error: occurrence is required with scope ${scope}.`);
+    }
+
+    const key = occurrence.slice(0, 10);
+    if (!isSeriesDate(event, key) || (event.exceptions || []).includes(key)) {
+      throw new NotFoundError("Occurrence not found: The event does not take place on that date.");
+    }
+    return key;
+  };
+
+  // API to Fetch All Events (optionally searched and filtered). With both
+  // `from` and `to`, recurring events are expanded into their occurrences.
+  router.get("/events", validateQuery(eventSearchQuerySchema), asyncHandler(async (req, res) => {
+    const { from, to } = req.query;
+    let events = await search.searchEvents(req.query);
+
+    if (from && to) {
+      const start = from.slice(0, 10);
+      const end = to.slice(0, 10);
+
+      if (end < start || end > addDays(start, MAX_EXPANSION_DAYS - 1)) {
+        throw new ValidationError(`Validation Error: to must be on or after from and at most ${MAX_EXPANSION_DAYS} days later.`);
+      }
+
+      events = events
+        .flatMap((event) => expandOccurrences(event, start, end))
+        .sort((a, b) => String(a.date).localeCompare(String(b.date)) || (a.startsAt || 0) - (b.startsAt || 0));
+    }
+
+    const commentCounts = await comments.countsFor(
+      "event",
+      events.map((event) => event._id)
+    );
+
+    res.status(200).json(
+      (await uploads.withImages(events)).map((event) => ({
+        ...event,
+        seatsRemaining: seatsRemaining(event),
+        commentCount: commentCounts.get(event._id.toString()) ?? 0,
+      }))
+    );
+  }));
+
+  // API to Create New Event with Image
+  router.post(
+    "/events",
+    verifyToken,
+    requirePermission("events:write", { clubs: true }),
+    validateBody(eventSchema),
+    asyncHandler(async (req, res) => {
+      const owner = await readOwner(req.body, { department: req.user.department });
+
+      if (!canManage(req.user, "events:write", owner)) {
+        throw new ForbiddenError(`Forbidden: You can only create events for departments or clubs you manage (${describeDepartments(owner.department)}).`);
+      }
+
+      const fields = buildEventFields(req.body, owner, config.timezone);
+      const newEvent = {
+        ...fields,
+        exceptions: [],
+        overrides: [],
+        lastOccurrence: lastOccurrenceOf(fields),
+        registeredCount: 0,
+        createdBy: req.user.email,
+        createdAt: new Date(),
+      };
+
+      const result = await eventsCollection.insertOne(newEvent);
+
+      if (!result.insertedId) {
+        throw new AppError("Internal Server Error: Unable to create the event.");
+      }
+
+      await recordAudit(req, {
+        action: "event.create",
+        targetType: "event",
+        targetId: result.insertedId,
+        after: newEvent,
+      });
+      await stream.publish({
+        type: "event.created",
+        targetId: result.insertedId,
+        after: { ...newEvent, _id: result.insertedId },
+      });
+
+      res.status(201).json({
+        message: "Event created successfully.",
+        event: await uploads.withImage(newEvent),
+      });
+    })
+  );
+
+  // API to Fetch a Specific Event by ID, with the caller's registration
+  router.get("/events/:id", identifyUser, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    const event = await eventsCollection.findOne({ _id: id });
+
+    if (!event) {
+      throw new NotFoundError("Event not found: The requested event does not exist.");
+    }
+
+    const [registration, waitlistCount] = await Promise.all([
+      req.user ? registrations.getRegistration(id, req.user.email) : null,
+      registrationCollection.countDocuments({ eventId: id, status: "waitlisted" }),
+    ]);
+
+    res.status(200).json({
+      ...(await uploads.withImage(event)),
+      seatsRemaining: seatsRemaining(event),
+      waitlistCount,
+      isRegistered: registration?.status === "registered",
+      registration: formatRegistration(registration, checkIn.issueCode),
+    });
+  }));
+
+  // API to Delete an Event by ID. For recurring events, ?scope=occurrence or
+  // ?scope=following with ?occurrence=YYYY-MM-DD cancels one occurrence or
+  // ends the series before it.
+  router.delete(
+    "/events/:id",
+    verifyToken,
+    requirePermission("events:delete", { clubs: true }),
+    validateQuery(eventScopeQuerySchema),
+    asyncHandler(async (req, res) => {
+      const id = parseObjectId(req.params.id);
+
+      const event = await eventsCollection.findOne({ _id: id });
+      if (!event) {
+        throw new NotFoundError("Event not found: The requested event does not exist.");
+      }
+
+      if (!canManage(req.user, "events:delete", event)) {
+        throw new ForbiddenError(`Forbidden: You can only delete events for departments or clubs you manage (${describeDepartments(event.department)}).`);
+      }
+
+      const key = findOccurrence(event, req.query);
+      const [first] = seriesDates(event);
+
+      if (key && !(req.query.scope === "following" && key === first)) {
+        const changes =
+          req.query.scope === "occurrence"
+            ? {
+                exceptions: [...(event.exceptions || []), key].sort(),
+                overrides: (event.overrides || []).filter((override) => override.occurrence !== key),
+              }
+            : truncateSeries(event, key);
+
+        changes.lastOccurrence = lastOccurrenceOf({ ...event, ...changes });
+        changes.updatedBy = req.user.email;
+        changes.updatedAt = new Date();
+
+        await eventsCollection.updateOne({ _id: id }, { $set: changes });
+
+        await recordAudit(req, {
+          action: "event.update",
+          targetType: "event",
+          targetId: id,
+          before: event,
+          after: { ...event, ...changes },
+        });
+        await stream.publish({
+          type: "event.updated",
+          targetId: id,
+          before: event,
+          after: { ...event, ...changes },
+        });
+
+        return res.status(200).json({
+          message:
+            req.query.scope === "occurrence"
+              ? "Occurrence cancelled successfully. The rest of the series is unchanged."
+              : "Occurrences deleted successfully. The series now ends before this date.",
+        });
+      }
+
+      const result = await eventsCollection.deleteOne({
+        _id: id,
+      });
+
+      if (result.deletedCount === 0) {
+        throw new AppError("Internal Server Error: Unable to delete the event.");
+      }
+
+      await registrationCollection.deleteMany({ eventId: id });
+      await comments.removeAllFor("event", id);
+
+      await recordAudit(req, {
+        action: "event.delete",
+        targetType: "event",
+        targetId: id,
+        before: event,
+      });
+      await stream.publish({ type: "event.deleted", targetId: id, before: event });
+
+      res.status(200).json({ message: "Event deleted successfully. The event has been removed." });
+    })
+  );
+
+  // API to Update an Event. For recurring events, ?scope=occurrence or
+  // ?scope=following with ?occurrence=YYYY-MM-DD changes one occurrence or
+  // splits the series there, leaving earlier occurrences as they were.
+  router.put(
+    "/events/:id",
+    verifyToken,
+    requirePermission("events:write", { clubs: true }),
+    validateQuery(eventScopeQuerySchema),
+    validateBody(eventSchema),
+    asyncHandler(async (req, res) => {
+      const id = parseObjectId(req.params.id);
+
+      const existingEvent = await eventsCollection.findOne({ _id: id });
+      if (!existingEvent) {
+        throw new NotFoundError("Event not found: The requested event does not exist.");
+      }
+
+      const owner = await readOwner(req.body, existingEvent);
+
+      if (!canManage(req.user, "events:write", existingEvent) || !canManage(req.user, "events:write", owner)) {
+        throw new ForbiddenError(`Forbidden: You can only edit events for departments or clubs you manage (${describeDepartments(existingEvent.department)}).`);
+      }
+
+      const key = findOccurrence(existingEvent, req.query);
+      const [first] = seriesDates(existingEvent);
+
+      if (key && req.query.scope === "occurrence") {
+        const { name, date, time, endTime, venue, details, image } = req.body;
+
+        if (req.body.recurrence) {
+          throw new ValidationError("Validation Error: recurrence cannot be set for a single occurrence.");
+        }
+        if (date.slice(0, 10) < first) {
+          throw new ValidationError("Validation Error: an occurrence cannot be moved before the first occurrence of its series.");
+        }
+
+        const overrides = [
+          ...(existingEvent.overrides || []).filter((override) => override.occurrence !== key),
+          {
+            occurrence: key,
+            name,
+            date,
+            time,
+            endTime: endTime ?? null,
+            venue,
+            details,
+            image: image || existingEvent.image || null,
+          },
+        ].sort((a, b) => a.occurrence.localeCompare(b.occurrence));
+        const changes = {
+          overrides,
+          lastOccurrence: lastOccurrenceOf({ ...existingEvent, overrides }),
+          updatedBy: req.user.email,
+          updatedAt: new Date(),
+        };
+
+        await eventsCollection.updateOne({ _id: id }, { $set: changes });
+
+        await recordAudit(req, {
+          action: "event.update",
+          targetType: "event",
+          targetId: id,
+          before: existingEvent,
+          after: { ...existingEvent, ...changes },
+        });
+        await stream.publish({
+          type: "event.updated",
+          targetId: id,
+          before: existingEvent,
+          after: { ...existingEvent, ...changes },
+        });
+
+        return res.status(200).json({
+          message: "Occurrence updated successfully. The rest of the series is unchanged.",
+          event: await uploads.withImage(buildOccurrence({ ...existingEvent, ...changes }, key)),
+        });
+      }
+
+      if (key && key !== first) {
+        // scope=following: the series ends before `key` and a new series,
+        // built from the body, takes over from there
+        const fields = buildEventFields(req.body, owner, config.timezone);
+
+        if (!fields.recurrence) {
+          const { count } = existingEvent.recurrence;
+          fields.recurrence = {
+            ...existingEvent.recurrence,
+            count: count ? count - countBefore(existingEvent, key) : null,
+          };
+        }
+
+        const carried = keepMatchingOccurrences({
+          ...fields,
+          exceptions: (existingEvent.exceptions || []).filter((date) => date >= key),
+          overrides: (existingEvent.overrides || []).filter((override) => override.occurrence >= key),
+        });
+        const newEvent = {
+          ...fields,
+          ...carried,
+          lastOccurrence: lastOccurrenceOf({ ...fields, ...carried }),
+          registeredCount: 0,
+          splitFrom: id,
+          createdBy: req.user.email,
+          createdAt: new Date(),
+        };
+        const changes = {
+          ...truncateSeries(existingEvent, key),
+          updatedBy: req.user.email,
+          updatedAt: new Date(),
+        };
+
+        const result = await eventsCollection.insertOne(newEvent);
+        await eventsCollection.updateOne({ _id: id }, { $set: changes });
+
+        await recordAudit(req, {
+          action: "event.update",
+          targetType: "event",
+          targetId: id,
+          before: existingEvent,
+          after: { ...existingEvent, ...changes },
+        });
+        await stream.publish({
+          type: "event.updated",
+          targetId: id,
+          before: existingEvent,
+          after: { ...existingEvent, ...changes },
+        });
+        await recordAudit(req, {
+          action: "event.create",
+          targetType: "event",
+          targetId: result.insertedId,
+          after: newEvent,
+        });
+        await stream.publish({
+          type: "event.created",
+          targetId: result.insertedId,
+          after: { ...newEvent, _id: result.insertedId },
+        });
+
+        return res.status(200).json({
+          message: "Event updated successfully. The changes apply from this occurrence on.",
+          event: await uploads.withImage(newEvent),
+        });
+      }
+
+      const fields = buildEventFields(req.body, owner, config.timezone);
+      const kept = keepMatchingOccurrences({ ...existingEvent, ...fields });
+      const updatedEvent = {
+        ...fields,
+        ...kept,
+        lastOccurrence: lastOccurrenceOf({ ...fields, ...kept }),
+        updatedBy: req.user.email,
+        updatedAt: new Date(),
+      };
+
+      const result = await eventsCollection.updateOne(
+        { _id: id },
+        { $set: updatedEvent }
+      );
+
+      if (!result.matchedCount) {
+        throw new NotFoundError("Event not found: The requested event does not exist.");
+      }
+
+      // A larger capacity frees seats for the waitlist
+      await registrations.promoteFromWaitlist(id);
+
+      await recordAudit(req, {
+        action: "event.update",
+        targetType: "event",
+        targetId: id,
+        before: existingEvent,
+        after: { ...existingEvent, ...updatedEvent },
+      });
+      await stream.publish({
+        type: "event.updated",
+        targetId: id,
+        before: existingEvent,
+        after: { ...existingEvent, ...updatedEvent },
+      });
+
+      res.status(200).json({
+        message: "Event updated successfully. Your changes have been saved.",
+        event: await uploads.withImage(updatedEvent),
+      });
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createEventsRouter };
@@ -0,0 +1,119 @@
+const express = require("express");
+const multer = require("multer");
+const {
+  asyncHandler,
+  ValidationError,
+  ConflictError,
+  parseObjectId,
+} = require("../errors");
+const { requirePermission } = require("../permissions");
+const { ROSTER_COLUMNS, ROW_STATUSES } = require("../services/imports");
+const { toCsvRow } = require("../utils");
+const { validateQuery, userImportQuerySchema } = require("../validation");
+
+// User Import Routes. A roster CSV is uploaded as multipart/form-data under
+// the field name "file". Small rosters are imported before the response;
+// larger ones in the background, answering 202 with an import to poll.
+const createImportsRouter = ({ collections, config, verifyToken, audit, imports }) => {
+  const router = express.Router();
+  const { userImportCollection } = collections;
+  const { recordAudit } = audit;
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.imports.maxBytes, files: 1 },
+  });
+
+  // API to Import Users from a Roster CSV (?dryRun=true only reports what
+  // the import would do)
+  router.post(
+    "/users/imports",
+    verifyToken,
+    requirePermission("users:import"),
+    validateQuery(userImportQuerySchema),
+    upload.single("file"),
+    asyncHandler(async (req, res) => {
+      if (!req.file) {
+        throw new ValidationError("Validation Error: No file uploaded.");
+      }
+
+      const dryRun = req.query.dryRun === "true";
+      const { job, done } = await imports.startImport(req.file, { dryRun, createdBy: req.user.email });
+
+      if (!dryRun) {
+        await recordAudit(req, {
+          action: "user.import",
+          targetType: "import",
+          targetId: job._id,
+          after: { fileName: job.fileName, total: job.total },
+        });
+      }
+
+      if (job.total > config.imports.inlineRows) {
+        return res.status(202).json({
+          message: "Import started. Poll the import for its progress.",
+          import: imports.presentImport(job),
+        });
+      }
+
+      await done;
+      res.status(201).json({
+        message: dryRun ? "Dry run finished. No users were changed." : "Import finished.",
+        import: imports.presentImport(await imports.findImport(job._id)),
+      });
+    })
+  );
+
+  // API to Fetch Recent User Imports
+  router.get("/users/imports", verifyToken, requirePermission("users:import"), asyncHandler(async (req, res) => {
+    const list = await userImportCollection.find({}).sort({ createdAt: -1 }).limit(50).toArray();
+    res.status(200).json(list.map(imports.presentImport));
+  }));
+
+  // API to Fetch a User Import's Progress and Summary
+  router.get("/users/imports/:id", verifyToken, requirePermission("users:import"), asyncHandler(async (req, res) => {
+    const job = await imports.findImport(parseObjectId(req.params.id));
+    res.status(200).json(imports.presentImport(job));
+  }));
+
+  // API to Fetch a Finished Import's Result for Every Row (JSON, or CSV with
+  // ?format=csv), optionally only those with ?status
+  router.get(
+    "/users/imports/:id/report",
+    verifyToken,
+    requirePermission("users:import"),
+    asyncHandler(async (req, res) => {
+      const job = await imports.findImport(parseObjectId(req.params.id));
+      const { status, format } = req.query;
+
+      if (status !== undefined && !ROW_STATUSES.includes(status)) {
+        throw new ValidationError(`Validation Error: status must be one of: ${ROW_STATUSES.join(", ")}.`);
+      }
+      if (job.status === "running") {
+        throw new ConflictError("Conflict: The import is still running. Fetch its report once it has finished.");
+      }
+
+      const rows = await imports.rowResults(job._id, status).toArray();
+
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="import-${job._id}.csv"`
+        );
+        res.write(toCsvRow(["row", ...ROSTER_COLUMNS, "status", "message"]));
+        for (const row of rows) {
+          res.write(
+            toCsvRow([row.row, ...ROSTER_COLUMNS.map((column) => row[column]), row.status, row.message])
+          );
+        }
+        return res.end();
+      }
+
+      res.status(200).json({ import: imports.presentImport(job), rows });
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createImportsRouter };
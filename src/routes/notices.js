@@ -0,0 +1,331 @@
+const express = require("express");
+const {
+  asyncHandler,
+  AppError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  parseObjectId,
+} = require("../errors");
+const {
+  describeDepartments,
+  canManage,
+  canViewNotice,
+  noticePublicationQuery,
+  requirePermission,
+} = require("../permissions");
+const { noticeStatus } = require("../publication");
+const { parseInstant } = require("../time");
+const {
+  validateBody,
+  validateQuery,
+  noticeSchema,
+  noticeListQuerySchema,
+} = require("../validation");
+
+// Publication fields of a validated notice body. An omitted `publishAt`
+// means "now" for a new notice and "unchanged" for an edited one; null
+// keeps the notice as a draft.
+const readPublication = ({ publishAt, expiresAt, pinned }, fallbackPublishAt, timeZone) => {
+  const publication = {
+    publishAt: publishAt === undefined ? fallbackPublishAt : publishAt && parseInstant(publishAt, timeZone),
+    expiresAt: expiresAt ? parseInstant(expiresAt, timeZone) : null,
+    pinned: pinned ?? false,
+  };
+
+  if (publication.publishAt && publication.expiresAt && publication.expiresAt <= publication.publishAt) {
+    throw new ValidationError("Validation Error: expiresAt must be after publishAt.");
+  }
+
+  return publication;
+};
+
+// Whether two notice department fields (a department, a list of them or
+// null) name the same departments
+const sameDepartments = (a, b) =>
+  [].concat(a ?? []).sort().join("\n") === [].concat(b ?? []).sort().join("\n");
+
+// Notice Routes
+const createNoticesRouter = ({
+  collections,
+  config,
+  verifyToken,
+  audit,
+  search,
+  receipts,
+  notifications,
+  stream,
+  attachments,
+  uploads,
+  comments,
+  clubs,
+}) => {
+  const router = express.Router();
+  const { noticeCollection, receiptCollection, notificationQueueCollection } = collections;
+  const { recordAudit } = audit;
+
+  // The { targetAudience, department, club } of a validated body, keeping
+  // the `current` club when it leaves that out. Club-only notices go to the
+  // club's members and belong to its department; every other notice needs a
+  // target audience and department.
+  const readAudience = async (body, current = {}) => {
+    const { targetAudience, department } = body;
+    const clubId = body.club === undefined ? current.club ?? null : body.club && parseObjectId(body.club);
+
+    if (clubId) {
+      const club = await clubs.findClub(clubId);
+      if (targetAudience || (department && !sameDepartments(department, club.department))) {
+        throw new ValidationError("Validation Error: targetAudience and department cannot be set on club notices; they go to the club's members.");
+      }
+      return { targetAudience: null, department: club.department ?? null, club: club._id };
+    }
+
+    const missing = ["targetAudience", "department"].filter((field) => !body[field]);
+    if (missing.length > 0) {
+      throw new ValidationError(
+        `Validation Error: ${missing.map((field) => `${field} is required`).join("; ")}.`,
+        missing.map((field) => ({ field, message: "is required" }))
+      );
+    }
+    return { targetAudience, department, club: null };
+  };
+
+  // API to Fetch Notices (paginated; optionally searched and filtered)
+  router.get("/notices", verifyToken, validateQuery(noticeListQuerySchema), asyncHandler(async (req, res) => {
+    const { page: pageParam, limit: limitParam, ...filters } = req.query;
+    const page = pageParam === undefined ? 1 : Number(pageParam);
+    const limit = limitParam === undefined ? 20 : Number(limitParam);
+
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new ValidationError("Validation Error: page must be a positive integer and limit between 1 and 100.");
+    }
+
+    const { notices, total } = await search.listNotices(req.user, filters, { page, limit });
+    const noticeIds = notices.map((notice) => notice._id);
+    const [receiptsByNotice, commentCounts] = await Promise.all([
+      receipts.receiptsFor(req.user.email, noticeIds),
+      comments.countsFor("notice", noticeIds),
+    ]);
+
+    res.status(200).json({
+      notices: (await uploads.withImages(notices)).map((notice) => {
+        const receipt = receiptsByNotice.get(notice._id.toString());
+        return {
+          ...notice,
+          isRead: Boolean(receipt),
+          acknowledgedAt: receipt?.acknowledgedAt ?? null,
+          commentCount: commentCounts.get(notice._id.toString()) ?? 0,
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  }));
+
+  // API to Create New Notice
+  router.post(
+    "/notices",
+    verifyToken,
+    requirePermission("notices:write", { clubs: true }),
+    validateBody(noticeSchema),
+    asyncHandler(async (req, res) => {
+      const { title, category, description, image, date, requiresAck } = req.body;
+      const audience = await readAudience(req.body);
+
+      if (!canManage(req.user, "notices:write", audience)) {
+        throw new ForbiddenError(`Forbidden: You can only publish notices for departments or clubs you manage (${describeDepartments(audience.department)}).`);
+      }
+
+      const newNotice = {
+        title,
+        category,
+        description,
+        image,
+        date,
+        ...audience,
+        requiresAck: requiresAck ?? false,
+        ...readPublication(req.body, new Date(), config.timezone),
+        createdBy: req.user.email,
+        createdAt: new Date(),
+      };
+
+      const result = await noticeCollection.insertOne(newNotice);
+
+      if (!result.insertedId) {
+        throw new AppError("Internal Server Error: Unable to create the notice.");
+      }
+
+      await recordAudit(req, {
+        action: "notice.create",
+        targetType: "notice",
+        targetId: result.insertedId,
+        after: newNotice,
+      });
+      await stream.publish({
+        type: "notice.created",
+        targetId: result.insertedId,
+        after: { ...newNotice, _id: result.insertedId },
+      });
+      await notifications.enqueueNotice({ ...newNotice, _id: result.insertedId }, "created");
+
+      res
+        .status(201)
+        .json({
+          message: "Notice created successfully.",
+          notice: await uploads.withImage({ ...newNotice, status: noticeStatus(newNotice) }),
+        });
+    })
+  );
+
+  // API to Fetch a Specific Notice by ID, recording that the caller read it.
+  // Unpublished notices are only found by those who can edit them.
+  router.get("/notices/:id", verifyToken, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    const notice = await noticeCollection.findOne({
+      _id: id,
+      ...noticePublicationQuery(req.user),
+    });
+
+    // Club-only notices are for the club's members
+    if (!notice || (notice.club && !canViewNotice(req.user, notice))) {
+      throw new NotFoundError("Notice not found: The requested notice does not exist.");
+    }
+
+    const status = noticeStatus(notice);
+    if (status === "live") {
+      await receipts.markRead(id, req.user.email);
+    }
+    const receipt = (await receipts.receiptsFor(req.user.email, [id])).get(id.toString());
+
+    res.status(200).json({
+      ...(await uploads.withImage(notice)),
+      status,
+      readAt: receipt?.readAt ?? null,
+      acknowledgedAt: receipt?.acknowledgedAt ?? null,
+    });
+  }));
+
+  // API to Update an Existing Notice
+  router.put(
+    "/notices/:id",
+    verifyToken,
+    requirePermission("notices:write", { clubs: true }),
+    validateBody(noticeSchema),
+    asyncHandler(async (req, res) => {
+      const id = parseObjectId(req.params.id);
+      const { title, category, description, image, date, requiresAck } = req.body;
+
+      const existingNotice = await noticeCollection.findOne({
+        _id: id,
+      });
+
+      if (!existingNotice) {
+        throw new NotFoundError("Notice not found: The requested notice does not exist.");
+      }
+
+      const audience = await readAudience(req.body, existingNotice);
+
+      if (!canManage(req.user, "notices:write", existingNotice) || !canManage(req.user, "notices:write", audience)) {
+        throw new ForbiddenError(`Forbidden: You can only edit notices for departments or clubs you manage (${describeDepartments(existingNotice.department)}).`);
+      }
+
+      const updatedNotice = {
+        title,
+        category,
+        description,
+        image,
+        date,
+        ...audience,
+        requiresAck: requiresAck ?? false,
+        ...readPublication(
+          req.body,
+          existingNotice.publishAt === undefined
+            ? existingNotice.createdAt ?? new Date()
+            : existingNotice.publishAt,
+          config.timezone
+        ),
+        updatedBy: req.user.email,
+        updatedAt: new Date(),
+      };
+
+      const result = await noticeCollection.updateOne(
+        { _id: id },
+        { $set: updatedNotice }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new NotFoundError("Notice not found: The requested notice does not exist.");
+      }
+
+      await recordAudit(req, {
+        action: "notice.update",
+        targetType: "notice",
+        targetId: id,
+        before: existingNotice,
+        after: { ...existingNotice, ...updatedNotice },
+      });
+      await stream.publish({
+        type: "notice.updated",
+        targetId: id,
+        before: existingNotice,
+        after: { ...existingNotice, ...updatedNotice },
+      });
+      // Readers who could not see the notice before hear about it as new
+      const wasPublished = ["live", "expired"].includes(noticeStatus(existingNotice));
+      await notifications.enqueueNotice(
+        { ...existingNotice, ...updatedNotice },
+        wasPublished ? "updated" : "created"
+      );
+
+      res.status(200).json({
+        message: "Notice updated successfully. Your changes have been saved.",
+        notice: await uploads.withImage({ ...updatedNotice, status: noticeStatus(updatedNotice) }),
+      });
+    })
+  );
+
+  // API to Delete Notice
+  router.delete("/notices/:id", verifyToken, requirePermission("notices:delete", { clubs: true }), asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+
+    const notice = await noticeCollection.findOne({ _id: id });
+    if (!notice) {
+      throw new NotFoundError("Notice not found: The requested notice does not exist.");
+    }
+
+    if (!canManage(req.user, "notices:delete", notice)) {
+      throw new ForbiddenError(`Forbidden: You can only delete notices for departments or clubs you manage (${describeDepartments(notice.department)}).`);
+    }
+
+    const result = await noticeCollection.deleteOne({
+      _id: id,
+    });
+
+    if (result.deletedCount === 0) {
+      throw new NotFoundError("Notice not found: The requested notice does not exist.");
+    }
+
+    await receiptCollection.deleteMany({ noticeId: id });
+    await notificationQueueCollection.deleteMany({ noticeId: id, status: "pending" });
+    await attachments.removeFiles(notice.attachments);
+    await comments.removeAllFor("notice", id);
+
+    await recordAudit(req, {
+      action: "notice.delete",
+      targetType: "notice",
+      targetId: id,
+      before: notice,
+    });
+    await stream.publish({ type: "notice.deleted", targetId: id, before: notice });
+
+    res.status(200).json({ message: "Notice deleted successfully. The notice has been removed." });
+  }));
+
+  return router;
+};
+
+module.exports = { createNoticesRouter };
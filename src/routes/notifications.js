@@ -0,0 +1,104 @@
+const express = require("express");
+const { asyncHandler, UnauthorizedError, ValidationError } = require("../errors");
+const { validateBody, notificationPreferencesSchema } = require("../validation");
+const { escapeHtml } = require("../utils");
+
+// Users receive every kind of notification unless they turned it off
+const readPreferences = (user) => ({
+  emailNotices: user?.notificationPreferences?.emailNotices ?? true,
+  pushNotices: user?.notificationPreferences?.pushNotices ?? true,
+});
+
+// Page behind the unsubscribe link in emails, asking to confirm with a POST
+// to `action`
+const renderUnsubscribePage = (action) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>Unsubscribe from LuPulse</title>
+  </head>
+  <body>
+    <p>Stop receiving notice emails from LuPulse? You can turn them back on in your settings.</p>
+    <form method="post" action="${escapeHtml(action)}">
+      <button type="submit">Unsubscribe</button>
+    </form>
+  </body>
+</html>
+`;
+
+// Notification Preference Routes. The unsubscribe link in emails is
+// authorised by a signed token instead of a login.
+const createNotificationsRouter = ({ collections, verifyToken, notifications }) => {
+  const router = express.Router();
+  const { userCollection } = collections;
+
+  const unsubscribe = async (token) => {
+    const email = notifications.readUnsubscribeToken(token);
+    if (!email) {
+      throw new UnauthorizedError("Unauthorized: The unsubscribe link is invalid.");
+    }
+    await userCollection.updateOne(
+      { email },
+      { $set: { "notificationPreferences.emailNotices": false } }
+    );
+  };
+
+  // API to Fetch the Logged-in User's Notification Preferences
+  router.get("/notifications/preferences", verifyToken, asyncHandler(async (req, res) => {
+    const user = await userCollection.findOne({ email: req.user.email });
+    res.status(200).json(readPreferences(user));
+  }));
+
+  // API to Update the Logged-in User's Notification Preferences
+  router.put(
+    "/notifications/preferences",
+    verifyToken,
+    validateBody(notificationPreferencesSchema),
+    asyncHandler(async (req, res) => {
+      const changes = Object.fromEntries(
+        Object.entries(req.body).map(([name, value]) => [`notificationPreferences.${name}`, value])
+      );
+
+      if (Object.keys(changes).length === 0) {
+        throw new ValidationError("Validation Error: Provide emailNotices or pushNotices.");
+      }
+
+      const user = await userCollection.findOneAndUpdate(
+        { email: req.user.email },
+        { $set: changes },
+        { returnDocument: "after" }
+      );
+      res.status(200).json({
+        message: "Notification preferences saved.",
+        preferences: readPreferences(user),
+      });
+    })
+  );
+
+  // API Showing the Confirmation Page for the Link in an Email. Mail
+  // scanners and link previews open links too, so opening it changes nothing.
+  router.get("/notifications/unsubscribe", asyncHandler(async (req, res) => {
+    const { token } = req.query;
+    if (!notifications.readUnsubscribeToken(token)) {
+      throw new UnauthorizedError("Unauthorized: The unsubscribe link is invalid.");
+    }
+    res
+      .status(200)
+      .type("html")
+      .send(renderUnsubscribePage(`/notifications/unsubscribe?token=${encodeURIComponent(token)}`));
+  }));
+
+  // API to Stop Notice Emails, from the Confirmation Page or as a One-Click
+  // Unsubscribe (RFC 8058) from Mail Clients
+  router.post("/notifications/unsubscribe", asyncHandler(async (req, res) => {
+    await unsubscribe(req.query.token);
+    res
+      .status(200)
+      .type("text")
+      .send("You will no longer receive notice emails from LuPulse. You can turn them back on in your settings.");
+  }));
+
+  return router;
+};
+
+module.exports = { createNotificationsRouter };
@@ -0,0 +1,58 @@
+const express = require("express");
+const { asyncHandler, NotFoundError } = require("../errors");
+const {
+  validateBody,
+  pushSubscriptionSchema,
+  pushUnsubscribeSchema,
+} = require("../validation");
+
+// Web Push Subscription Routes
+const createPushRouter = ({ collections, verifyToken, push }) => {
+  const router = express.Router();
+  const { pushSubscriptionCollection } = collections;
+
+  // API to Fetch the Public VAPID Key Browsers Subscribe With
+  // (the applicationServerKey of PushManager.subscribe())
+  router.get("/push/vapid-public-key", asyncHandler(async (req, res) => {
+    const { publicKey } = await push.getVapidKeys();
+    res.status(200).json({ publicKey });
+  }));
+
+  // API to List the Logged-in User's Subscribed Browsers
+  router.get("/push/subscriptions", verifyToken, asyncHandler(async (req, res) => {
+    const subscriptions = await pushSubscriptionCollection
+      .find({ email: req.user.email })
+      .project({ _id: 0, endpoint: 1, userAgent: 1, createdAt: 1 })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.status(200).json(subscriptions);
+  }));
+
+  // API to Subscribe the Current Browser (the JSON of a PushSubscription)
+  router.post(
+    "/push/subscriptions",
+    verifyToken,
+    validateBody(pushSubscriptionSchema),
+    asyncHandler(async (req, res) => {
+      await push.subscribe(req.user.email, req.body, req.get("user-agent"));
+      res.status(201).json({ message: "Push notifications enabled for this browser." });
+    })
+  );
+
+  // API to Unsubscribe a Browser
+  router.delete(
+    "/push/subscriptions",
+    verifyToken,
+    validateBody(pushUnsubscribeSchema),
+    asyncHandler(async (req, res) => {
+      if (!(await push.unsubscribe(req.user.email, req.body.endpoint))) {
+        throw new NotFoundError("Subscription not found: This browser is not subscribed.");
+      }
+      res.status(200).json({ message: "Push notifications disabled for this browser." });
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createPushRouter };
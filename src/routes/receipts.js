@@ -0,0 +1,145 @@
+const express = require("express");
+const {
+  asyncHandler,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  parseObjectId,
+} = require("../errors");
+const {
+  describeDepartments,
+  canManage,
+  noticeAudienceQuery,
+  noticeVisibilityQuery,
+  requirePermission,
+} = require("../permissions");
+const { noticeStatusQuery } = require("../publication");
+const { percentage, toCsvRow } = require("../utils");
+
+// Counts the audience, reads and acknowledgements of `rows` by `key`
+const breakdown = (rows, key) => {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const name = row[key] ?? null;
+    const group = groups.get(name) || { [key]: name, audience: 0, read: 0, acknowledged: 0 };
+    group.audience += 1;
+    group.read += row.readAt ? 1 : 0;
+    group.acknowledged += row.acknowledgedAt ? 1 : 0;
+    groups.set(name, group);
+  }
+
+  return [...groups.values()]
+    .map((group) => ({
+      ...group,
+      readRate: percentage(group.read, group.audience),
+      acknowledgementRate: percentage(group.acknowledged, group.audience),
+    }))
+    .sort((a, b) => b.audience - a.audience);
+};
+
+// Notice Read Receipt and Acknowledgement Routes
+const createReceiptsRouter = ({ collections, verifyToken, receipts }) => {
+  const router = express.Router();
+  const { noticeCollection, receiptCollection, userCollection } = collections;
+
+  // API to Count the Logged-in User's Unread and Unacknowledged Notices
+  router.get("/notices/unread-count", verifyToken, asyncHandler(async (req, res) => {
+    res.status(200).json(await receipts.unreadCounts(req.user));
+  }));
+
+  // API to Acknowledge a Notice that Asks for It
+  router.post("/notices/:id/ack", verifyToken, asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    const notice = await noticeCollection.findOne({
+      $and: [{ _id: id }, noticeVisibilityQuery(req.user), noticeStatusQuery("live")],
+    });
+
+    if (!notice) {
+      throw new NotFoundError("Notice not found: The requested notice does not exist.");
+    }
+    if (!notice.requiresAck) {
+      throw new ValidationError("Validation Error: This notice does not ask for an acknowledgement.");
+    }
+
+    const receipt = await receipts.acknowledge(id, req.user.email);
+
+    res.status(200).json({
+      message: "Notice acknowledged.",
+      readAt: receipt.readAt,
+      acknowledgedAt: receipt.acknowledgedAt,
+    });
+  }));
+
+  // API to Report Who Has Read and Acknowledged a Notice (JSON, or the users
+  // still pending as CSV with ?format=csv)
+  router.get("/notices/:id/acknowledgements", verifyToken, requirePermission("notices:receipts", { clubs: true }), asyncHandler(async (req, res) => {
+    const id = parseObjectId(req.params.id);
+    const notice = await noticeCollection.findOne({ _id: id });
+
+    if (!notice) {
+      throw new NotFoundError("Notice not found: The requested notice does not exist.");
+    }
+    if (!canManage(req.user, "notices:receipts", notice)) {
+      throw new ForbiddenError(`Forbidden: You can only view receipts of notices for departments or clubs you manage (${describeDepartments(notice.department)}).`);
+    }
+
+    const [users, entries] = await Promise.all([
+      userCollection
+        .find(noticeAudienceQuery(notice))
+        .project({ email: 1, fullName: 1, id: 1, userType: 1, department: 1 })
+        .sort({ fullName: 1, email: 1 })
+        .toArray(),
+      receiptCollection.find({ noticeId: id }).toArray(),
+    ]);
+    const receiptsByEmail = new Map(entries.map((entry) => [entry.email, entry]));
+
+    const rows = users.map(({ _id, ...user }) => ({
+      ...user,
+      readAt: receiptsByEmail.get(user.email)?.readAt ?? null,
+      acknowledgedAt: receiptsByEmail.get(user.email)?.acknowledgedAt ?? null,
+    }));
+    // Without an acknowledgement to wait for, users are pending until they read it
+    const pending = rows.filter((row) => !(notice.requiresAck ? row.acknowledgedAt : row.readAt));
+
+    if (req.query.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="pending-${notice._id}.csv"`
+      );
+      res.write(toCsvRow(["email", "fullName", "id", "userType", "department", "readAt"]));
+      for (const row of pending) {
+        res.write(
+          toCsvRow([row.email, row.fullName, row.id, row.userType, row.department, row.readAt?.toISOString()])
+        );
+      }
+      return res.end();
+    }
+
+    const read = rows.filter((row) => row.readAt).length;
+    const acknowledged = rows.filter((row) => row.acknowledgedAt).length;
+
+    res.status(200).json({
+      notice: {
+        _id: notice._id,
+        title: notice.title,
+        department: notice.department ?? null,
+        targetAudience: notice.targetAudience,
+        requiresAck: Boolean(notice.requiresAck),
+      },
+      audience: rows.length,
+      read,
+      acknowledged,
+      readRate: percentage(read, rows.length),
+      acknowledgementRate: percentage(acknowledged, rows.length),
+      byDepartment: breakdown(rows, "department"),
+      byUserType: breakdown(rows, "userType"),
+      pending,
+    });
+  }));
+
+  return router;
+};
+
+module.exports = { createReceiptsRouter };
@@ -0,0 +1,139 @@
+const express = require("express");
+const {
+  asyncHandler,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  parseObjectId,
+} = require("../errors");
+const { describeDepartments, canManage, requirePermission } = require("../permissions");
+const { formatRegistration } = require("../services/registrations");
+const { toCsvRow } = require("../utils");
+
+const REGISTRATION_STATUSES = ["registered", "waitlisted", "cancelled"];
+
+// Event Registration Routes
+const createRegistrationsRouter = ({ collections, verifyToken, registrations, checkIn }) => {
+  const router = express.Router();
+  const { eventsCollection, registrationCollection, userCollection } = collections;
+
+  const findEvent = async (id) => {
+    const event = await eventsCollection.findOne({ _id: parseObjectId(id) });
+    if (!event) {
+      throw new NotFoundError("Event not found: The requested event does not exist.");
+    }
+    return event;
+  };
+
+  // API to Register for an Event (joins the waitlist when it is full)
+  router.post("/events/:id/registration", verifyToken, asyncHandler(async (req, res) => {
+    const event = await findEvent(req.params.id);
+    const registration = await registrations.register(event, req.user.email);
+
+    res.status(201).json({
+      message:
+        registration.status === "registered"
+          ? "Registered successfully. See you at the event!"
+          : `The event is full. You have been added to the waitlist at position ${registration.waitlistPosition}.`,
+      registration: formatRegistration(registration, checkIn.issueCode),
+    });
+  }));
+
+  // API to Cancel a Registration or Leave the Waitlist
+  router.delete("/events/:id/registration", verifyToken, asyncHandler(async (req, res) => {
+    const event = await findEvent(req.params.id);
+    await registrations.cancel(event._id, req.user.email);
+
+    res.status(200).json({ message: "Registration cancelled successfully." });
+  }));
+
+  // API to List an Event's Attendees (JSON, or CSV with ?format=csv)
+  router.get("/events/:id/attendees", verifyToken, requirePermission("events:attendees", { clubs: true }), asyncHandler(async (req, res) => {
+    const event = await findEvent(req.params.id);
+    const { status, format } = req.query;
+
+    if (!canManage(req.user, "events:attendees", event)) {
+      throw new ForbiddenError(`Forbidden: You can only view attendees of events for departments or clubs you manage (${describeDepartments(event.department)}).`);
+    }
+
+    if (status !== undefined && !REGISTRATION_STATUSES.includes(status)) {
+      throw new ValidationError(`Validation Error: status must be one of: ${REGISTRATION_STATUSES.join(", ")}.`);
+    }
+
+    const query = { eventId: event._id };
+    if (status) {
+      query.status = status;
+    }
+
+    // Registered first, then the waitlist in order, then cancellations
+    const entries = (
+      await registrationCollection.find(query).sort({ registeredAt: 1, waitlistedAt: 1 }).toArray()
+    ).sort(
+      (a, b) => REGISTRATION_STATUSES.indexOf(a.status) - REGISTRATION_STATUSES.indexOf(b.status)
+    );
+
+    const users = await userCollection
+      .find({ email: { $in: entries.map((entry) => entry.email) } })
+      .project({ email: 1, fullName: 1, id: 1, userType: 1, department: 1 })
+      .toArray();
+    const usersByEmail = new Map(users.map((user) => [user.email, user]));
+
+    const attendees = entries.map((entry) => {
+      const user = usersByEmail.get(entry.email) || {};
+      return {
+        email: entry.email,
+        fullName: user.fullName ?? null,
+        id: user.id ?? null,
+        userType: user.userType ?? null,
+        department: user.department ?? null,
+        status: entry.status,
+        registeredAt: entry.registeredAt ?? null,
+        waitlistedAt: entry.waitlistedAt ?? null,
+        cancelledAt: entry.cancelledAt ?? null,
+        checkedInAt: entry.checkedInAt ?? null,
+      };
+    });
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="attendees-${event._id}.csv"`
+      );
+      res.write(
+        toCsvRow(["email", "fullName", "id", "userType", "department", "status", "registeredAt", "waitlistedAt", "cancelledAt", "checkedInAt"])
+      );
+      for (const attendee of attendees) {
+        res.write(
+          toCsvRow([
+            attendee.email,
+            attendee.fullName,
+            attendee.id,
+            attendee.userType,
+            attendee.department,
+            attendee.status,
+            attendee.registeredAt?.toISOString(),
+            attendee.waitlistedAt?.toISOString(),
+            attendee.cancelledAt?.toISOString(),
+            attendee.checkedInAt?.toISOString(),
+          ])
+        );
+      }
+      return res.end();
+    }
+
+    res.status(200).json({
+      event: {
+        _id: event._id,
+        name: event.name,
+        capacity: event.capacity ?? null,
+        registeredCount: event.registeredCount || 0,
+      },
+      attendees,
+    });
+  }));
+
+  return router;
+};
+
+module.exports = { createRegistrationsRouter };
@@ -0,0 +1,195 @@
+const express = require("express");
+const {
+  asyncHandler,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../errors");
+const {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  parseGrant,
+  requirePermission,
+} = require("../permissions");
+const { validateBody, roleSchema, roleUpdateSchema } = require("../validation");
+
+// Role Routes (superadmin role management)
+const createRolesRouter = ({ collections, verifyToken, audit }) => {
+  const router = express.Router();
+  const { roleCollection, userCollection } = collections;
+  const { recordAudit } = audit;
+
+  // Validates a role's permission list; returns an error message or null
+  const validateRolePermissions = (permissions) => {
+    if (!Array.isArray(permissions) || permissions.some((grant) => typeof grant !== "string")) {
+      return "Validation Error: permissions must be an array of strings.";
+    }
+
+    const unknown = permissions.filter(
+      (grant) => !PERMISSIONS.includes(parseGrant(grant).permission)
+    );
+    if (unknown.length > 0) {
+      return `Validation Error: Unknown permissions: ${unknown.join(", ")}.`;
+    }
+
+    return null;
+  };
+
+  // Scopes bare permissions to the role's department, if it has one
+  const scopeGrants = (permissions, department) =>
+    department
+      ? permissions.map((grant) => (grant.includes("@") ? grant : `${grant}@${department}`))
+      : permissions;
+
+  // API to Fetch All Roles
+  router.get("/roles", verifyToken, requirePermission("roles:manage"), asyncHandler(async (req, res) => {
+    const roles = await roleCollection.find().sort({ name: 1 }).toArray();
+    res.status(200).json({ roles, permissions: PERMISSIONS });
+  }));
+
+  // API to Create a Role
+  router.post(
+    "/roles",
+    verifyToken,
+    requirePermission("roles:manage"),
+    validateBody(roleSchema),
+    asyncHandler(async (req, res) => {
+      const { name, description, permissions, department } = req.body;
+
+      if (typeof name !== "string" || !/^[a-z0-9][a-z0-9-]{1,49}$/.test(name)) {
+        throw new ValidationError("Validation Error: Role name must be 2-50 lowercase letters, digits or hyphens.");
+      }
+
+      const permissionError = validateRolePermissions(permissions);
+      if (permissionError) {
+        throw new ValidationError(permissionError);
+      }
+
+      if (BUILT_IN_ROLES[name] || (await roleCollection.findOne({ name }))) {
+        throw new ConflictError("Role already exists: Choose a different role name.");
+      }
+
+      const role = {
+        name,
+        description: description || "",
+        permissions: scopeGrants(permissions, department),
+        department: department || null,
+        builtIn: false,
+        createdAt: new Date(),
+      };
+
+      await roleCollection.insertOne(role);
+
+      await recordAudit(req, {
+        action: "role.create",
+        targetType: "role",
+        targetId: name,
+        after: role,
+      });
+
+      res.status(201).json({ message: "Role created successfully.", role });
+    })
+  );
+
+  // API to Update a Role
+  router.patch(
+    "/roles/:name",
+    verifyToken,
+    requirePermission("roles:manage"),
+    validateBody(roleUpdateSchema),
+    asyncHandler(async (req, res) => {
+      const { name } = req.params;
+      const { description, permissions, department } = req.body;
+
+      const role = await roleCollection.findOne({ name });
+      if (!role) {
+        throw new NotFoundError("Role not found: The requested role does not exist.");
+      }
+
+      if (role.builtIn) {
+        throw new ForbiddenError("Forbidden: Built-in roles cannot be modified.");
+      }
+
+      const update = { updatedAt: new Date() };
+
+      if (description !== undefined) {
+        update.description = description;
+      }
+
+      if (department !== undefined) {
+        update.department = department || null;
+      }
+
+      if (permissions !== undefined) {
+        const permissionError = validateRolePermissions(permissions);
+        if (permissionError) {
+          throw new ValidationError(permissionError);
+        }
+        update.permissions = scopeGrants(
+          permissions,
+          department !== undefined ? department : role.department
+        );
+      } else if (department !== undefined) {
+        // Move the existing grants from the old department to the new one
+        update.permissions = scopeGrants(
+          role.permissions.map((grant) =>
+            role.department && grant.endsWith(`@${role.department}`)
+              ? parseGrant(grant).permission
+              : grant
+          ),
+          department
+        );
+      }
+
+      await roleCollection.updateOne({ name }, { $set: update });
+
+      await recordAudit(req, {
+        action: "role.update",
+        targetType: "role",
+        targetId: name,
+        before: role,
+        after: { ...role, ...update },
+      });
+
+      res.status(200).json({
+        message: "Role updated successfully. Your changes have been saved.",
+        role: { ...role, ...update },
+      });
+    })
+  );
+
+  // API to Delete a Role
+  router.delete("/roles/:name", verifyToken, requirePermission("roles:manage"), asyncHandler(async (req, res) => {
+    const { name } = req.params;
+
+    const role = await roleCollection.findOne({ name });
+    if (!role) {
+      throw new NotFoundError("Role not found: The requested role does not exist.");
+    }
+
+    if (role.builtIn) {
+      throw new ForbiddenError("Forbidden: Built-in roles cannot be deleted.");
+    }
+
+    const assignedCount = await userCollection.countDocuments({ adminRole: name });
+    if (assignedCount > 0) {
+      throw new ValidationError(`Validation Error: The role is still assigned to ${assignedCount} user(s).`);
+    }
+
+    await roleCollection.deleteOne({ name });
+
+    await recordAudit(req, {
+      action: "role.delete",
+      targetType: "role",
+      targetId: name,
+      before: role,
+    });
+
+    res.status(200).json({ message: "Role deleted successfully. The role has been removed." });
+  }));
+
+  return router;
+};
+
+module.exports = { createRolesRouter };
@@ -0,0 +1,33 @@
+const express = require("express");
+const { asyncHandler, ValidationError } = require("../errors");
+const { validateQuery, searchQuerySchema } = require("../validation");
+
+// Search Routes
+const createSearchRouter = ({ verifyToken, search, uploads }) => {
+  const router = express.Router();
+
+  // API to Search Notices and Events
+  router.get("/search", verifyToken, validateQuery(searchQuerySchema), asyncHandler(async (req, res) => {
+    const { type = "all", limit: limitParam, ...filters } = req.query;
+    const limit = limitParam === undefined ? 20 : Number(limitParam);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new ValidationError("Validation Error: limit must be between 1 and 100.");
+    }
+
+    const [notices, events] = await Promise.all([
+      type === "events" ? [] : search.searchNotices(req.user, filters, { limit }),
+      type === "notices" ? [] : search.searchEvents(filters, { limit }),
+    ]);
+
+    res.status(200).json({
+      query: filters.q,
+      notices: await uploads.withImages(notices),
+      events: await uploads.withImages(events),
+    });
+  }));
+
+  return router;
+};
+
+module.exports = { createSearchRouter };
@@ -0,0 +1,110 @@
+const express = require("express");
+const { asyncHandler } = require("../errors");
+
+// How long browsers wait before reconnecting a dropped stream
+const RECONNECT_DELAY_MS = 3000;
+
+// One Server-Sent Events message
+const formatEvent = ({ id, event, data }) =>
+  `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// The Last-Event-ID a reconnecting client sent (browsers use the header;
+// ?lastEventId= is for clients that cannot set it), or null
+const readLastEventId = (req) => {
+  const value = req.get("Last-Event-ID") ?? req.query.lastEventId;
+  return /^\d+$/.test(value ?? "") ? Number(value) : null;
+};
+
+// Live Update Routes
+const createStreamRouter = ({ collections, config, verifyToken, stream }) => {
+  const router = express.Router();
+  const { sessionCollection } = collections;
+
+  // Whether the login a stream was opened with is still valid
+  const isSessionActive = async (sessionId) =>
+    Boolean(
+      await sessionCollection.findOne(
+        { _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { projection: { _id: 1 } }
+      )
+    );
+
+  // API to Receive Notice and Event Changes as Server-Sent Events, resuming
+  // after the Last-Event-ID of a reconnecting client
+  router.get("/stream", verifyToken, asyncHandler(async (req, res) => {
+    const lastEventId = readLastEventId(req);
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // Keeps reverse proxies such as nginx from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const send = (message) => {
+      const event = stream.messageFor(req.user, message);
+      if (event) {
+        res.write(formatEvent(event));
+      }
+    };
+
+    // Changes arriving while the missed ones are replayed wait their turn
+    let held = lastEventId === null ? null : [];
+    let replayed = new Set();
+    const unsubscribe = stream.subscribe((message) => {
+      if (held) {
+        held.push(message);
+      } else if (!replayed.has(message._id)) {
+        send(message);
+      }
+    });
+
+    // A stream outlives the access token it was opened with, so every
+    // heartbeat checks the session again and ends the stream once the user
+    // logged out, was signed out everywhere or the session expired. The
+    // browser's reconnect is then refused by verifyToken.
+    const heartbeat = setInterval(async () => {
+      try {
+        const active = await isSessionActive(req.user.sessionId);
+        if (res.writableEnded || res.destroyed) {
+          return;
+        }
+        if (active) {
+          res.write(": keep-alive\n\n");
+        } else {
+          res.end();
+        }
+      } catch (error) {
+        console.error("Stream Session Check Error:", error);
+      }
+    }, config.stream.heartbeatMs);
+
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    if (held) {
+      const { changes, current } = await stream.changesSince(lastEventId);
+
+      if (changes === null) {
+        // Too far behind to catch up: the client should reload its data
+        res.write(formatEvent({ id: current, event: "reset", data: {} }));
+        replayed = new Set(held.filter((message) => message._id <= current).map((message) => message._id));
+      } else {
+        changes.forEach(send);
+        replayed = new Set(changes.map((message) => message._id));
+      }
+
+      const waiting = held;
+      held = null;
+      waiting.filter((message) => !replayed.has(message._id)).forEach(send);
+    }
+  }));
+
+  return router;
+};
+
+module.exports = { createStreamRouter };
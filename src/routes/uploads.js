@@ -0,0 +1,47 @@
+const express = require("express");
+const multer = require("multer");
+const { asyncHandler, ValidationError } = require("../errors");
+
+// Upload Routes. Images are checked and recorded by the uploads service and
+// kept in the `images` store: Cloudinary in production, a local directory in
+// development and tests.
+const createUploadsRouter = ({ config, verifyToken, images, uploads }) => {
+  const router = express.Router();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.images.maxBytes, files: 1 },
+  });
+
+  // Images kept on this server's disk are served from here. Every upload
+  // gets a new key, so they never change.
+  if (images.directory) {
+    router.use(
+      "/images",
+      express.static(images.directory, {
+        index: false,
+        immutable: true,
+        maxAge: "365d",
+        setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff"),
+      })
+    );
+  }
+
+  // API to Upload an Image
+  router.post("/upload-image", verifyToken, upload.single("image"), asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new ValidationError("Validation Error: No file uploaded.");
+    }
+
+    const image = await uploads.saveImage(req.file, req.user.email);
+    res.status(200).json({
+      success: true,
+      message: "Image uploaded successfully.",
+      imageUrl: image.url,
+      images: uploads.describeImages(image.url, image),
+    });
+  }));
+
+  return router;
+};
+
+module.exports = { createUploadsRouter };
@@ -0,0 +1,310 @@
+const express = require("express");
+const { EMAIL_COLLATION, sameEmail } = require("../db");
+const {
+  asyncHandler,
+  AppError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+} = require("../errors");
+const { hasPermission, requirePermission } = require("../permissions");
+const { escapeRegex } = require("../utils");
+const { validateBody, profileUpdateSchema } = require("../validation");
+
+// User Routes
+const createUsersRouter = ({ collections, verifyToken, sessions, audit, uploads }) => {
+  const router = express.Router();
+  const { userCollection, roleCollection } = collections;
+  const { revokeSessions, clearAuthCookies } = sessions;
+  const { recordAudit } = audit;
+
+  // Fields of a user document that listing endpoints may return
+  const userListProjection = {
+    fullName: 1,
+    id: 1,
+    email: 1,
+    userType: 1,
+    department: 1,
+    designation: 1,
+    image: 1,
+    adminRole: 1,
+    createdAt: 1,
+  };
+
+  // The :email of a path, matched the way login matches emails: ignoring
+  // case. `isSelf` is whether it names the caller's own account.
+  const readEmailParam = (req) => {
+    const { email } = req.params;
+    return { email, isSelf: sameEmail(email, req.user.email) };
+  };
+
+  // The account with `email`, compared as readEmailParam compares it
+  const findUserByEmail = (email) => userCollection.findOne({ email }, { collation: EMAIL_COLLATION });
+
+  // API to Fetch Users (paginated, filterable and searchable)
+  router.get("/users", verifyToken, requirePermission("users:read"), asyncHandler(async (req, res) => {
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new ValidationError("Validation Error: page must be a positive integer and limit between 1 and 100.");
+    }
+
+    const query = {};
+
+    for (const field of ["department", "userType", "adminRole"]) {
+      if (typeof req.query[field] === "string" && req.query[field]) {
+        query[field] = req.query[field];
+      }
+    }
+
+    if (typeof req.query.search === "string" && req.query.search.trim()) {
+      const pattern = new RegExp(escapeRegex(req.query.search.trim()), "i");
+      query.$or = [{ fullName: pattern }, { email: pattern }, { id: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      userCollection
+        .find(query, { projection: userListProjection })
+        .sort({ fullName: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      userCollection.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      users: await uploads.withImages(users),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  }));
+
+  // API to Fetch a Specific User by Email
+  router.get("/users/:email", verifyToken, asyncHandler(async (req, res) => {
+    const { email, isSelf } = readEmailParam(req);
+
+    if (!isSelf && !hasPermission(req.user, "users:read")) {
+      throw new ForbiddenError("Forbidden: You can only access your own account information.");
+    }
+
+    const user = await findUserByEmail(email);
+
+    if (!user) {
+      throw new NotFoundError("User not found: The requested account does not exist.");
+    }
+
+    res.status(200).json(await uploads.withImage(user));
+  }));
+
+  // API to Update User Profile
+  router.patch("/users/:email", verifyToken, validateBody(profileUpdateSchema), asyncHandler(async (req, res) => {
+    const { email, isSelf } = readEmailParam(req);
+    const { fullName, designation, image } = req.body;
+
+    if (!isSelf && !hasPermission(req.user, "users:update")) {
+      throw new ForbiddenError("Forbidden: You can only update your own profile.");
+    }
+
+    const updatedUser = { fullName, designation };
+
+    if (image) {
+      updatedUser.image = image;
+    }
+
+    const existingUser = await findUserByEmail(email);
+    if (!existingUser) {
+      throw new NotFoundError("User not found: The requested account does not exist.");
+    }
+
+    const result = await userCollection.updateOne(
+      { _id: existingUser._id },
+      { $set: updatedUser }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new NotFoundError("No changes made: The user profile was not updated.");
+    }
+
+    // Editing someone else's profile is a privileged action
+    if (!isSelf) {
+      await recordAudit(req, {
+        action: "user.update",
+        targetType: "user",
+        targetId: existingUser.email,
+        before: existingUser,
+        after: { ...existingUser, ...updatedUser },
+      });
+    }
+
+    res.status(200).json({
+      message: "Profile updated successfully. Your changes have been saved.",
+      user: await uploads.withImage({ ...updatedUser, image: updatedUser.image ?? existingUser.image, email: existingUser.email }),
+    });
+  }));
+
+  // API to Assign a Role to a User (defaults to "admin")
+  router.patch(
+    "/users/:email/role",
+    verifyToken,
+    requirePermission("users:promote"),
+    asyncHandler(async (req, res) => {
+      const { email } = readEmailParam(req);
+      const roleName = req.body.role || "admin";
+
+      if (roleName === "superadmin") {
+        throw new ForbiddenError("Forbidden: The superadmin role cannot be assigned.");
+      }
+
+      const role = await roleCollection.findOne({ name: roleName });
+      if (!role) {
+        throw new NotFoundError("Role not found: The requested role does not exist.");
+      }
+
+      const user = await findUserByEmail(email);
+      if (!user) {
+        throw new NotFoundError("User not found: The requested account does not exist.");
+      }
+
+      if (user.adminRole === "superadmin") {
+        throw new ForbiddenError("Forbidden: The role of a superadmin cannot be changed.");
+      }
+
+      if (user.adminRole === roleName) {
+        throw new ConflictError(`Conflict: The user already has the "${roleName}" role.`);
+      }
+
+      const result = await userCollection.updateOne(
+        { _id: user._id },
+        { $set: { adminRole: roleName } }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new AppError("Internal Server Error: Unable to update the user role.");
+      }
+
+      await recordAudit(req, {
+        action: "user.promote",
+        targetType: "user",
+        targetId: user.email,
+        before: { adminRole: user.adminRole || "user" },
+        after: { adminRole: roleName },
+      });
+
+      res
+        .status(200)
+        .json({ message: `User role updated successfully. The user now has the "${roleName}" role.` });
+    })
+  );
+
+  // API to Demote an Admin to Regular User
+  router.patch(
+    "/users/:email/demote",
+    verifyToken,
+    requirePermission("users:promote"),
+    asyncHandler(async (req, res) => {
+      const { email } = readEmailParam(req);
+
+      const user = await findUserByEmail(email);
+      if (!user) {
+        throw new NotFoundError("Admin not found: The requested account does not exist.");
+      }
+
+      if (user.adminRole === "superadmin") {
+        throw new ForbiddenError("Forbidden: Superadmins cannot be demoted.");
+      }
+
+      const result = await userCollection.updateOne(
+        { _id: user._id },
+        { $set: { adminRole: "user" } }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new AppError("Internal Server Error: Unable to demote the admin.");
+      }
+
+      await recordAudit(req, {
+        action: "user.demote",
+        targetType: "user",
+        targetId: user.email,
+        before: { adminRole: user.adminRole },
+        after: { adminRole: "user" },
+      });
+
+      res.status(200).json({ message: "Admin demoted successfully. The user is now a regular user." });
+    })
+  );
+
+  // API to Sign a User Out Everywhere by Revoking All of Their Sessions
+  router.delete("/users/:email/sessions", verifyToken, asyncHandler(async (req, res) => {
+    const { email, isSelf } = readEmailParam(req);
+
+    if (!isSelf && !hasPermission(req.user, "sessions:revoke")) {
+      throw new ForbiddenError("Forbidden: You can only sign out your own sessions.");
+    }
+
+    // Sessions carry the email as stored on the account
+    const user = isSelf ? req.user : await findUserByEmail(email);
+    if (!user) {
+      throw new NotFoundError("User not found: The requested account does not exist.");
+    }
+
+    const result = await revokeSessions({ email: user.email }, "signout_everywhere");
+
+    if (!isSelf) {
+      await recordAudit(req, {
+        action: "sessions.revoke",
+        targetType: "user",
+        targetId: user.email,
+        after: { revokedCount: result.modifiedCount },
+      });
+    }
+
+    if (isSelf) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      message: "Signed out everywhere. All active sessions have been revoked.",
+      revokedCount: result.modifiedCount,
+    });
+  }));
+
+  // API to Delete User
+  router.delete("/users/:email", verifyToken, requirePermission("users:delete"), asyncHandler(async (req, res) => {
+    const { email } = readEmailParam(req);
+
+    const user = await findUserByEmail(email);
+    if (!user) {
+      throw new NotFoundError("User not found: The requested account does not exist.");
+    }
+
+    if (user.adminRole === "superadmin") {
+      throw new ForbiddenError("Forbidden: Superadmins cannot be deleted.");
+    }
+
+    const result = await userCollection.deleteOne({ _id: user._id });
+
+    if (result.deletedCount === 0) {
+      throw new AppError("Internal Server Error: Unable to delete the user.");
+    }
+
+    await recordAudit(req, {
+      action: "user.delete",
+      targetType: "user",
+      targetId: user.email,
+      before: user,
+    });
+
+    res.status(200).json({ message: "User deleted successfully. The account has been removed." });
+  }));
+
+  return router;
+};
+
+module.exports = { createUsersRouter };
@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const { ObjectId } = require("mongodb");
+const { ValidationError } = require("../errors");
+
+const ZIP_SIGNATURE = Buffer.from("504b0304", "hex");
+const OLE_SIGNATURE = Buffer.from("d0cf11e0a1b11ae1", "hex");
+
+// File types notices may carry, by extension. The content type is ours, not
+// the client's, and each file must start with its type's `signature` bytes,
+// so a renamed executable is not accepted as a PDF.
+const ATTACHMENT_TYPES = {
+  ".pdf": { contentType: "application/pdf", signature: Buffer.from("%PDF-") },
+  ".doc": { contentType: "application/msword", signature: OLE_SIGNATURE },
+  ".docx": {
+    contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    signature: ZIP_SIGNATURE,
+  },
+  ".xls": { contentType: "application/vnd.ms-excel", signature: OLE_SIGNATURE },
+  ".xlsx": {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    signature: ZIP_SIGNATURE,
+  },
+  ".ppt": { contentType: "application/vnd.ms-powerpoint", signature: OLE_SIGNATURE },
+  ".pptx": {
+    contentType: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    signature: ZIP_SIGNATURE,
+  },
+  ".jpg": { contentType: "image/jpeg", signature: Buffer.from("ffd8ff", "hex") },
+  ".jpeg": { contentType: "image/jpeg", signature: Buffer.from("ffd8ff", "hex") },
+  ".png": { contentType: "image/png", signature: Buffer.from("89504e470d0a1a0a", "hex") },
+};
+
+// An uploaded file's name without any directory part or control characters
+const cleanFileName = (name) =>
+  path
+    .basename(name.replace(/\\/g, "/"))
+    .replace(/[\u0000-\u001f\u007f]/g, "")
+    .trim()
+    .slice(-200);
+
+// Files attached to notices. Each notice keeps its own in `attachments`:
+// [{ _id, name, contentType, size, key, uploadedBy, uploadedAt }], where
+// `key` locates the file in the `files` store. Files are downloaded through
+// short-lived signed links instead of public URLs.
+const createAttachmentService = ({ collections, config, files }) => {
+  const { noticeCollection } = collections;
+  const { maxPerNotice, linkTtlSeconds } = config.attachments;
+
+  // Checks one uploaded (in-memory multer) file; returns its type
+  const checkFile = (file) => {
+    const name = cleanFileName(file.originalname || "");
+    const type = ATTACHMENT_TYPES[path.extname(name).toLowerCase()];
+
+    if (!name || !type) {
+      throw new ValidationError(
+        `Validation Error: ${name || "The file"} is not an allowed attachment type (${Object.keys(ATTACHMENT_TYPES).join(", ")}).`
+      );
+    }
+    if (!file.buffer.subarray(0, type.signature.length).equals(type.signature)) {
+      throw new ValidationError(`Validation Error: ${name} is not a valid ${path.extname(name).slice(1).toUpperCase()} file.`);
+    }
+
+    return { name, contentType: type.contentType };
+  };
+
+  // Stores `uploads` and adds them to the notice; resolves to the new
+  // attachments. Either every file is attached or none is.
+  const addAttachments = async (notice, uploads, email) => {
+    const checked = uploads.map(checkFile);
+    const limitError = new ValidationError(
+      `Validation Error: A notice can have at most ${maxPerNotice} attachments.`
+    );
+
+    if ((notice.attachments?.length ?? 0) + uploads.length > maxPerNotice) {
+      throw limitError;
+    }
+
+    const now = new Date();
+    const attachments = uploads.map((file, index) => {
+      const _id = new ObjectId();
+      return {
+        _id,
+        ...checked[index],
+        size: file.size,
+        key: `notices/${notice._id}/${_id}${path.extname(checked[index].name).toLowerCase()}`,
+        uploadedBy: email,
+        uploadedAt: now,
+      };
+    });
+
+    await Promise.all(attachments.map((attachment, index) => files.save(attachment.key, uploads[index].buffer, attachment)));
+
+    // The limit is checked again in the update, as other uploads may have
+    // been added meanwhile
+    const result = await noticeCollection.updateOne(
+      { _id: notice._id, [`attachments.${maxPerNotice - attachments.length}`]: { $exists: false } },
+      { $push: { attachments: { $each: attachments } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      await removeFiles(attachments);
+      throw limitError;
+    }
+
+    return attachments;
+  };
+
+  // Detaches one attachment and deletes its file; resolves to it, or to
+  // null if the notice has no such attachment
+  const removeAttachment = async (notice, attachmentId) => {
+    const attachment = (notice.attachments || []).find((entry) => entry._id.equals(attachmentId));
+    if (!attachment) {
+      return null;
+    }
+
+    await noticeCollection.updateOne({ _id: notice._id }, { $pull: { attachments: { _id: attachmentId } } });
+    await files.remove(attachment.key);
+    return attachment;
+  };
+
+  // Deletes the files of `attachments`, such as those of a deleted notice.
+  // A file that cannot be deleted is logged rather than failing the request.
+  const removeFiles = async (attachments = [], { log = console.error } = {}) => {
+    const results = await Promise.allSettled(attachments.map((attachment) => files.remove(attachment.key)));
+    results.forEach((result, index) => {
+      if (result.status === "rejected") {
+        log(`Attachment Cleanup Error (${attachments[index].key}):`, result.reason);
+      }
+    });
+  };
+
+  // Download links are signed with their own key, derived from the JWT
+  // secret, so neither they nor access tokens pass for the other
+  const downloadKey = crypto
+    .createHmac("sha256", config.jwtSecret)
+    .update("lupulse-attachment-signing-key")
+    .digest();
+
+  // Signed link to download one attachment, valid for linkTtlSeconds
+  const createDownloadLink = (notice, attachment, baseUrl) => {
+    const token = jwt.sign(
+      { purpose: "attachment", noticeId: notice._id.toString(), attachmentId: attachment._id.toString() },
+      downloadKey,
+      { expiresIn: linkTtlSeconds }
+    );
+
+    return {
+      url: `${baseUrl}/attachments/${attachment._id}?token=${token}`,
+      expiresAt: new Date(Date.now() + linkTtlSeconds * 1000),
+    };
+  };
+
+  // The attachment a download link is for, with its contents, or null if
+  // the link is invalid, has expired or its attachment is gone
+  const openDownloadLink = async (attachmentId, token) => {
+    let payload;
+    try {
+      payload = jwt.verify(token || "", downloadKey, { algorithms: ["HS256"] });
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.purpose !== "attachment" || payload.attachmentId !== attachmentId || !ObjectId.isValid(payload.noticeId)) {
+      return null;
+    }
+
+    const notice = await noticeCollection.findOne(
+      { _id: new ObjectId(payload.noticeId) },
+      { projection: { attachments: 1 } }
+    );
+    const attachment = notice?.attachments?.find((entry) => entry._id.toString() === attachmentId);
+    if (!attachment) {
+      return null;
+    }
+
+    return { attachment, contents: await files.read(attachment.key) };
+  };
+
+  return { addAttachments, removeAttachment, removeFiles, createDownloadLink, openDownloadLink };
+};
+
+module.exports = { ATTACHMENT_TYPES, createAttachmentService };
@@ -0,0 +1,26 @@
+const { diffDocuments } = require("../utils");
+
+// Append-only audit log of privileged actions. Entries are never updated or
+// deleted.
+const createAuditLog = ({ collections }) => {
+  const { auditCollection } = collections;
+
+  const recordAudit = (req, { action, targetType, targetId, before = null, after = null }) =>
+    auditCollection.insertOne({
+      actor: req.user.email,
+      actorRole: req.user.adminRole,
+      action,
+      targetType,
+      targetId: targetId === undefined || targetId === null ? null : String(targetId),
+      changes: diffDocuments(before, after),
+      before,
+      after,
+      ip: req.ip,
+      userAgent: req.get("user-agent") || null,
+      timestamp: new Date(),
+    });
+
+  return { recordAudit };
+};
+
+module.exports = { createAuditLog };
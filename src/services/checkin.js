@@ -0,0 +1,134 @@
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const { ObjectId } = require("mongodb");
+const { ConflictError, NotFoundError, ValidationError } = require("../errors");
+
+// Check-in codes look like "LUP1.<payload>.<signature>": a base64url JSON
+// payload { r: registrationId, e: eventId, u: email, n: nonce } signed with
+// Ed25519. Anyone holding the public key can verify a code offline; only the
+// server can issue one.
+const CODE_PREFIX = "LUP1";
+
+// DER header of a PKCS#8 Ed25519 private key, followed by the 32-byte seed
+const ED25519_PKCS8_PREFIX = Buffer.from("302e020100300506032b657004220420", "hex");
+
+// The configured PEM key, or one derived from the JWT secret so that codes
+// survive restarts without extra configuration.
+const loadSigningKey = ({ checkIn = {}, jwtSecret }) => {
+  if (checkIn.privateKey) {
+    return crypto.createPrivateKey(checkIn.privateKey);
+  }
+
+  const seed = crypto.createHmac("sha256", jwtSecret).update("lupulse-checkin-signing-key").digest();
+  return crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+    format: "der",
+    type: "pkcs8",
+  });
+};
+
+// Parses and verifies a code with `publicKey`; returns its payload or null
+const verifyCheckInCode = (code, publicKey) => {
+  const [prefix, payload, signature, extra] = typeof code === "string" ? code.trim().split(".") : [];
+  if (prefix !== CODE_PREFIX || !payload || !signature || extra !== undefined) {
+    return null;
+  }
+
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${prefix}.${payload}`),
+    publicKey,
+    Buffer.from(signature, "base64url")
+  );
+  if (!valid) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Issues, renders and redeems single-use event check-in codes
+const createCheckInService = ({ collections, config }) => {
+  const { registrationCollection, userCollection } = collections;
+  const privateKey = loadSigningKey(config);
+  const publicKey = crypto.createPublicKey(privateKey);
+
+  const issueCode = (registration) => {
+    const payload = Buffer.from(
+      JSON.stringify({
+        r: registration._id.toString(),
+        e: registration.eventId.toString(),
+        u: registration.email,
+        n: registration.checkInNonce,
+      })
+    ).toString("base64url");
+    const signature = crypto.sign(null, Buffer.from(`${CODE_PREFIX}.${payload}`), privateKey);
+
+    return `${CODE_PREFIX}.${payload}.${signature.toString("base64url")}`;
+  };
+
+  // The code as a PNG buffer or an SVG string
+  const renderQrCode = (code, format) =>
+    format === "svg"
+      ? QRCode.toString(code, { type: "svg", errorCorrectionLevel: "M", margin: 2 })
+      : QRCode.toBuffer(code, { type: "png", errorCorrectionLevel: "M", margin: 2, width: 320 });
+
+  // Marks the registration behind `code` as attended. Each code works once,
+  // and only while its registration is active: cancelling and registering
+  // again issues a new code.
+  const checkIn = async (event, code, { scannedAt, checkedInBy }) => {
+    const payload = verifyCheckInCode(code, publicKey);
+
+    if (!payload || !ObjectId.isValid(payload.r)) {
+      throw new ValidationError("Validation Error: The check-in code is invalid or has been tampered with.");
+    }
+    if (payload.e !== event._id.toString()) {
+      throw new ValidationError("Validation Error: This check-in code belongs to a different event.");
+    }
+
+    const registrationId = new ObjectId(payload.r);
+    const registration = await registrationCollection.findOneAndUpdate(
+      {
+        _id: registrationId,
+        eventId: event._id,
+        status: "registered",
+        checkInNonce: payload.n,
+        checkedInAt: null,
+      },
+      { $set: { checkedInAt: scannedAt || new Date(), checkedInBy } },
+      { returnDocument: "after" }
+    );
+
+    if (!registration) {
+      const existing = await registrationCollection.findOne({ _id: registrationId });
+
+      if (!existing) {
+        throw new NotFoundError("Registration not found: The registration for this code no longer exists.");
+      }
+      if (existing.status !== "registered" || existing.checkInNonce !== payload.n) {
+        throw new ConflictError("Conflict: This check-in code is no longer valid because the registration was cancelled.");
+      }
+      throw new ConflictError(`Conflict: Already checked in at ${existing.checkedInAt.toISOString()}.`);
+    }
+
+    const user = await userCollection.findOne(
+      { email: registration.email },
+      { projection: { _id: 0, email: 1, fullName: 1, id: 1, userType: 1, department: 1 } }
+    );
+
+    return { registration, attendee: user || { email: registration.email } };
+  };
+
+  return {
+    publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    issueCode,
+    renderQrCode,
+    checkIn,
+  };
+};
+
+module.exports = { verifyCheckInCode, createCheckInService };
@@ -0,0 +1,261 @@
+const { ConflictError, ForbiddenError, NotFoundError } = require("../errors");
+const { CLUB_ROLES, clubIds, noticeVisibilityQuery } = require("../permissions");
+const { noticeStatusQuery } = require("../publication");
+const { zonedDate } = require("../time");
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+// A member as listed on their club's page
+const formatMember = (user, membership) => ({
+  email: user.email,
+  fullName: user.fullName ?? null,
+  role: membership.role,
+  status: membership.status,
+  requestedAt: membership.requestedAt,
+  joinedAt: membership.joinedAt,
+});
+
+// Clubs and their members. Clubs are Clubs documents: { name, description,
+// image (the logo), department, createdBy, createdAt }. Memberships live on
+// the member's Users document, so every request knows the user's clubs:
+// `clubs: [{ clubId, role, status, requestedAt, joinedAt }]`, where status is
+// "pending" until a club manager approves a join request and "active" after.
+// Every club has exactly one president.
+const createClubService = ({ collections, config }) => {
+  const { clubCollection, userCollection, eventsCollection, noticeCollection } = collections;
+
+  const membershipQuery = (clubId, status) => ({
+    clubs: { $elemMatch: { clubId, ...(status && { status }) } },
+  });
+
+  const findClub = async (id) => {
+    const club = await clubCollection.findOne({ _id: id });
+    if (!club) {
+      throw new NotFoundError("Club not found: The requested club does not exist.");
+    }
+    return club;
+  };
+
+  // Active members of each of the clubs, keyed by id
+  const memberCounts = async (ids) => {
+    const counts = await userCollection
+      .aggregate([
+        { $match: { clubs: { $elemMatch: { clubId: { $in: ids }, status: "active" } } } },
+        { $unwind: "$clubs" },
+        { $match: { "clubs.clubId": { $in: ids }, "clubs.status": "active" } },
+        { $group: { _id: "$clubs.clubId", count: { $sum: 1 } } },
+      ])
+      .toArray();
+    return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+  };
+
+  // The user's memberships (pending or active), keyed by club id
+  const membershipsOf = async (email) => {
+    const user = await userCollection.findOne({ email }, { projection: { clubs: 1 } });
+    return new Map((user?.clubs || []).map((membership) => [membership.clubId.toString(), membership]));
+  };
+
+  // The user's membership of the club (pending or active), or null
+  const membershipOf = async (clubId, email) => (await membershipsOf(email)).get(clubId.toString()) ?? null;
+
+  const findMember = async (clubId, email, status) => {
+    const user = await userCollection.findOne(
+      { email, ...membershipQuery(clubId, status) },
+      { projection: { email: 1, fullName: 1, clubs: { $elemMatch: { clubId } } } }
+    );
+    if (!user) {
+      throw new NotFoundError(
+        status === "pending"
+          ? "Join request not found: The user has not asked to join this club."
+          : "Member not found: The user is not a member of this club."
+      );
+    }
+    return formatMember(user, user.clubs[0]);
+  };
+
+  // Creates a club led by the existing user `president`
+  const createClub = async (fields, president, createdBy) => {
+    const now = new Date();
+    const club = { ...fields, createdBy, createdAt: now };
+
+    if (!(await userCollection.findOne({ email: president }))) {
+      throw new NotFoundError("User not found: The club's president must have an account.");
+    }
+
+    try {
+      const { insertedId } = await clubCollection.insertOne(club);
+      club._id = insertedId;
+    } catch (error) {
+      if (isDuplicateKeyError(error)) {
+        throw new ConflictError("Club already exists: Choose a different club name.");
+      }
+      throw error;
+    }
+
+    await userCollection.updateOne(
+      { email: president },
+      {
+        $push: {
+          clubs: { clubId: club._id, role: "president", status: "active", requestedAt: now, joinedAt: now },
+        },
+      }
+    );
+    return club;
+  };
+
+  const updateClub = async (club, changes) => {
+    try {
+      await clubCollection.updateOne({ _id: club._id }, { $set: changes });
+    } catch (error) {
+      if (isDuplicateKeyError(error)) {
+        throw new ConflictError("Club already exists: Choose a different club name.");
+      }
+      throw error;
+    }
+    return { ...club, ...changes };
+  };
+
+  // Deletes a club that no longer owns any events or notices, with all of
+  // its memberships
+  const deleteClub = async (club) => {
+    const [events, notices] = await Promise.all([
+      eventsCollection.countDocuments({ club: club._id }, { limit: 1 }),
+      noticeCollection.countDocuments({ club: club._id }, { limit: 1 }),
+    ]);
+    if (events > 0 || notices > 0) {
+      throw new ConflictError("Conflict: The club still has events or notices. Delete or move them first.");
+    }
+
+    await clubCollection.deleteOne({ _id: club._id });
+    await userCollection.updateMany(membershipQuery(club._id), { $pull: { clubs: { clubId: club._id } } });
+  };
+
+  // Asks for `email` to join the club as a member
+  const requestToJoin = async (clubId, email) => {
+    const now = new Date();
+    const result = await userCollection.updateOne(
+      { email, "clubs.clubId": { $ne: clubId } },
+      {
+        $push: {
+          clubs: { clubId, role: "member", status: "pending", requestedAt: now, joinedAt: null },
+        },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new ConflictError("Conflict: You are already a member of this club or have asked to join it.");
+    }
+    return findMember(clubId, email, "pending");
+  };
+
+  const approve = async (clubId, email) => {
+    const result = await userCollection.updateOne(
+      { email, ...membershipQuery(clubId, "pending") },
+      { $set: { "clubs.$.status": "active", "clubs.$.joinedAt": new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new NotFoundError("Join request not found: The user has not asked to join this club.");
+    }
+    return findMember(clubId, email, "active");
+  };
+
+  // Ends a membership or turns down a join request. Presidents hand the
+  // club over before they go.
+  const removeMember = async (clubId, email) => {
+    const result = await userCollection.updateOne(
+      { email, clubs: { $elemMatch: { clubId, role: { $ne: "president" } } } },
+      { $pull: { clubs: { clubId } } }
+    );
+
+    if (result.matchedCount === 0) {
+      const membership = await membershipOf(clubId, email);
+      if (membership) {
+        throw new ForbiddenError("Forbidden: The president cannot leave the club. Make someone else president first.");
+      }
+      throw new NotFoundError("Member not found: The user is not a member of this club.");
+    }
+  };
+
+  // Gives an active member a new role. Making someone president turns the
+  // current president into a moderator.
+  const setRole = async (clubId, email, role) => {
+    const member = await findMember(clubId, email, "active");
+
+    if (role === "president" && member.role !== "president") {
+      await userCollection.updateMany(
+        { clubs: { $elemMatch: { clubId, role: "president" } } },
+        { $set: { "clubs.$.role": "moderator" } }
+      );
+    } else if (member.role === "president" && role !== "president") {
+      throw new ForbiddenError("Forbidden: A club needs a president. Make someone else president instead.");
+    }
+
+    await userCollection.updateOne(
+      { email, ...membershipQuery(clubId, "active") },
+      { $set: { "clubs.$.role": role } }
+    );
+    return { ...member, role };
+  };
+
+  // Members with `status`, most senior first, then in the order they joined
+  const listMembers = async (clubId, status) => {
+    const users = await userCollection
+      .find(membershipQuery(clubId, status))
+      .project({ email: 1, fullName: 1, clubs: { $elemMatch: { clubId } } })
+      .toArray();
+
+    return users
+      .map((user) => formatMember(user, user.clubs[0]))
+      .sort(
+        (a, b) =>
+          CLUB_ROLES.indexOf(a.role) - CLUB_ROLES.indexOf(b.role) ||
+          (a.joinedAt ?? a.requestedAt) - (b.joinedAt ?? b.requestedAt)
+      );
+  };
+
+  // What is new in the clubs `user` belongs to: the clubs themselves, their
+  // latest live notices and their events still to come, `limit` of each
+  const feed = async (user, { limit, now = new Date() }) => {
+    const ids = clubIds(user);
+    const today = zonedDate(now, config.timezone);
+
+    const [clubs, notices, events] = await Promise.all([
+      clubCollection.find({ _id: { $in: ids } }).sort({ name: 1 }).toArray(),
+      noticeCollection
+        .find({ $and: [{ club: { $in: ids } }, noticeVisibilityQuery(user, now), noticeStatusQuery("live", now)] })
+        .sort({ pinned: -1, publishAt: -1, _id: -1 })
+        .limit(limit)
+        .toArray(),
+      // Series without an end date never stop coming
+      eventsCollection
+        .find({
+          club: { $in: ids },
+          $or: [{ lastOccurrence: { $gte: today } }, { recurrence: { $type: "object" }, lastOccurrence: null }],
+        })
+        .sort({ startsAt: 1, _id: 1 })
+        .limit(limit)
+        .toArray(),
+    ]);
+
+    return { clubs, notices, events };
+  };
+
+  return {
+    findClub,
+    memberCounts,
+    membershipsOf,
+    membershipOf,
+    createClub,
+    updateClub,
+    deleteClub,
+    requestToJoin,
+    approve,
+    removeMember,
+    setRole,
+    listMembers,
+    feed,
+  };
+};
+
+module.exports = { createClubService };
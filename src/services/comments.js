@@ -0,0 +1,210 @@
+const { ValidationError, ForbiddenError, NotFoundError } = require("../errors");
+
+// Emoji users may react with
+const REACTIONS = ["👍", "❤️", "🎉", "😂", "😮", "😢"];
+
+// Comments and emoji reactions on notices and events ("items"). Comments are
+// Comments documents: { targetType, targetId, parentId, body, author,
+// createdAt, editedAt, hiddenAt, hiddenBy, deletedAt, deletedBy }, where
+// `author` is the commenter's email. Threads are two levels deep: top-level
+// comments (parentId null) and their replies. Deleted and hidden comments keep their place in
+// the thread with their text withheld. Reactions are Reactions documents:
+// { targetType, targetId, email, emoji, createdAt }.
+const createCommentService = ({ collections }) => {
+  const { commentCollection, reactionCollection, userCollection } = collections;
+
+  const itemQuery = (targetType, targetId) => ({ targetType, targetId });
+
+  // Comments as `viewer` sees them, with their authors' current names. Only
+  // moderators read hidden comments.
+  const presentComments = async (comments, viewer) => {
+    const authors = await userCollection
+      .find({ email: { $in: [...new Set(comments.map((comment) => comment.author))] } })
+      .project({ email: 1, fullName: 1 })
+      .toArray();
+    const names = new Map(authors.map((author) => [author.email, author.fullName]));
+
+    return comments.map((comment) => presentComment(comment, viewer, names));
+  };
+
+  const presentComment = (comment, viewer, names) => {
+    const status = comment.deletedAt ? "deleted" : comment.hiddenAt ? "hidden" : "visible";
+    const readable = status === "visible" || (status === "hidden" && viewer.moderator);
+
+    return {
+      _id: comment._id,
+      parentId: comment.parentId,
+      status,
+      body: readable ? comment.body : null,
+      author: readable ? { email: comment.author, fullName: names.get(comment.author) ?? null } : null,
+      isMine: comment.author === viewer.email,
+      createdAt: comment.createdAt,
+      editedAt: comment.editedAt,
+      ...(viewer.moderator && status === "hidden" && { hiddenBy: comment.hiddenBy, hiddenAt: comment.hiddenAt }),
+    };
+  };
+
+  // One page of an item's top-level comments, oldest first, each with all of
+  // its replies. `viewer` is { email, moderator }.
+  const listComments = async (targetType, targetId, viewer, { page, limit }) => {
+    const query = { ...itemQuery(targetType, targetId), parentId: null };
+    const [comments, total] = await Promise.all([
+      commentCollection
+        .find(query)
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      commentCollection.countDocuments(query),
+    ]);
+    const replies = await commentCollection
+      .find({ parentId: { $in: comments.map((comment) => comment._id) } })
+      .sort({ createdAt: 1, _id: 1 })
+      .toArray();
+    const [presented, presentedReplies] = await Promise.all([
+      presentComments(comments, viewer),
+      presentComments(replies, viewer),
+    ]);
+
+    return {
+      comments: presented.map((comment) => ({
+        ...comment,
+        replies: presentedReplies.filter((reply) => reply.parentId.equals(comment._id)),
+      })),
+      total,
+    };
+  };
+
+  // Adds a comment, or a reply to a top-level comment, by `user`
+  const addComment = async (targetType, targetId, user, { body, parentId = null }) => {
+    if (parentId) {
+      const parent = await commentCollection.findOne({ _id: parentId, ...itemQuery(targetType, targetId) });
+      if (!parent) {
+        throw new NotFoundError("Comment not found: The comment being replied to does not exist.");
+      }
+      if (parent.parentId) {
+        throw new ValidationError("Validation Error: Replies can only be made to top-level comments.");
+      }
+    }
+
+    const comment = {
+      ...itemQuery(targetType, targetId),
+      parentId,
+      body,
+      author: user.email,
+      createdAt: new Date(),
+      editedAt: null,
+      hiddenAt: null,
+      hiddenBy: null,
+      deletedAt: null,
+      deletedBy: null,
+    };
+    const { insertedId } = await commentCollection.insertOne(comment);
+    return { ...comment, _id: insertedId };
+  };
+
+  const findComment = async (id) => {
+    const comment = await commentCollection.findOne({ _id: id });
+    if (!comment) {
+      throw new NotFoundError("Comment not found: The requested comment does not exist.");
+    }
+    return comment;
+  };
+
+  // Replaces the text of one of the author's own comments
+  const editComment = async (comment, email, body) => {
+    if (comment.author !== email) {
+      throw new ForbiddenError("Forbidden: You can only edit your own comments.");
+    }
+    if (comment.deletedAt || comment.hiddenAt) {
+      throw new ForbiddenError("Forbidden: Deleted and hidden comments cannot be edited.");
+    }
+
+    const changes = { body, editedAt: new Date() };
+    await commentCollection.updateOne({ _id: comment._id }, { $set: changes });
+    return { ...comment, ...changes };
+  };
+
+  // Withholds a comment's text for good; its replies stay in the thread
+  const deleteComment = async (comment, email) => {
+    const changes = { body: null, deletedAt: new Date(), deletedBy: email };
+    await commentCollection.updateOne({ _id: comment._id, deletedAt: null }, { $set: changes });
+    return { ...comment, ...changes };
+  };
+
+  // Hides a comment from everyone but moderators, or shows it again
+  const setHidden = async (comment, email, hidden) => {
+    const changes = hidden ? { hiddenAt: new Date(), hiddenBy: email } : { hiddenAt: null, hiddenBy: null };
+    await commentCollection.updateOne({ _id: comment._id }, { $set: changes });
+    return { ...comment, ...changes };
+  };
+
+  // Visible comments (and replies) on each of the items, keyed by id
+  const countsFor = async (targetType, targetIds) => {
+    const counts = await commentCollection
+      .aggregate([
+        { $match: { targetType, targetId: { $in: targetIds }, deletedAt: null, hiddenAt: null } },
+        { $group: { _id: "$targetId", count: { $sum: 1 } } },
+      ])
+      .toArray();
+    return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+  };
+
+  // How often an item got each reaction, and which of them are `email`'s
+  const reactionSummary = async (targetType, targetId, email) => {
+    const reactions = await reactionCollection.find(itemQuery(targetType, targetId)).toArray();
+    const counts = {};
+    for (const { emoji } of reactions) {
+      counts[emoji] = (counts[emoji] || 0) + 1;
+    }
+
+    return {
+      counts,
+      mine: reactions.filter((reaction) => reaction.email === email).map((reaction) => reaction.emoji),
+    };
+  };
+
+  const checkReaction = (emoji) => {
+    if (!REACTIONS.includes(emoji)) {
+      throw new ValidationError(`Validation Error: emoji must be one of: ${REACTIONS.join(" ")}.`);
+    }
+  };
+
+  // Adds `email`'s reaction; reacting twice with the same emoji is a no-op
+  const react = async (targetType, targetId, email, emoji) => {
+    checkReaction(emoji);
+    await reactionCollection.updateOne(
+      { ...itemQuery(targetType, targetId), email, emoji },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+  };
+
+  const unreact = async (targetType, targetId, email, emoji) => {
+    checkReaction(emoji);
+    await reactionCollection.deleteOne({ ...itemQuery(targetType, targetId), email, emoji });
+  };
+
+  // Removes every comment and reaction of a deleted item
+  const removeAllFor = async (targetType, targetId) => {
+    await commentCollection.deleteMany(itemQuery(targetType, targetId));
+    await reactionCollection.deleteMany(itemQuery(targetType, targetId));
+  };
+
+  return {
+    presentComments,
+    listComments,
+    addComment,
+    findComment,
+    editComment,
+    deleteComment,
+    setHidden,
+    countsFor,
+    reactionSummary,
+    react,
+    unreact,
+    removeAllFor,
+  };
+};
+
+module.exports = { REACTIONS, createCommentService };
@@ -0,0 +1,282 @@
+const path = require("path");
+const { EMAIL_COLLATION } = require("../db");
+const { NotFoundError, ValidationError } = require("../errors");
+const { parseCsv, percentage } = require("../utils");
+const { validateSchema, rosterRowSchema } = require("../validation");
+
+// Columns of a roster CSV, in the order reports list them
+const ROSTER_COLUMNS = ["id", "fullName", "email", "userType", "department", "designation"];
+
+const ROW_STATUSES = ["created", "updated", "unchanged", "invalid", "conflict"];
+
+// The error of an import that stopped before every row was processed
+const FAILED_MESSAGE =
+  "The import stopped unexpectedly. Rows already processed were kept; import the roster again to finish it.";
+
+// The fields of an existing user a roster row would change
+const changedFields = (user, fields) =>
+  Object.keys(fields).filter((field) => user[field] !== fields[field]);
+
+// Users imported in bulk from a registrar's roster CSV. Each import is a
+// UserImports document: { fileName, dryRun, status, total, processed,
+// summary, createdBy, createdAt, heartbeatAt, finishedAt }, where status is
+// "running" until every row is processed, then "completed", or "failed" with
+// an `error`. Imports run in the process that started them and bump
+// `heartbeatAt` after every batch; the reaper fails running imports whose
+// heartbeat is older than staleAfterMs, such as those a restart cut short.
+// The result for each row is a UserImportRows document: { importId, row,
+// ...the roster columns, status, message }, where `row` is the row's number
+// in the file (the header is row 1) and status is what the import did, or
+// for a dry run would do: "created", "updated" or "unchanged",
+// or "invalid" or "conflict" for rows it skipped. Users are matched by email,
+// ignoring case, and keep the email they signed up with; imports only ever
+// set roster fields, so running one again is harmless.
+const createImportService = ({ collections, config }) => {
+  const { userCollection, userImportCollection, userImportRowCollection } = collections;
+  const { batchSize, staleAfterMs, reapIntervalMs } = config.imports;
+
+  // The rows of a roster CSV as objects keyed by column, each with its row
+  // number. Columns are matched by name, ignoring case, and may come in any
+  // order; unknown columns are ignored.
+  const parseRoster = (file) => {
+    if (path.extname(file.originalname || "").toLowerCase() !== ".csv") {
+      throw new ValidationError("Validation Error: The roster must be a .csv file.");
+    }
+
+    const records = parseCsv(file.buffer.toString("utf8"));
+    if (!records) {
+      throw new ValidationError("Validation Error: The roster is not valid CSV (a quoted value is never closed).");
+    }
+
+    const [header = [], ...rows] = records;
+    const columns = header.map((name) =>
+      ROSTER_COLUMNS.find((column) => column.toLowerCase() === name.trim().toLowerCase())
+    );
+    const missing = ROSTER_COLUMNS.filter(
+      (column) => rosterRowSchema[column].required && !columns.includes(column)
+    );
+
+    if (missing.length > 0) {
+      throw new ValidationError(
+        `Validation Error: The roster's header row is missing ${missing.join(", ")}.`,
+        missing.map((field) => ({ field, message: "is a required column" }))
+      );
+    }
+    if (rows.length === 0) {
+      throw new ValidationError("Validation Error: The roster has no rows below its header.");
+    }
+
+    return rows.map((values, index) => {
+      const row = { row: index + 2 };
+      columns.forEach((column, position) => {
+        if (column && values[position] !== undefined) {
+          row[column] = values[position];
+        }
+      });
+      return row;
+    });
+  };
+
+  // Validates every row and flags emails and ids the file repeats. Returns
+  // { row, input, fields } for each row, with `result` already set for the
+  // rows that will be skipped.
+  const checkRows = (rows) => {
+    const seen = { email: new Map(), id: new Map() };
+
+    return rows.map(({ row, ...input }) => {
+      const { errors, value } = validateSchema(rosterRowSchema, input);
+      if (errors.length > 0) {
+        return {
+          row,
+          input,
+          result: { status: "invalid", message: errors.map((error) => `${error.field} ${error.message}`).join("; ") },
+        };
+      }
+
+      const fields = { ...value, email: value.email.toLowerCase() };
+      for (const key of ["email", "id"]) {
+        const first = seen[key].get(fields[key]);
+        if (first) {
+          return { row, input, result: { status: "conflict", message: `${key} repeats row ${first}` } };
+        }
+        seen[key].set(fields[key], row);
+      }
+
+      return { row, input, fields };
+    });
+  };
+
+  // Decides what to do with each checked row in the batch, and unless this
+  // is a dry run, does it
+  const importBatch = async (job, batch) => {
+    const valid = batch.filter((entry) => !entry.result);
+    const [byEmail, byId] = await Promise.all([
+      userCollection
+        .find({ email: { $in: valid.map((entry) => entry.fields.email) } }, { collation: EMAIL_COLLATION })
+        .toArray(),
+      userCollection.find({ id: { $in: valid.map((entry) => entry.fields.id) } }).toArray(),
+    ]);
+    const users = new Map(byEmail.map((user) => [user.email.toLowerCase(), user]));
+    const owners = new Map(byId.map((user) => [user.id, user]));
+
+    const writes = [];
+    for (const entry of valid) {
+      const { email, ...fields } = entry.fields;
+      const user = users.get(email);
+      const owner = owners.get(fields.id);
+
+      if (owner && owner.email.toLowerCase() !== email) {
+        entry.result = { status: "conflict", message: `id ${fields.id} already belongs to ${owner.email}` };
+        continue;
+      }
+
+      const changes = user ? changedFields(user, fields) : null;
+      if (changes && changes.length === 0) {
+        entry.result = { status: "unchanged", message: null };
+        continue;
+      }
+
+      entry.result = user
+        ? { status: "updated", message: `Changed ${changes.join(", ")}` }
+        : { status: "created", message: null };
+      writes.push({
+        updateOne: {
+          filter: { email },
+          collation: EMAIL_COLLATION,
+          update: {
+            $set: fields,
+            $setOnInsert: { adminRole: "user", createdAt: new Date(), importedBy: job.createdBy },
+          },
+          upsert: true,
+        },
+      });
+    }
+
+    if (!job.dryRun && writes.length > 0) {
+      await userCollection.bulkWrite(writes, { ordered: false });
+    }
+
+    await userImportRowCollection.insertMany(
+      batch.map(({ row, input, result }) => ({
+        importId: job._id,
+        row,
+        ...Object.fromEntries(ROSTER_COLUMNS.map((column) => [column, input[column] ?? null])),
+        ...result,
+      }))
+    );
+
+    const counts = {};
+    for (const { result } of batch) {
+      counts[`summary.${result.status}`] = (counts[`summary.${result.status}`] ?? 0) + 1;
+    }
+    await userImportCollection.updateOne(
+      { _id: job._id },
+      { $inc: { processed: batch.length, ...counts }, $set: { heartbeatAt: new Date() } }
+    );
+  };
+
+  const runImport = async (job, entries, log) => {
+    try {
+      for (let start = 0; start < entries.length; start += batchSize) {
+        await importBatch(job, entries.slice(start, start + batchSize));
+      }
+      await userImportCollection.updateOne(
+        { _id: job._id },
+        { $set: { status: "completed", finishedAt: new Date() } }
+      );
+    } catch (error) {
+      log("User Import Error:", error);
+      await userImportCollection.updateOne(
+        { _id: job._id },
+        { $set: { status: "failed", error: FAILED_MESSAGE, finishedAt: new Date() } }
+      );
+    }
+  };
+
+  // Checks the roster `file` (an in-memory multer file) and starts importing
+  // it. Resolves to the new import and a `done` promise that settles once
+  // every row is processed; it never rejects.
+  const startImport = async (file, { dryRun, createdBy, log = console.error }) => {
+    const entries = checkRows(parseRoster(file));
+    const job = {
+      fileName: path.basename((file.originalname || "").replace(/\\/g, "/")),
+      dryRun,
+      status: "running",
+      total: entries.length,
+      processed: 0,
+      summary: Object.fromEntries(ROW_STATUSES.map((status) => [status, 0])),
+      createdBy,
+      createdAt: new Date(),
+      heartbeatAt: new Date(),
+      finishedAt: null,
+    };
+
+    const { insertedId } = await userImportCollection.insertOne(job);
+    job._id = insertedId;
+
+    // Even marking the import as failed may fail
+    return { job, done: runImport(job, entries, log).catch((error) => log("User Import Error:", error)) };
+  };
+
+  // Marks running imports without a heartbeat since `now` less staleAfterMs
+  // as failed; returns how many were. Imports saved before heartbeats were
+  // recorded go by when they were created.
+  const failStaleImports = async ({ now = new Date() } = {}) => {
+    const staleBefore = new Date(now.getTime() - staleAfterMs);
+    const { modifiedCount } = await userImportCollection.updateMany(
+      {
+        status: "running",
+        $or: [
+          { heartbeatAt: { $lt: staleBefore } },
+          { heartbeatAt: { $exists: false }, createdAt: { $lt: staleBefore } },
+        ],
+      },
+      { $set: { status: "failed", error: FAILED_MESSAGE, finishedAt: now } }
+    );
+    return { failed: modifiedCount };
+  };
+
+  // Fails stale imports every reapIntervalMs until the returned function is
+  // called. The timer does not keep the process alive on its own.
+  const startReaper = ({ log = console.error } = {}) => {
+    let running = false;
+    const timer = setInterval(async () => {
+      if (running) {
+        return;
+      }
+      running = true;
+      try {
+        await failStaleImports();
+      } catch (error) {
+        log("User Import Reaper Error:", error);
+      } finally {
+        running = false;
+      }
+    }, reapIntervalMs);
+    timer.unref();
+
+    return () => clearInterval(timer);
+  };
+
+  const findImport = async (id) => {
+    const job = await userImportCollection.findOne({ _id: id });
+    if (!job) {
+      throw new NotFoundError("Import not found: The requested user import does not exist.");
+    }
+    return job;
+  };
+
+  // An import as the API shows it, with its progress as a percentage
+  const presentImport = (job) => ({ ...job, progress: percentage(job.processed, job.total) });
+
+  // The import's row results in file order, optionally only those with `status`
+  const rowResults = (importId, status) =>
+    userImportRowCollection
+      .find({ importId, ...(status && { status }) })
+      .project({ _id: 0, importId: 0 })
+      .sort({ row: 1 });
+
+  return { startImport, failStaleImports, startReaper, findImport, presentImport, rowResults };
+};
+
+module.exports = { createImportService, ROSTER_COLUMNS, ROW_STATUSES };
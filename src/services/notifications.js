@@ -0,0 +1,287 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { renderNoticeEmail } = require("../mail/templates");
+const { noticeAudienceQuery } = require("../permissions");
+const { noticeStatus } = require("../publication");
+
+// How long a worker may hold a job before another worker may retry it
+const SEND_LOCK_MS = 5 * 60 * 1000;
+
+// How long the unsubscribe link in an email keeps working
+const UNSUBSCRIBE_TOKEN_TTL = "365d";
+
+// Longest notice description sent in a push message, which is limited to
+// about 4 KB
+const PUSH_BODY_LENGTH = 240;
+
+// The preference that turns each channel off
+const CHANNEL_PREFERENCES = {
+  email: "emailNotices",
+  push: "pushNotices",
+};
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+// Users who should be notified about `notice` on `channel`: its audience,
+// less those who opted out
+const recipientQuery = (notice, channel) => ({
+  $and: [
+    noticeAudienceQuery(notice),
+    { [`notificationPreferences.${CHANNEL_PREFERENCES[channel]}`]: { $ne: false } },
+  ],
+});
+
+// Email and Web Push notifications about notices. Every email, and every
+// push message to one browser, is a job in the NotificationQueue collection:
+// { noticeId, channel, to, endpoint, kind, status, attempts, nextAttemptAt,
+// lockedUntil, lastError }, where `to` is the user's email and `endpoint`
+// the push subscription (null for emails). Jobs move from "pending" through
+// "sending" to "sent", "failed" (out of attempts) or "skipped" (no longer
+// wanted). Messages are built when they are sent, so they always show the
+// current notice.
+const createNotificationService = ({ collections, config, mailer, push }) => {
+  const {
+    notificationQueueCollection,
+    noticeCollection,
+    pushSubscriptionCollection,
+    userCollection,
+  } = collections;
+  const { maxAttempts, retryDelayMs, batchSize, pollIntervalMs } = config.notifications;
+  const apiUrl = config.publicUrl || `http://localhost:${config.port}`;
+
+  // Unsubscribe tokens get their own key, derived from the JWT secret, so
+  // they and access tokens can never be mistaken for one another
+  const unsubscribeKey = crypto
+    .createHmac("sha256", config.jwtSecret)
+    .update("lupulse-unsubscribe-signing-key")
+    .digest();
+
+  // Signed token for the unsubscribe link in every email
+  const unsubscribeToken = (email) =>
+    jwt.sign({ email, purpose: "unsubscribe" }, unsubscribeKey, { expiresIn: UNSUBSCRIBE_TOKEN_TTL });
+
+  // The email address in an unsubscribe token, or null if it is not one
+  const readUnsubscribeToken = (token) => {
+    try {
+      const payload = jwt.verify(token || "", unsubscribeKey, { algorithms: ["HS256"] });
+      return payload.purpose === "unsubscribe" ? payload.email : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Queues an email and a push message to each browser about a published
+  // ("created") or edited ("updated") notice for everyone in its audience.
+  // Scheduled notices are sent when they go live; drafts and expired notices
+  // are not sent. A message about the notice that is still waiting is sent
+  // once, not again.
+  const enqueueNotice = async (notice, kind) => {
+    const status = noticeStatus(notice);
+    if (status !== "live" && status !== "scheduled") {
+      return { queued: 0 };
+    }
+
+    const [emailUsers, pushUsers] = await Promise.all(
+      ["email", "push"].map((channel) =>
+        userCollection.find(recipientQuery(notice, channel)).project({ email: 1 }).toArray()
+      )
+    );
+    const subscriptions = await pushSubscriptionCollection
+      .find({ email: { $in: pushUsers.map((user) => user.email) } })
+      .project({ email: 1, endpoint: 1 })
+      .toArray();
+
+    const jobs = [
+      ...emailUsers.map(({ email }) => ({ channel: "email", to: email, endpoint: null })),
+      ...subscriptions.map(({ email, endpoint }) => ({ channel: "push", to: email, endpoint })),
+    ];
+    if (jobs.length === 0) {
+      return { queued: 0 };
+    }
+
+    const now = new Date();
+    const result = await notificationQueueCollection.bulkWrite(
+      jobs.map((job) => ({
+        updateOne: {
+          filter: { noticeId: notice._id, ...job, status: "pending" },
+          update: {
+            $set: { nextAttemptAt: status === "scheduled" ? notice.publishAt : now },
+            $setOnInsert: { kind, attempts: 0, lockedUntil: null, lastError: null, createdAt: now },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+
+    return { queued: result.upsertedCount };
+  };
+
+  // Takes the next due job (or one a crashed worker left behind)
+  const claimJob = (now) =>
+    notificationQueueCollection.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          { status: "sending", lockedUntil: { $lte: now } },
+        ],
+      },
+      { $set: { status: "sending", lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+    );
+
+  const finishJob = (job, fields) =>
+    notificationQueueCollection.updateOne({ _id: job._id }, { $set: { lockedUntil: null, ...fields } });
+
+  // Puts a job back in the queue. If a newer job for the same notice and
+  // recipient was queued meanwhile, that one will send the message instead.
+  const requeueJob = async (job, fields) => {
+    try {
+      await finishJob(job, { status: "pending", ...fields });
+      return "retried";
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) {
+        throw error;
+      }
+      await finishJob(job, { status: "skipped", lastError: "Superseded by a newer message." });
+      return "skipped";
+    }
+  };
+
+  // Emails the notice to `user`; resolves to the job's outcome
+  const sendEmail = async (notice, user, kind) => {
+    const unsubscribeUrl = `${apiUrl}/notifications/unsubscribe?token=${unsubscribeToken(user.email)}`;
+    const email = renderNoticeEmail({
+      notice,
+      kind,
+      user,
+      links: { notice: `${config.appUrl}/notices/${notice._id}`, unsubscribe: unsubscribeUrl },
+    });
+
+    const { messageId } = await mailer.send({
+      from: config.mail.from,
+      to: user.email,
+      ...email,
+      headers: {
+        "List-Unsubscribe": `<${unsubscribeUrl}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+    });
+    return { status: "sent", messageId };
+  };
+
+  // Pushes the notice to one of `user`'s browsers; resolves to the job's
+  // outcome, which is "skipped" when the subscription is gone
+  const sendPush = async (notice, user, kind, endpoint) => {
+    const subscription = await pushSubscriptionCollection.findOne({ endpoint, email: user.email });
+    if (!subscription) {
+      return { status: "skipped" };
+    }
+
+    const description = notice.description || "";
+    const result = await push.deliver(
+      subscription,
+      {
+        type: `notice.${kind}`,
+        noticeId: notice._id,
+        title: notice.title,
+        body:
+          description.length > PUSH_BODY_LENGTH
+            ? `${description.slice(0, PUSH_BODY_LENGTH - 1)}…`
+            : description,
+        url: `${config.appUrl}/notices/${notice._id}`,
+        // Lets the service worker replace an earlier notification about it
+        tag: `notice-${notice._id}`,
+      },
+      { topic: `notice-${notice._id}` }
+    );
+    return { status: result === "sent" ? "sent" : "skipped" };
+  };
+
+  const sendJob = async (job, now) => {
+    const notice = await noticeCollection.findOne({ _id: job.noticeId });
+    // Looked up through the audience so that users who opted out or left
+    // the audience since the job was queued are not notified
+    const user =
+      notice &&
+      (await userCollection.findOne({ $and: [{ email: job.to }, recipientQuery(notice, job.channel)] }));
+    const status = notice && noticeStatus(notice, now);
+
+    if (status === "scheduled") {
+      return requeueJob(job, { nextAttemptAt: notice.publishAt });
+    }
+    if (!user || status !== "live") {
+      await finishJob(job, { status: "skipped" });
+      return "skipped";
+    }
+
+    const attempts = job.attempts + 1;
+
+    try {
+      const { status: outcome, ...fields } =
+        job.channel === "push"
+          ? await sendPush(notice, user, job.kind, job.endpoint)
+          : await sendEmail(notice, user, job.kind);
+      await finishJob(job, {
+        status: outcome,
+        attempts,
+        ...fields,
+        ...(outcome === "sent" && { sentAt: new Date() }),
+        lastError: null,
+      });
+      return outcome;
+    } catch (error) {
+      if (attempts >= maxAttempts) {
+        await finishJob(job, { status: "failed", attempts, lastError: error.message });
+        return "failed";
+      }
+      // Exponential backoff: retryDelayMs, then twice that, and so on
+      return requeueJob(job, {
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: new Date(now.getTime() + retryDelayMs * 2 ** (attempts - 1)),
+      });
+    }
+  };
+
+  // Sends up to `limit` due messages, one at a time; returns how each ended
+  const processQueue = async ({ now = new Date(), limit = batchSize } = {}) => {
+    const results = { sent: 0, retried: 0, failed: 0, skipped: 0 };
+
+    for (let count = 0; count < limit; count += 1) {
+      const job = await claimJob(now);
+      if (!job) {
+        break;
+      }
+      results[await sendJob(job, now)] += 1;
+    }
+
+    return results;
+  };
+
+  // Polls the queue every pollIntervalMs until the returned function is
+  // called. The timer does not keep the process alive on its own.
+  const startWorker = ({ log = console.error } = {}) => {
+    let running = false;
+    const timer = setInterval(async () => {
+      if (running) {
+        return;
+      }
+      running = true;
+      try {
+        await processQueue();
+      } catch (error) {
+        log("Notification Queue Error:", error);
+      } finally {
+        running = false;
+      }
+    }, pollIntervalMs);
+    timer.unref();
+
+    return () => clearInterval(timer);
+  };
+
+  return { enqueueNotice, processQueue, startWorker, unsubscribeToken, readUnsubscribeToken };
+};
+
+module.exports = { createNotificationService };
@@ -0,0 +1,109 @@
+const { ValidationError } = require("../errors");
+const { generateVapidKeys, sendPushMessage } = require("../push/webpush");
+
+// Decoded byte length of a base64url string
+const byteLength = (value) => Buffer.from(value, "base64url").length;
+
+// Whether `hostname` is one of `hosts`, where "*.example.com" stands for
+// every subdomain of example.com
+const isAllowedHost = (hostname, hosts) =>
+  hosts.some((host) => (host.startsWith("*.") ? hostname.endsWith(host.slice(1)) : hostname === host));
+
+// Web Push subscriptions and delivery. Each PushSubscriptions document is one
+// browser of one user: { endpoint, keys: { p256dh, auth }, email,
+// vapidPublicKey, userAgent, createdAt }.
+const createPushService = ({ collections, config }) => {
+  const { pushSubscriptionCollection, settingCollection } = collections;
+  let vapidKeys = null;
+
+  // The VAPID key pair from the config or, without one, a pair generated on
+  // first use and kept in the Settings collection so that every instance
+  // signs with the same keys
+  const getVapidKeys = async () => {
+    if (!vapidKeys) {
+      const { publicKey, privateKey } = config.webPush;
+
+      if (publicKey && privateKey) {
+        vapidKeys = { publicKey, privateKey };
+      } else {
+        await settingCollection.updateOne(
+          { _id: "vapidKeys" },
+          { $setOnInsert: { ...generateVapidKeys(), createdAt: new Date() } },
+          { upsert: true }
+        );
+        const stored = await settingCollection.findOne({ _id: "vapidKeys" });
+        vapidKeys = { publicKey: stored.publicKey, privateKey: stored.privateKey };
+      }
+    }
+    return vapidKeys;
+  };
+
+  // Saves a browser's subscription for `email`. A browser re-subscribing
+  // (or used by someone else after a logout) keeps one document per endpoint.
+  const subscribe = async (email, { endpoint, keys }, userAgent) => {
+    const { protocol, hostname } = new URL(endpoint);
+    if (!config.webPush.allowInsecureEndpoints && protocol !== "https:") {
+      throw new ValidationError("Validation Error: endpoint must be an https URL.");
+    }
+    if (!isAllowedHost(hostname, config.webPush.endpointHosts)) {
+      throw new ValidationError("Validation Error: endpoint must belong to a supported browser push service.");
+    }
+    if (byteLength(keys.p256dh) !== 65 || byteLength(keys.auth) !== 16) {
+      throw new ValidationError("Validation Error: keys must hold a P-256 public key (p256dh) and a 16-byte auth secret.");
+    }
+
+    const { publicKey } = await getVapidKeys();
+    const now = new Date();
+    await pushSubscriptionCollection.updateOne(
+      { endpoint },
+      {
+        $set: {
+          keys: { p256dh: keys.p256dh, auth: keys.auth },
+          email,
+          vapidPublicKey: publicKey,
+          userAgent: userAgent || null,
+          updatedAt: now,
+        },
+        $setOnInsert: { createdAt: now },
+      },
+      { upsert: true }
+    );
+  };
+
+  // Removes one of `email`'s subscriptions; true if it existed
+  const unsubscribe = async (email, endpoint) =>
+    (await pushSubscriptionCollection.deleteOne({ email, endpoint })).deletedCount > 0;
+
+  // Sends `payload` to one stored subscription. Subscriptions the push
+  // service reports as expired, or made for an earlier VAPID key, are
+  // deleted and resolve to "expired"; other failures reject.
+  const deliver = async (subscription, payload, { topic } = {}) => {
+    const keys = await getVapidKeys();
+
+    if (subscription.vapidPublicKey !== keys.publicKey) {
+      await pushSubscriptionCollection.deleteOne({ _id: subscription._id });
+      return "expired";
+    }
+
+    try {
+      await sendPushMessage({
+        subscription,
+        payload,
+        vapid: { subject: config.webPush.subject, ...keys },
+        ttlSeconds: config.webPush.ttlSeconds,
+        topic,
+      });
+      return "sent";
+    } catch (error) {
+      if (!error.expired) {
+        throw error;
+      }
+      await pushSubscriptionCollection.deleteOne({ _id: subscription._id });
+      return "expired";
+    }
+  };
+
+  return { getVapidKeys, subscribe, unsubscribe, deliver };
+};
+
+module.exports = { createPushService };
@@ -0,0 +1,75 @@
+const { noticeVisibilityQuery } = require("../permissions");
+const { noticeStatusQuery } = require("../publication");
+
+// Read receipts and acknowledgements of notices, one NoticeReceipts document
+// per user and notice: { noticeId, email, readAt, acknowledgedAt }.
+const createReceiptService = ({ collections }) => {
+  const { noticeCollection, receiptCollection } = collections;
+
+  // Records that `email` opened the notice; the first read is kept
+  const markRead = (noticeId, email) =>
+    receiptCollection.updateOne(
+      { noticeId, email },
+      { $setOnInsert: { noticeId, email, readAt: new Date(), acknowledgedAt: null } },
+      { upsert: true }
+    );
+
+  // Records the acknowledgement (which implies a read), keeping the first one
+  const acknowledge = async (noticeId, email) => {
+    await markRead(noticeId, email);
+    await receiptCollection.updateOne(
+      { noticeId, email, acknowledgedAt: null },
+      { $set: { acknowledgedAt: new Date() } }
+    );
+    return receiptCollection.findOne({ noticeId, email });
+  };
+
+  // The user's receipts for `noticeIds`, keyed by notice id
+  const receiptsFor = async (email, noticeIds) => {
+    const receipts = await receiptCollection
+      .find({ email, noticeId: { $in: noticeIds } })
+      .toArray();
+    return new Map(receipts.map((receipt) => [receipt.noticeId.toString(), receipt]));
+  };
+
+  // Live notices visible to `user` that they have not read, and those asking
+  // for an acknowledgement they have not given, counted in the database
+  const unreadCounts = async (user) => {
+    const [counts] = await noticeCollection
+      .aggregate([
+        { $match: { $and: [noticeVisibilityQuery(user), noticeStatusQuery("live")] } },
+        {
+          $lookup: {
+            from: receiptCollection.collectionName,
+            localField: "_id",
+            foreignField: "noticeId",
+            pipeline: [{ $match: { email: user.email } }, { $project: { acknowledgedAt: 1 } }],
+            as: "receipt",
+          },
+        },
+        { $project: { requiresAck: 1, receipt: { $arrayElemAt: ["$receipt", 0] } } },
+        {
+          $group: {
+            _id: null,
+            unread: { $sum: { $cond: [{ $ifNull: ["$receipt", false] }, 0, 1] } },
+            unacknowledged: {
+              $sum: {
+                $cond: [
+                  { $and: [{ $eq: ["$requiresAck", true] }, { $not: ["$receipt.acknowledgedAt"] }] },
+                  1,
+                  0,
+                ],
+              },
+            },
+          },
+        },
+      ])
+      .toArray();
+
+    return { unread: counts?.unread ?? 0, unacknowledged: counts?.unacknowledged ?? 0 };
+  };
+
+  return { markRead, acknowledge, receiptsFor, unreadCounts };
+};
+
+module.exports = { createReceiptService };
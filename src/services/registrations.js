@@ -0,0 +1,173 @@
+const crypto = require("crypto");
+const { ConflictError, ForbiddenError, NotFoundError } = require("../errors");
+
+// Seats left at an event, or null when its capacity is unlimited
+const seatsRemaining = (event) =>
+  event.capacity == null
+    ? null
+    : Math.max(0, event.capacity - (event.registeredCount || 0));
+
+// A registration as shown to its owner, with the check-in code (signed by
+// `issueCode`) once they hold a seat
+const formatRegistration = (registration, issueCode) =>
+  registration && {
+    status: registration.status,
+    registeredAt: registration.registeredAt ?? null,
+    waitlistPosition: registration.waitlistPosition ?? null,
+    checkInCode: registration.status === "registered" ? issueCode(registration) : null,
+    checkedInAt: registration.checkedInAt ?? null,
+  };
+
+// Event registration with capacity and a first-come waitlist. Each event keeps
+// a `registeredCount` that is only ever changed with atomic conditional
+// updates, so concurrent registrations can never overfill it.
+const createRegistrationService = ({ collections }) => {
+  const { eventsCollection, registrationCollection } = collections;
+
+  // Takes one seat if the event has room; returns whether it did
+  const claimSeat = async (eventId) => {
+    const result = await eventsCollection.updateOne(
+      {
+        _id: eventId,
+        $or: [
+          { capacity: null },
+          { $expr: { $lt: [{ $ifNull: ["$registeredCount", 0] }, "$capacity"] } },
+        ],
+      },
+      { $inc: { registeredCount: 1 } }
+    );
+    return result.modifiedCount === 1;
+  };
+
+  const releaseSeat = (eventId) =>
+    eventsCollection.updateOne(
+      { _id: eventId, registeredCount: { $gt: 0 } },
+      { $inc: { registeredCount: -1 } }
+    );
+
+  // Moves waitlisted users up, oldest first, while seats are free. Called
+  // whenever a seat is released or the capacity grows.
+  const promoteFromWaitlist = async (eventId) => {
+    const promoted = [];
+
+    while (await claimSeat(eventId)) {
+      const now = new Date();
+      const next = await registrationCollection.findOneAndUpdate(
+        { eventId, status: "waitlisted" },
+        { $set: { status: "registered", registeredAt: now, promotedAt: now, updatedAt: now } },
+        { sort: { waitlistedAt: 1 }, returnDocument: "after" }
+      );
+
+      if (!next) {
+        await releaseSeat(eventId);
+        break;
+      }
+      promoted.push(next);
+    }
+
+    return promoted;
+  };
+
+  // 1-based position of a waitlisted registration
+  const waitlistPosition = async (registration) =>
+    (await registrationCollection.countDocuments({
+      eventId: registration.eventId,
+      status: "waitlisted",
+      waitlistedAt: { $lt: registration.waitlistedAt },
+    })) + 1;
+
+  // The user's active (registered or waitlisted) registration, with its
+  // waitlist position, or null
+  const getRegistration = async (eventId, email) => {
+    const registration = await registrationCollection.findOne({
+      eventId,
+      email,
+      status: { $in: ["registered", "waitlisted"] },
+    });
+
+    if (!registration) {
+      return null;
+    }
+    if (registration.status === "waitlisted") {
+      registration.waitlistPosition = await waitlistPosition(registration);
+    }
+    return registration;
+  };
+
+  // Registers `email` for the event, or waitlists them when it is full
+  const register = async (event, email) => {
+    if (event.registrationDeadline && event.registrationDeadline < new Date()) {
+      throw new ForbiddenError("Forbidden: Registration for this event has closed.");
+    }
+
+    if (await getRegistration(event._id, email)) {
+      throw new ConflictError("Already registered: You are already registered or waitlisted for this event.");
+    }
+
+    const seated = await claimSeat(event._id);
+    const now = new Date();
+    const fields = seated
+      ? { status: "registered", registeredAt: now, waitlistedAt: null }
+      : { status: "waitlisted", registeredAt: null, waitlistedAt: now };
+
+    try {
+      // Re-registering reuses the user's cancelled registration, with a fresh
+      // nonce so check-in codes issued before the cancellation stop working
+      await registrationCollection.updateOne(
+        { eventId: event._id, email, status: "cancelled" },
+        {
+          $set: {
+            ...fields,
+            checkInNonce: crypto.randomBytes(9).toString("base64url"),
+            checkedInAt: null,
+            checkedInBy: null,
+            cancelledAt: null,
+            updatedAt: now,
+          },
+          $setOnInsert: { createdAt: now },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent request registered the same user first
+      if (seated) {
+        await releaseSeat(event._id);
+      }
+      if (error.code === 11000) {
+        throw new ConflictError("Already registered: You are already registered or waitlisted for this event.");
+      }
+      throw error;
+    }
+
+    return getRegistration(event._id, email);
+  };
+
+  // Cancels the user's registration and hands a freed seat to the waitlist
+  const cancel = async (eventId, email) => {
+    const now = new Date();
+    const registration = await registrationCollection.findOneAndUpdate(
+      { eventId, email, status: { $in: ["registered", "waitlisted"] } },
+      { $set: { status: "cancelled", cancelledAt: now, updatedAt: now } }
+    );
+
+    if (!registration) {
+      throw new NotFoundError("Registration not found: You are not registered for this event.");
+    }
+
+    if (registration.status === "registered") {
+      await releaseSeat(eventId);
+      await promoteFromWaitlist(eventId);
+    }
+
+    return registration;
+  };
+
+  return {
+    getRegistration,
+    register,
+    cancel,
+    promoteFromWaitlist,
+  };
+};
+
+module.exports = { seatsRemaining, formatRegistration, createRegistrationService };
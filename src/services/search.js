@@ -0,0 +1,228 @@
+const { parseObjectId } = require("../errors");
+const { noticeVisibilityQuery } = require("../permissions");
+const { noticeStatus, noticeStatusQuery } = require("../publication");
+const { escapeHtml, escapeRegex } = require("../utils");
+
+// Fields covered by each collection's text index, in the order snippets are
+// returned. Weights rank a title match above a match in the body.
+const NOTICE_TEXT_FIELDS = { title: 5, description: 1 };
+const EVENT_TEXT_FIELDS = { name: 5, venue: 2, details: 1 };
+
+const SNIPPET_LENGTH = 160;
+
+const textScore = { score: { $meta: "textScore" } };
+
+// Words of a query worth highlighting: quotes are dropped and negated terms
+// ("-word", -"some phrase") skipped, since they never appear in a match.
+const searchTerms = (q) =>
+  q
+    .replace(/-"[^"]*"/g, " ")
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"));
+
+// MongoDB stems indexed words ("exams" matches "exam"), so highlight any word
+// starting with the term minus a common English suffix.
+const stemTerm = (term) => {
+  const stem = term.replace(/(ing|ed|es|s)$/i, "");
+  return stem.length >= 3 ? stem : term;
+};
+
+// Excerpt of `text` around the first matching term, HTML-escaped, with each
+// matching word wrapped in <mark>.
+const highlight = (text, terms) => {
+  const pattern = terms.length
+    ? new RegExp(
+        `(?<![\\p{L}\\p{N}])(?:${terms.map((term) => escapeRegex(stemTerm(term))).join("|")})[\\p{L}\\p{N}]*`,
+        "giu"
+      )
+    : null;
+
+  let start = 0;
+  let end = text.length;
+
+  if (text.length > SNIPPET_LENGTH) {
+    const first = pattern ? text.search(pattern) : -1;
+    start = first > SNIPPET_LENGTH / 3 ? first - Math.floor(SNIPPET_LENGTH / 3) : 0;
+    start = Math.min(start, text.length - SNIPPET_LENGTH);
+    end = start + SNIPPET_LENGTH;
+
+    // Avoid cutting words in half
+    if (start > 0) {
+      const space = text.indexOf(" ", start);
+      start = space !== -1 && space < start + 20 ? space + 1 : start;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(" ", end);
+      end = space > end - 20 ? space : end;
+    }
+  }
+
+  const excerpt = text.slice(start, end);
+  let snippet = "";
+  let last = 0;
+
+  if (pattern) {
+    for (const match of excerpt.matchAll(pattern)) {
+      snippet += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+  }
+  snippet += escapeHtml(excerpt.slice(last));
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+};
+
+// Filters shared by notice and event search. Dates are stored as
+// YYYY-MM-DD strings, so the range compares those and includes whole days.
+const buildFilterQuery = ({ q, category, department, club, from, to }) => {
+  const query = {};
+
+  if (q) {
+    query.$text = { $search: q };
+  }
+  if (category) {
+    query.category = category;
+  }
+  if (department) {
+    query.department = department;
+  }
+  if (club) {
+    query.club = parseObjectId(club);
+  }
+  if (from || to) {
+    query.date = {};
+    if (from) {
+      query.date.$gte = from.slice(0, 10);
+    }
+    if (to) {
+      const dayAfter = new Date(Date.parse(to.slice(0, 10)) + 24 * 60 * 60 * 1000);
+      query.date.$lt = dayAfter.toISOString().slice(0, 10);
+    }
+  }
+
+  return query;
+};
+
+// Narrows a date range on events to single events on a day within it, and
+// recurring series that start before it ends and do not end before it starts
+const eventRangeQuery = ({ date, ...query }) => {
+  if (!date) {
+    return query;
+  }
+
+  const series = { recurrence: { $type: "object" } };
+  if (date.$lt) {
+    series.date = { $lt: date.$lt };
+  }
+  if (date.$gte) {
+    series.$or = [{ lastOccurrence: null }, { lastOccurrence: { $gte: date.$gte } }];
+  }
+
+  return { ...query, $or: [{ recurrence: null, date }, series] };
+};
+
+// Runs a (possibly text) query. With `q`, results come ranked by relevance
+// with a `score` and `highlights` snippets for each indexed field; otherwise
+// in `sort` order.
+const runSearch = async (collection, query, { q, sort, skip, limit }, fields) => {
+  let cursor = collection.find(query);
+
+  if (q) {
+    cursor = cursor.project(textScore).sort(textScore);
+  } else if (sort) {
+    cursor = cursor.sort(sort);
+  }
+  if (skip) {
+    cursor = cursor.skip(skip);
+  }
+  if (limit) {
+    cursor = cursor.limit(limit);
+  }
+
+  const documents = await cursor.toArray();
+  if (!q) {
+    return documents;
+  }
+
+  const terms = searchTerms(q);
+  return documents.map((document) => ({
+    ...document,
+    highlights: Object.fromEntries(
+      Object.keys(fields)
+        .filter((field) => typeof document[field] === "string")
+        .map((field) => [field, highlight(document[field], terms)])
+    ),
+  }));
+};
+
+// Full-text search over notices and events
+const createSearchService = ({ collections }) => {
+  const { noticeCollection, eventsCollection } = collections;
+
+  // Notices visible to `user` under the same audience rules as GET /notices
+  const searchNotices = async (user, filters, options = {}) => {
+    const now = new Date();
+    const notices = await runSearch(
+      noticeCollection,
+      { ...buildFilterQuery(filters), ...noticeVisibilityQuery(user, now) },
+      { q: filters.q, ...options },
+      NOTICE_TEXT_FIELDS
+    );
+    return notices.map((notice) => ({ ...notice, status: noticeStatus(notice, now) }));
+  };
+
+  // One page of the notices visible to `user`: pinned notices first, then
+  // newest first (or by relevance when searching), optionally only those
+  // with a publication `status`. Resolves to { notices, total }.
+  const listNotices = async (user, { status, ...filters }, { page, limit }) => {
+    const now = new Date();
+    const visibility = noticeVisibilityQuery(user, now);
+    const query = { ...buildFilterQuery(filters), ...visibility };
+
+    if (status) {
+      query.$and = [...(visibility.$and || []), noticeStatusQuery(status, now)];
+    }
+
+    const [notices, total] = await Promise.all([
+      runSearch(
+        noticeCollection,
+        query,
+        {
+          q: filters.q,
+          sort: { pinned: -1, publishAt: -1, createdAt: -1, _id: -1 },
+          skip: (page - 1) * limit,
+          limit,
+        },
+        NOTICE_TEXT_FIELDS
+      ),
+      noticeCollection.countDocuments(query),
+    ]);
+
+    return {
+      notices: notices.map((notice) => ({ ...notice, status: noticeStatus(notice, now) })),
+      total,
+    };
+  };
+
+  // Events have no category, so that filter is ignored. Recurring series
+  // match a date range when any of their occurrences may fall within it.
+  const searchEvents = (filters, options = {}) =>
+    runSearch(
+      eventsCollection,
+      eventRangeQuery(buildFilterQuery({ ...filters, category: undefined })),
+      { q: filters.q, ...options },
+      EVENT_TEXT_FIELDS
+    );
+
+  return { searchNotices, listNotices, searchEvents };
+};
+
+module.exports = {
+  NOTICE_TEXT_FIELDS,
+  EVENT_TEXT_FIELDS,
+  searchTerms,
+  highlight,
+  buildFilterQuery,
+  createSearchService,
+};
@@ -0,0 +1,92 @@
+const jwt = require("jsonwebtoken");
+const { ObjectId } = require("mongodb");
+const { hashToken } = require("../utils");
+
+// Session Lifetimes
+const ACCESS_TOKEN_TTL = "15m";
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Splits a "<sessionId>.<secret>" refresh cookie; returns null if malformed.
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = (refreshToken || "").split(".");
+  if (!secret || !ObjectId.isValid(sessionId)) {
+    return null;
+  }
+  return { sessionId: new ObjectId(sessionId), secret };
+};
+
+// Server-side sessions backing the auth cookies. Each session document is one
+// refresh-token family: it holds the hash of the current refresh token plus
+// every hash it has rotated away from.
+const createSessionService = ({ collections, config }) => {
+  const { sessionCollection } = collections;
+
+  const authCookieOptions = {
+    httpOnly: true,
+    secure: config.nodeEnv === "production",
+    sameSite: config.nodeEnv === "production" ? "none" : "strict",
+  };
+
+  const createSession = async (req, user, uid, refreshSecret) => {
+    const now = new Date();
+    const session = {
+      email: user.email,
+      uid,
+      refreshTokenHash: hashToken(refreshSecret),
+      previousTokenHashes: [],
+      userAgent: req.get("user-agent") || null,
+      ip: req.ip,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+      revokedAt: null,
+      revokedReason: null,
+    };
+
+    const result = await sessionCollection.insertOne(session);
+    return { ...session, _id: result.insertedId };
+  };
+
+  const revokeSessions = (filter, reason) =>
+    sessionCollection.updateMany(
+      { ...filter, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+  // Signs a short-lived access token bound to the session and sets it,
+  // together with the refresh token, as HTTP-only cookies.
+  const setAuthCookies = (res, user, session, refreshSecret) => {
+    const token = jwt.sign(
+      {
+        uid: session.uid,
+        sid: session._id.toString(),
+        email: user.email,
+        adminRole: user.adminRole,
+        department: user.department,
+      },
+      config.jwtSecret,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    res.cookie("token", token, authCookieOptions);
+    res.cookie("refreshToken", `${session._id}.${refreshSecret}`, {
+      ...authCookieOptions,
+      expires: session.expiresAt,
+    });
+  };
+
+  const clearAuthCookies = (res) => {
+    res.clearCookie("token", authCookieOptions);
+    res.clearCookie("refreshToken", authCookieOptions);
+  };
+
+  return {
+    createSession,
+    revokeSessions,
+    setAuthCookies,
+    clearAuthCookies,
+    parseRefreshToken,
+  };
+};
+
+module.exports = { createSessionService, parseRefreshToken, ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_MS };
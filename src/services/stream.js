@@ -0,0 +1,138 @@
+const { canViewNotice } = require("../permissions");
+const { noticeStatus } = require("../publication");
+
+// Live changes to notices and events. Every change is stored in the
+// StreamEvents collection as { _id, type, targetId, before, after,
+// createdAt }, where `_id` is a sequence number shared by all instances (so
+// clients can resume after it) and `before`/`after` are the document on
+// either side of the change. The broker then delivers it to every instance.
+const createStreamService = ({ collections, config, broker }) => {
+  const { streamEventCollection, streamStateCollection, noticeCollection } = collections;
+
+  const currentSequence = async () =>
+    (await streamStateCollection.findOne({ _id: "sequence" }))?.value ?? 0;
+
+  const nextSequence = async () => {
+    const state = await streamStateCollection.findOneAndUpdate(
+      { _id: "sequence" },
+      { $inc: { value: 1 } },
+      { upsert: true, returnDocument: "after" }
+    );
+    return state.value;
+  };
+
+  // Records a change such as "notice.updated"; `before` is null for
+  // creations and `after` for deletions
+  const publish = async ({ type, targetId, before = null, after = null }) => {
+    const message = {
+      _id: await nextSequence(),
+      type,
+      targetId,
+      before,
+      after,
+      createdAt: new Date(),
+    };
+    await streamEventCollection.insertOne(message);
+    broker.publish(message);
+    return message;
+  };
+
+  // What `user` is told about a stored change: { id, event, data }, or null
+  // when it does not concern them. Events are public; notices follow the
+  // GET /notices visibility rules, and a notice the user could see before
+  // an update but not after it is gone as far as they are concerned.
+  const messageFor = (user, message, now = new Date()) => {
+    const { _id: id, type, targetId, before, after } = message;
+
+    if (!type.startsWith("notice.")) {
+      return { id, event: type, data: after ?? { _id: targetId } };
+    }
+    if (after && canViewNotice(user, after, now)) {
+      return { id, event: type, data: { ...after, status: noticeStatus(after, now) } };
+    }
+    if (before && canViewNotice(user, before, now)) {
+      return { id, event: "notice.deleted", data: { _id: targetId } };
+    }
+    return null;
+  };
+
+  // Stored changes after `lastEventId`, oldest first, and the latest id.
+  // `changes` is null when some of them have already expired (or the id is
+  // unknown) and the client has to reload instead.
+  const changesSince = async (lastEventId) => {
+    const [oldest, current] = await Promise.all([
+      streamEventCollection.findOne({}, { sort: { _id: 1 } }),
+      currentSequence(),
+    ]);
+    const firstKept = oldest ? oldest._id : current + 1;
+
+    if (lastEventId > current || firstKept > lastEventId + 1) {
+      return { changes: null, current };
+    }
+
+    const changes = await streamEventCollection
+      .find({ _id: { $gt: lastEventId } })
+      .sort({ _id: 1 })
+      .toArray();
+    return { changes, current };
+  };
+
+  // Publishes notice.created for scheduled notices that went live since the
+  // previous call. Each interval is claimed by one instance only.
+  const announceScheduledNotices = async ({ now = new Date() } = {}) => {
+    const state = await streamStateCollection.findOne({ _id: "scheduledNotices" });
+
+    if (!state) {
+      await streamStateCollection.updateOne(
+        { _id: "scheduledNotices" },
+        { $setOnInsert: { announcedUntil: now } },
+        { upsert: true }
+      );
+      return 0;
+    }
+
+    const claimed = await streamStateCollection.updateOne(
+      { _id: "scheduledNotices", announcedUntil: state.announcedUntil },
+      { $set: { announcedUntil: now } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return 0;
+    }
+
+    // Notices published on the spot were announced when they were saved
+    const notices = await noticeCollection
+      .find({
+        publishAt: { $gt: state.announcedUntil, $lte: now },
+        $expr: { $lt: [{ $ifNull: ["$updatedAt", "$createdAt"] }, "$publishAt"] },
+      })
+      .sort({ publishAt: 1 })
+      .toArray();
+
+    for (const notice of notices) {
+      await publish({ type: "notice.created", targetId: notice._id, after: notice });
+    }
+    return notices.length;
+  };
+
+  // Announces scheduled notices every announceIntervalMs until the returned
+  // function is called. The timer does not keep the process alive on its own.
+  const startWorker = ({ log = console.error } = {}) => {
+    const timer = setInterval(() => {
+      announceScheduledNotices().catch((error) => log("Stream Scheduler Error:", error));
+    }, config.stream.announceIntervalMs);
+    timer.unref();
+
+    return () => clearInterval(timer);
+  };
+
+  return {
+    publish,
+    subscribe: broker.subscribe,
+    messageFor,
+    changesSince,
+    announceScheduledNotices,
+    startWorker,
+  };
+};
+
+module.exports = { createStreamService };
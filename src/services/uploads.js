@@ -0,0 +1,238 @@
+const sharp = require("sharp");
+const { encode: encodeBlurhash } = require("blurhash");
+const { ObjectId } = require("mongodb");
+const { ValidationError } = require("../errors");
+
+// Image formats accepted for upload, recognised by their first bytes
+// ("magic number") rather than the file name or the client's content type
+const IMAGE_TYPES = {
+  jpeg: {
+    contentType: "image/jpeg",
+    extension: "jpg",
+    matches: (buffer) => buffer.subarray(0, 3).equals(Buffer.from("ffd8ff", "hex")),
+  },
+  png: {
+    contentType: "image/png",
+    extension: "png",
+    matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex")),
+  },
+  webp: {
+    contentType: "image/webp",
+    extension: "webp",
+    matches: (buffer) => buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP",
+  },
+};
+
+// Sizes every uploaded image is also stored in, as WebP
+const IMAGE_VARIANTS = {
+  // Square crop for profile pictures
+  avatar: { width: 128, height: 128, fit: "cover" },
+  // Event and notice cards
+  thumbnail: { width: 480, height: 320, fit: "cover" },
+  // Detail pages; smaller images are not enlarged
+  large: { width: 1600, height: 1600, fit: "inside", withoutEnlargement: true },
+};
+
+// Fields of users, notices, events and clubs holding an uploaded image's URL
+const IMAGE_REFERENCES = [
+  ["userCollection", ["image"]],
+  ["noticeCollection", ["image"]],
+  ["eventsCollection", ["image", "overrides.image"]],
+  ["clubCollection", ["image"]],
+];
+
+// Resizes an image to one of IMAGE_VARIANTS, turned upright
+const renderVariant = (buffer, { width, height, fit, withoutEnlargement = false }) =>
+  sharp(buffer)
+    .rotate()
+    .resize({ width, height, fit, withoutEnlargement })
+    .webp({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+
+// BlurHash (https://blurha.sh) of an image: a short string clients decode
+// into a blurred preview while the image loads
+const renderPlaceholder = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize(32, 32, { fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return encodeBlurhash(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+};
+
+// Uploaded images. Each one is an Uploads document recording who uploaded
+// it: { key, url, contentType, size, width, height, variants, placeholder,
+// uploadedBy, createdAt }, where `variants` maps each of IMAGE_VARIANTS to
+// its { key, url, width, height }. The images themselves are in the
+// `images` store. Images that no user, notice
+// or event refers to are deleted by the reaper once they are orphanGraceMs
+// old, which leaves time to save the form they were uploaded for.
+const createUploadService = ({ collections, config, images }) => {
+  const { uploadCollection } = collections;
+  const { maxDimension, orphanGraceMs, reapIntervalMs } = config.images;
+
+  // Checks an uploaded (in-memory multer) file and stores it; resolves to
+  // its Uploads document
+  const saveImage = async (file, email) => {
+    const [format, type] =
+      Object.entries(IMAGE_TYPES).find(([, candidate]) => candidate.matches(file.buffer)) || [];
+    if (!type) {
+      throw new ValidationError("Validation Error: The file is not a JPEG, PNG or WebP image.");
+    }
+
+    const metadata = await sharp(file.buffer)
+      .metadata()
+      .catch(() => null);
+    if (!metadata || metadata.format !== format || !metadata.width || !metadata.height) {
+      throw new ValidationError("Validation Error: The image could not be read.");
+    }
+    if (metadata.width > maxDimension || metadata.height > maxDimension) {
+      throw new ValidationError(
+        `Validation Error: The image is ${metadata.width}×${metadata.height} pixels; it may be at most ${maxDimension} pixels wide and high.`
+      );
+    }
+
+    const _id = new ObjectId();
+    const key = `${_id}.${type.extension}`;
+    const [placeholder, ...rendered] = await Promise.all([
+      renderPlaceholder(file.buffer),
+      ...Object.values(IMAGE_VARIANTS).map((variant) => renderVariant(file.buffer, variant)),
+    ]);
+
+    const variants = {};
+    for (const [index, name] of Object.keys(IMAGE_VARIANTS).entries()) {
+      const { data, info } = rendered[index];
+      const variantKey = `${_id}-${name}.webp`;
+      variants[name] = {
+        key: variantKey,
+        url: await images.save(variantKey, data, { contentType: "image/webp" }),
+        width: info.width,
+        height: info.height,
+      };
+    }
+
+    // EXIF orientations 5 to 8 turn the image sideways
+    const sideways = metadata.orientation >= 5;
+    const upload = {
+      _id,
+      key,
+      url: await images.save(key, file.buffer, { contentType: type.contentType }),
+      contentType: type.contentType,
+      size: file.buffer.length,
+      width: sideways ? metadata.height : metadata.width,
+      height: sideways ? metadata.width : metadata.height,
+      variants,
+      placeholder,
+      uploadedBy: email,
+      createdAt: new Date(),
+    };
+
+    await uploadCollection.insertOne(upload);
+    return upload;
+  };
+
+  // The image at `url` in every size, as API responses show it. Images not
+  // uploaded through the API (or before variants existed) are only known in
+  // their original size.
+  const describeImages = (url, upload) => {
+    const original = upload
+      ? { url: upload.url, width: upload.width, height: upload.height }
+      : { url, width: null, height: null };
+    const sizes = Object.keys(IMAGE_VARIANTS).map((name) => {
+      const variant = upload?.variants?.[name];
+      return [name, variant ? { url: variant.url, width: variant.width, height: variant.height } : original];
+    });
+
+    return { original, ...Object.fromEntries(sizes), placeholder: upload?.placeholder ?? null };
+  };
+
+  // Replaces the `image` URL of each document (a user, notice or event)
+  // with `images`, the image in every size, or null without one
+  const withImages = async (documents) => {
+    const urls = [...new Set(documents.map((document) => document.image).filter(Boolean))];
+    const uploads = urls.length > 0 ? await uploadCollection.find({ url: { $in: urls } }).toArray() : [];
+    const uploadsByUrl = new Map(uploads.map((upload) => [upload.url, upload]));
+
+    return documents.map(({ image, ...document }) => ({
+      ...document,
+      images: image ? describeImages(image, uploadsByUrl.get(image)) : null,
+    }));
+  };
+
+  const withImage = async (document) => (await withImages([document]))[0];
+
+  // The URLs among `urls` that some user, notice, event or club refers to
+  const referencedUrls = async (urls) => {
+    const referenced = new Set();
+
+    for (const [name, fields] of IMAGE_REFERENCES) {
+      const documents = await collections[name]
+        .find({ $or: fields.map((field) => ({ [field]: { $in: urls } })) })
+        .project(Object.fromEntries(fields.map((field) => [field, 1])))
+        .toArray();
+
+      for (const document of documents) {
+        referenced.add(document.image);
+        (document.overrides || []).forEach((override) => referenced.add(override.image));
+      }
+    }
+
+    return referenced;
+  };
+
+  // Deletes every image uploaded before `now` less orphanGraceMs that
+  // nothing refers to; returns how many were deleted
+  const reapOrphans = async ({ now = new Date(), batchSize = 100 } = {}) => {
+    const createdBefore = new Date(now.getTime() - orphanGraceMs);
+    let removed = 0;
+    let lastId = null;
+
+    for (;;) {
+      const uploads = await uploadCollection
+        .find({ createdAt: { $lte: createdBefore }, ...(lastId && { _id: { $gt: lastId } }) })
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .toArray();
+      if (uploads.length === 0) {
+        return { removed };
+      }
+      lastId = uploads.at(-1)._id;
+
+      const referenced = await referencedUrls(uploads.map((upload) => upload.url));
+      for (const upload of uploads.filter((candidate) => !referenced.has(candidate.url))) {
+        for (const key of [upload.key, ...Object.values(upload.variants || {}).map((variant) => variant.key)]) {
+          await images.remove(key);
+        }
+        await uploadCollection.deleteOne({ _id: upload._id });
+        removed += 1;
+      }
+    }
+  };
+
+  // Reaps orphaned images every reapIntervalMs until the returned function
+  // is called. The timer does not keep the process alive on its own.
+  const startReaper = ({ log = console.error } = {}) => {
+    let running = false;
+    const timer = setInterval(async () => {
+      if (running) {
+        return;
+      }
+      running = true;
+      try {
+        await reapOrphans();
+      } catch (error) {
+        log("Upload Reaper Error:", error);
+      } finally {
+        running = false;
+      }
+    }, reapIntervalMs);
+    timer.unref();
+
+    return () => clearInterval(timer);
+  };
+
+  return { saveImage, describeImages, withImages, withImage, reapOrphans, startReaper };
+};
+
+module.exports = { IMAGE_TYPES, IMAGE_VARIANTS, createUploadService };
@@ -0,0 +1,58 @@
+const cloudinary = require("cloudinary").v2;
+
+const configureCloudinary = ({ cloudName, apiKey, apiSecret }) =>
+  cloudinary.config({
+    cloud_name: cloudName,
+    api_key: apiKey,
+    api_secret: apiSecret,
+  });
+
+// Resolves to Cloudinary's result for `buffer` uploaded with `options`
+const uploadBuffer = (buffer, options) =>
+  new Promise((resolve, reject) => {
+    cloudinary.uploader
+      .upload_stream(options, (error, result) => (error ? reject(error) : resolve(result)))
+      .end(buffer);
+  });
+
+// Image store (see ./images) keeping public images in the Cloudinary folder
+const createCloudinaryImageStore = ({ cloudName, apiKey, apiSecret, folder }) => {
+  configureCloudinary({ cloudName, apiKey, apiSecret });
+  // Cloudinary adds the extension itself
+  const publicId = (key) => `${folder}/${key.replace(/\.[^./]+$/, "")}`;
+
+  const save = async (key, buffer) =>
+    (await uploadBuffer(buffer, { public_id: publicId(key), resource_type: "image", overwrite: true })).secure_url;
+
+  const remove = (key) => cloudinary.uploader.destroy(publicId(key), { resource_type: "image", invalidate: true });
+
+  return { save, remove };
+};
+
+// File store (see ./files) keeping private files as "authenticated" raw
+// assets in the Cloudinary folder, which have no public URL
+const createCloudinaryFileStore = ({ cloudName, apiKey, apiSecret, folder }) => {
+  configureCloudinary({ cloudName, apiKey, apiSecret });
+  const options = { resource_type: "raw", type: "authenticated" };
+  const publicId = (key) => `${folder}/${key}`;
+
+  const save = (key, buffer) => uploadBuffer(buffer, { ...options, public_id: publicId(key), overwrite: true });
+
+  const read = async (key) => {
+    const url = cloudinary.utils.private_download_url(publicId(key), "", {
+      ...options,
+      expires_at: Math.floor(Date.now() / 1000) + 60,
+    });
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Cloudinary responded ${response.status} for ${key}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  };
+
+  const remove = (key) => cloudinary.uploader.destroy(publicId(key), { ...options, invalidate: true });
+
+  return { save, read, remove };
+};
+
+module.exports = { createCloudinaryImageStore, createCloudinaryFileStore };
@@ -0,0 +1,48 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { createCloudinaryFileStore } = require("./cloudinary");
+
+// File stores keep private files (such as notice attachments) under a key
+// like "notices/<id>/<file>". Every store exposes:
+//   save(key, buffer, { contentType }) - writes (or replaces) the file
+//   read(key)                          - resolves to its contents
+//   remove(key)                        - deletes it; missing files are ignored
+
+// Keeps files in a local directory, for development and tests
+const createDiskFileStore = ({ directory }) => {
+  const root = path.resolve(directory);
+
+  // Keys never reach outside the directory
+  const resolveKey = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid file key: ${key}`);
+    }
+    return file;
+  };
+
+  const save = async (key, buffer) => {
+    const file = resolveKey(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  };
+
+  const read = (key) => fs.readFile(resolveKey(key));
+
+  const remove = (key) => fs.rm(resolveKey(key), { force: true });
+
+  return { save, read, remove };
+};
+
+const createFileStore = (config) => {
+  switch (config.files.driver) {
+    case "cloudinary":
+      return createCloudinaryFileStore(config.cloudinary);
+    case "disk":
+      return createDiskFileStore({ directory: config.files.directory });
+    default:
+      throw new Error(`Unknown file storage driver: ${config.files.driver}`);
+  }
+};
+
+module.exports = { createDiskFileStore, createFileStore };
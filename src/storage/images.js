@@ -0,0 +1,39 @@
+const path = require("path");
+const { createCloudinaryImageStore } = require("./cloudinary");
+const { createDiskFileStore } = require("./files");
+
+// Image stores keep public images, such as event posters and profile
+// pictures, under a key like "<id>.png". Every store exposes:
+//   save(key, buffer, { contentType }) - writes the image; resolves to its URL
+//   remove(key)                        - deletes it; missing images are ignored
+// Stores keeping images on this server also expose their `directory`, which
+// the API then serves under /images.
+
+// Keeps images in a local directory, for development and tests. `baseUrl` is
+// where the API serves that directory.
+const createDiskImageStore = ({ directory, baseUrl }) => {
+  const files = createDiskFileStore({ directory });
+
+  const save = async (key, buffer) => {
+    await files.save(key, buffer);
+    return `${baseUrl}/${key}`;
+  };
+
+  return { directory, save, remove: files.remove };
+};
+
+const createImageStore = (config) => {
+  switch (config.files.driver) {
+    case "cloudinary":
+      return createCloudinaryImageStore(config.cloudinary);
+    case "disk":
+      return createDiskImageStore({
+        directory: path.join(config.files.directory, "images"),
+        baseUrl: `${config.publicUrl || `http://localhost:${config.port}`}/images`,
+      });
+    default:
+      throw new Error(`Unknown file storage driver: ${config.files.driver}`);
+  }
+};
+
+module.exports = { createDiskImageStore, createImageStore };
@@ -0,0 +1,73 @@
+const { EventEmitter } = require("events");
+
+// Stream brokers deliver each stored StreamEvents message to the listeners
+// of every server instance: publish(message) is called once the message is
+// stored, and subscribe(listener) returns a function that unsubscribes.
+
+// Delivers messages within this process only (single instance, tests)
+const createMemoryBroker = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    publish: (message) => {
+      emitter.emit("message", message);
+    },
+    subscribe: (listener) => {
+      emitter.on("message", listener);
+      return () => emitter.off("message", listener);
+    },
+  };
+};
+
+// Delivers every message inserted into `collection` by any instance, using a
+// MongoDB change stream (requires a replica set, as on Atlas). After an
+// error the stream is reopened where it left off.
+const createChangeStreamBroker = (collection, { log = console.error } = {}) => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  let changeStream = null;
+  let resumeToken = null;
+
+  const watch = () => {
+    changeStream = collection.watch(
+      [{ $match: { operationType: "insert" } }],
+      resumeToken ? { resumeAfter: resumeToken } : {}
+    );
+    changeStream.on("change", (change) => {
+      resumeToken = change._id;
+      emitter.emit("message", change.fullDocument);
+    });
+    changeStream.on("error", (error) => {
+      log("Change Stream Error:", error);
+      changeStream.close().catch(() => {});
+      setTimeout(watch, 1000).unref();
+    });
+  };
+
+  return {
+    // Every instance, this one included, hears the insert itself
+    publish: () => {},
+    subscribe: (listener) => {
+      if (!changeStream) {
+        watch();
+      }
+      emitter.on("message", listener);
+      return () => emitter.off("message", listener);
+    },
+  };
+};
+
+// The broker named by `name`: "memory" or "mongodb"
+const createStreamBroker = (name, collection) => {
+  switch (name) {
+    case "memory":
+      return createMemoryBroker();
+    case "mongodb":
+      return createChangeStreamBroker(collection);
+    default:
+      throw new Error(`Unknown stream broker: ${name}`);
+  }
+};
+
+module.exports = { createMemoryBroker, createChangeStreamBroker, createStreamBroker };
@@ -0,0 +1,179 @@
+// Date and time helpers for event schedules. Events are entered as a local
+// date and wall-clock time in a named IANA time zone (Asia/Dhaka unless
+// configured otherwise); these turn them into real instants and back.
+
+const DEFAULT_TIMEZONE = "Asia/Dhaka";
+
+// "14:30", "2:30 PM" or "2:30pm" -> { hours, minutes }, or null
+const parseTime = (time) => {
+  const match = /^\s*(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?\s*$/.exec(time || "");
+  if (!match) {
+    return null;
+  }
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const meridiem = match[3] && match[3].toUpperCase();
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) {
+      return null;
+    }
+    hours = (hours % 12) + (meridiem === "PM" ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return { hours, minutes };
+};
+
+// "2026-07-01" (or an ISO 8601 string starting with one) -> { year, month, day }.
+// Other formats that Date.parse understands ("July 1, 2026") are accepted
+// for documents written before dates were validated.
+const parseDate = (date) => {
+  if (typeof date !== "string") {
+    return null;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(date.trim());
+  if (match) {
+    const [year, month, day] = match.slice(1).map(Number);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    return check.getUTCMonth() === month - 1 && check.getUTCDate() === day
+      ? { year, month, day }
+      : null;
+  }
+
+  const parsed = new Date(date);
+  return isNaN(parsed)
+    ? null
+    : { year: parsed.getFullYear(), month: parsed.getMonth() + 1, day: parsed.getDate() };
+};
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatterCache.get(timeZone);
+};
+
+// Wall-clock fields of an instant in `timeZone`
+const zonedParts = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone)
+      .formatToParts(instant)
+      .filter((part) => part.type !== "literal")
+      .map((part) => [part.type, Number(part.value)])
+  );
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second,
+  };
+};
+
+// The YYYY-MM-DD date clocks in `timeZone` show at `instant`
+const zonedDate = (instant, timeZone) => {
+  const { year, month, day } = zonedParts(instant, timeZone);
+  return [year, month, day].map((part) => String(part).padStart(2, "0")).join("-");
+};
+
+// Minutes `timeZone` is ahead of UTC at `instant`
+const timeZoneOffset = (instant, timeZone) => {
+  const parts = zonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+};
+
+// The instant at which clocks in `timeZone` show the given wall-clock time
+const zonedTimeToUtc = ({ year, month, day, hours = 0, minutes = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  let instant = new Date(wallClock - timeZoneOffset(new Date(wallClock), timeZone) * 60000);
+
+  // A second pass settles times near a daylight-saving transition
+  instant = new Date(wallClock - timeZoneOffset(instant, timeZone) * 60000);
+  return instant;
+};
+
+// Real start and end instants for an event's date, time and optional end
+// time; an end time earlier than the start means the event runs past
+// midnight. Returns nulls when the date or time cannot be understood.
+const toEventTimestamps = ({ date, time, endTime }, timeZone = DEFAULT_TIMEZONE) => {
+  const day = parseDate(date);
+  const start = parseTime(time);
+
+  if (!day || !start) {
+    return { startsAt: null, endsAt: null };
+  }
+
+  const startsAt = zonedTimeToUtc({ ...day, ...start }, timeZone);
+  const end = endTime ? parseTime(endTime) : null;
+  let endsAt = end ? zonedTimeToUtc({ ...day, ...end }, timeZone) : null;
+
+  if (endsAt && endsAt <= startsAt) {
+    const nextDay = new Date(Date.UTC(day.year, day.month - 1, day.day + 1));
+    endsAt = zonedTimeToUtc(
+      {
+        year: nextDay.getUTCFullYear(),
+        month: nextDay.getUTCMonth() + 1,
+        day: nextDay.getUTCDate(),
+        ...end,
+      },
+      timeZone
+    );
+  }
+
+  return { startsAt, endsAt };
+};
+
+// A validated date or ISO 8601 string as an instant. Without a UTC offset it
+// is read as wall-clock time in `timeZone` (a bare date as its midnight).
+const parseInstant = (value, timeZone = DEFAULT_TIMEZONE) => {
+  if (/(Z|[+-]\d{2}:\d{2})$/.test(value)) {
+    return new Date(value);
+  }
+
+  const day = parseDate(value);
+  const time = /T(\d{2}):(\d{2})/.exec(value);
+  return zonedTimeToUtc(
+    { ...day, hours: time ? Number(time[1]) : 0, minutes: time ? Number(time[2]) : 0 },
+    timeZone
+  );
+};
+
+// Throws a RangeError for time zones the runtime does not know
+const assertTimeZone = (timeZone) => {
+  getFormatter(timeZone);
+  return timeZone;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  parseTime,
+  parseDate,
+  zonedParts,
+  zonedDate,
+  timeZoneOffset,
+  zonedTimeToUtc,
+  toEventTimestamps,
+  parseInstant,
+  assertTimeZone,
+};
@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+
+// Field-level changes between two versions of a document, as
+// { field: { from, to } }. Bookkeeping fields are left out.
+const diffDocuments = (before = {}, after = {}) => {
+  const ignored = ["_id", "createdAt", "updatedAt"];
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    if (ignored.includes(field)) {
+      continue;
+    }
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from ?? null, to: to ?? null };
+    }
+  }
+
+  return changes;
+};
+
+// Formats one CSV line, quoting every value (RFC 4180). Strings that a
+// spreadsheet would run as a formula (=, +, - or @ first) get a leading '.
+const toCsvRow = (values) =>
+  values
+    .map((value) => {
+      let text = value === null || value === undefined ? "" : String(value);
+      if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+      return `"${text.replace(/"/g, '""')}"`;
+    })
+    .join(",") + "\r\n";
+
+// Splits CSV text into rows of values (RFC 4180: quoted values may hold
+// commas, line breaks and doubled quotes). Blank lines are skipped and a
+// leading byte order mark is ignored. Returns null for an unterminated quote.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  const endRow = () => {
+    row.push(value);
+    if (row.length > 1 || row[0] !== "") {
+      rows.push(row);
+    }
+    row = [];
+    value = "";
+  };
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        value += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(value);
+      value = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[index + 1] === "\n") {
+        index += 1;
+      }
+      endRow();
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    return null;
+  }
+  endRow();
+  return rows;
+};
+
+// Escapes user input for safe use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Escapes text for safe inclusion in HTML
+const escapeHtml = (value) =>
+  value.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// `part` as a percentage of `whole` to one decimal place, or null for none
+const percentage = (part, whole) =>
+  whole === 0 ? null : Math.round((part / whole) * 1000) / 10;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+module.exports = {
+  diffDocuments,
+  toCsvRow,
+  parseCsv,
+  escapeRegex,
+  escapeHtml,
+  percentage,
+  hashToken,
+};
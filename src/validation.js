@@ -0,0 +1,394 @@
+const { ValidationError } = require("./errors");
+const { CLUB_ROLES } = require("./permissions");
+const { NOTICE_STATUSES } = require("./publication");
+const { FREQUENCIES } = require("./recurrence");
+const { parseDate } = require("./time");
+
+// Allowed values for enumerated fields; these must match the options the
+// frontend offers.
+const USER_TYPES = ["student", "faculty", "staff"];
+const NOTICE_AUDIENCES = ["All", ...USER_TYPES];
+const NOTICE_CATEGORIES = [
+  "General",
+  "Academic",
+  "Exam",
+  "Admission",
+  "Scholarship",
+  "Event",
+  "Administrative",
+];
+
+const formatValidators = {
+  email: (value) =>
+    /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) || "must be a valid email address",
+  // Date.parse rolls impossible days such as 2024-02-31 over into the next
+  // month, so the calendar date is checked by parseDate instead
+  date: (value) =>
+    (/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.test(value) &&
+      parseDate(value) !== null) ||
+    "must be a date in YYYY-MM-DD or ISO 8601 format",
+  time: (value) =>
+    /^([01]?\d|2[0-3]):[0-5]\d$/.test(value) ||
+    /^(0?[1-9]|1[0-2]):[0-5]\d\s?(AM|PM)$/i.test(value) ||
+    "must be a time such as 14:30 or 2:30 PM",
+  base64url: (value) =>
+    /^[A-Za-z0-9_-]+={0,2}$/.test(value) || "must be base64url-encoded",
+  url: (value) => {
+    try {
+      const { protocol } = new URL(value);
+      return protocol === "https:" || protocol === "http:" || "must be an http(s) URL";
+    } catch (error) {
+      return "must be a valid URL";
+    }
+  },
+};
+
+// Checks one value against a rule; returns the (trimmed) value or an error.
+const validateField = (rule, value) => {
+  if (rule.type === "object") {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return { error: "must be an object" };
+    }
+    const nested = validateSchema(rule.schema, value);
+    return nested.errors.length > 0 ? { errors: nested.errors } : { value: nested.value };
+  }
+
+  if (rule.type === "boolean") {
+    return typeof value === "boolean" ? { value } : { error: "must be true or false" };
+  }
+
+  if (rule.type === "integer") {
+    if (!Number.isInteger(value)) {
+      return { error: "must be an integer" };
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return { error: `must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return { error: `must be at most ${rule.max}` };
+    }
+    return { value };
+  }
+
+  if (rule.array && Array.isArray(value)) {
+    if (value.length === 0 && !rule.allowEmpty) {
+      return { error: "must not be empty" };
+    }
+
+    const items = value.map((item) => validateField({ ...rule, array: false }, item));
+    const failed = items.find((item) => item.error);
+    return failed ? { error: `contains an item that ${failed.error}` } : { value: items.map((item) => item.value) };
+  }
+
+  if (typeof value !== "string") {
+    return { error: rule.array ? "must be a string or an array of strings" : "must be a string" };
+  }
+
+  const trimmed = value.trim();
+
+  if (rule.required && trimmed === "") {
+    return { error: "is required" };
+  }
+  if (rule.minLength && trimmed.length < rule.minLength) {
+    return { error: `must be at least ${rule.minLength} characters` };
+  }
+  if (rule.maxLength && trimmed.length > rule.maxLength) {
+    return { error: `must be at most ${rule.maxLength} characters` };
+  }
+  if (rule.enum && !rule.enum.includes(trimmed)) {
+    return { error: `must be one of: ${rule.enum.join(", ")}` };
+  }
+  if (rule.format) {
+    const result = formatValidators[rule.format](trimmed);
+    if (result !== true) {
+      return { error: result };
+    }
+  }
+
+  return { value: trimmed };
+};
+
+// Validates a body against a schema of { field: rule }. Unknown fields are
+// dropped; absent optional fields stay absent and `nullable` fields accept null.
+// Errors inside nested objects are reported as "parent.field".
+const validateSchema = (schema, body) => {
+  const errors = [];
+  const value = {};
+  const source = body && typeof body === "object" && !Array.isArray(body) ? body : {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const input = source[field];
+
+    if (input === undefined || input === "" || (input === null && rule.nullable)) {
+      if (rule.required) {
+        errors.push({ field, message: "is required" });
+      } else if (input === null) {
+        value[field] = null;
+      }
+      continue;
+    }
+
+    const result = validateField(rule, input);
+    if (result.errors) {
+      errors.push(...result.errors.map((error) => ({ ...error, field: `${field}.${error.field}` })));
+    } else if (result.error) {
+      errors.push({ field, message: result.error });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  return { errors, value };
+};
+
+const signupSchema = {
+  fullName: { required: true, maxLength: 100 },
+  id: { required: true, maxLength: 30 },
+  email: { required: true, maxLength: 254, format: "email" },
+  userType: { required: true, enum: USER_TYPES },
+  department: { required: true, maxLength: 50 },
+  designation: { maxLength: 100 },
+  image: { maxLength: 2048, format: "url", nullable: true },
+};
+
+// One row of a roster CSV for a user import: the signup fields but the image
+const rosterRowSchema = {
+  fullName: { required: true, maxLength: 100 },
+  id: { required: true, maxLength: 30 },
+  email: { required: true, maxLength: 254, format: "email" },
+  userType: { required: true, enum: USER_TYPES },
+  department: { required: true, maxLength: 50 },
+  designation: { maxLength: 100 },
+};
+
+const userImportQuerySchema = {
+  dryRun: { enum: ["true", "false"] },
+};
+
+const profileUpdateSchema = {
+  fullName: { required: true, maxLength: 100 },
+  designation: { required: true, maxLength: 100 },
+  image: { maxLength: 2048, format: "url" },
+};
+
+const notificationPreferencesSchema = {
+  emailNotices: { type: "boolean" },
+  pushNotices: { type: "boolean" },
+};
+
+const pushSubscriptionSchema = {
+  endpoint: { required: true, maxLength: 2048, format: "url" },
+  keys: {
+    required: true,
+    type: "object",
+    schema: {
+      p256dh: { required: true, maxLength: 100, format: "base64url" },
+      auth: { required: true, maxLength: 50, format: "base64url" },
+    },
+  },
+};
+
+const pushUnsubscribeSchema = {
+  endpoint: { required: true, maxLength: 2048, format: "url" },
+};
+
+const commentSchema = {
+  body: { required: true, maxLength: 2000 },
+  // The top-level comment this one replies to
+  parentId: { maxLength: 24 },
+};
+
+const commentEditSchema = {
+  body: { required: true, maxLength: 2000 },
+};
+
+const noticeSchema = {
+  title: { required: true, maxLength: 200 },
+  category: { required: true, enum: NOTICE_CATEGORIES },
+  description: { required: true, maxLength: 10000 },
+  image: { maxLength: 2048, format: "url", nullable: true },
+  date: { required: true, format: "date" },
+  // Required unless the notice is club-only
+  targetAudience: { enum: NOTICE_AUDIENCES, nullable: true },
+  department: { maxLength: 50, array: true, nullable: true },
+  club: { maxLength: 24, nullable: true },
+  publishAt: { format: "date", nullable: true },
+  expiresAt: { format: "date", nullable: true },
+  pinned: { type: "boolean" },
+  requiresAck: { type: "boolean" },
+};
+
+const recurrenceSchema = {
+  frequency: { required: true, enum: FREQUENCIES },
+  interval: { type: "integer", min: 1, max: 99 },
+  until: { format: "date", nullable: true },
+  count: { type: "integer", min: 1, max: 500, nullable: true },
+};
+
+const eventSchema = {
+  name: { required: true, maxLength: 200 },
+  date: { required: true, format: "date" },
+  time: { required: true, format: "time" },
+  endTime: { format: "time", nullable: true },
+  venue: { required: true, maxLength: 200 },
+  details: { required: true, maxLength: 10000 },
+  image: { maxLength: 2048, format: "url", nullable: true },
+  department: { maxLength: 50 },
+  club: { maxLength: 24, nullable: true },
+  capacity: { type: "integer", min: 1, max: 100000, nullable: true },
+  registrationDeadline: { format: "date", nullable: true },
+  recurrence: { type: "object", schema: recurrenceSchema, nullable: true },
+};
+
+const clubSchema = {
+  name: { required: true, maxLength: 100 },
+  description: { maxLength: 2000 },
+  image: { maxLength: 2048, format: "url", nullable: true },
+  department: { maxLength: 50 },
+  // Email of the member who leads the club
+  president: { required: true, maxLength: 254, format: "email" },
+};
+
+const clubUpdateSchema = {
+  name: { maxLength: 100 },
+  description: { maxLength: 2000 },
+  image: { maxLength: 2048, format: "url", nullable: true },
+};
+
+const clubMemberSchema = {
+  role: { required: true, enum: CLUB_ROLES },
+};
+
+const clubMemberListQuerySchema = {
+  status: { enum: ["active", "pending"] },
+};
+
+const clubFeedQuerySchema = {
+  limit: { maxLength: 3 },
+};
+
+// Which occurrences of a recurring event a PUT or DELETE applies to
+const eventScopeQuerySchema = {
+  scope: { enum: ["all", "occurrence", "following"] },
+  occurrence: { format: "date" },
+};
+
+// Role names are checked separately against their slug pattern and
+// permissions against PERMISSIONS
+const roleSchema = {
+  name: { required: true, maxLength: 50 },
+  description: { maxLength: 500 },
+  permissions: { required: true, maxLength: 100, array: true, allowEmpty: true },
+  department: { maxLength: 50, nullable: true },
+};
+
+const roleUpdateSchema = {
+  description: { maxLength: 500 },
+  permissions: { maxLength: 100, array: true, allowEmpty: true },
+  department: { maxLength: 50, nullable: true },
+};
+
+const checkInSchema = {
+  code: { required: true, maxLength: 1000 },
+  scannedAt: { format: "date" },
+};
+
+// Query string filters for searching and listing notices and events
+const eventSearchQuerySchema = {
+  q: { maxLength: 200 },
+  department: { maxLength: 50 },
+  club: { maxLength: 24 },
+  from: { format: "date" },
+  to: { format: "date" },
+};
+
+const noticeSearchQuerySchema = {
+  ...eventSearchQuerySchema,
+  category: { enum: NOTICE_CATEGORIES },
+};
+
+const noticeListQuerySchema = {
+  ...noticeSearchQuerySchema,
+  status: { enum: NOTICE_STATUSES },
+  page: { maxLength: 5 },
+  limit: { maxLength: 3 },
+};
+
+const commentListQuerySchema = {
+  page: { maxLength: 5 },
+  limit: { maxLength: 3 },
+};
+
+const attendanceReportQuerySchema = {
+  department: { maxLength: 50 },
+  from: { format: "date" },
+  to: { format: "date" },
+};
+
+const searchQuerySchema = {
+  ...noticeSearchQuerySchema,
+  q: { required: true, maxLength: 200 },
+  type: { enum: ["all", "notices", "events"] },
+  limit: { maxLength: 3 },
+};
+
+const validate = (schema, input) => {
+  const { errors, value } = validateSchema(schema, input);
+
+  if (errors.length > 0) {
+    throw new ValidationError(
+      `Validation Error: ${errors.map((error) => `${error.field} ${error.message}`).join("; ")}.`,
+      errors
+    );
+  }
+
+  return value;
+};
+
+// Middleware replacing req.body with its validated, stripped form, or
+// answering 400 with every failing field.
+const validateBody = (schema) => (req, res, next) => {
+  req.body = validate(schema, req.body);
+  next();
+};
+
+// Same as validateBody, for the query string
+const validateQuery = (schema) => (req, res, next) => {
+  req.query = validate(schema, req.query);
+  next();
+};
+
+module.exports = {
+  USER_TYPES,
+  NOTICE_AUDIENCES,
+  NOTICE_CATEGORIES,
+  validateSchema,
+  validateBody,
+  validateQuery,
+  signupSchema,
+  rosterRowSchema,
+  userImportQuerySchema,
+  profileUpdateSchema,
+  notificationPreferencesSchema,
+  pushSubscriptionSchema,
+  pushUnsubscribeSchema,
+  commentSchema,
+  commentEditSchema,
+  commentListQuerySchema,
+  noticeSchema,
+  eventSchema,
+  roleSchema,
+  roleUpdateSchema,
+  eventScopeQuerySchema,
+  clubSchema,
+  clubUpdateSchema,
+  clubMemberSchema,
+  clubMemberListQuerySchema,
+  clubFeedQuerySchema,
+  checkInSchema,
+  noticeSearchQuerySchema,
+  noticeListQuerySchema,
+  eventSearchQuerySchema,
+  searchQuerySchema,
+  attendanceReportQuerySchema,
+};
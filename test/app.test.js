@@ -0,0 +1,39 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { setupTestApp } = require("./helpers");
+
+describe("app", () => {
+  let app;
+  let close;
+
+  before(async () => {
+    ({ app, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  it("answers unknown routes with a JSON 404", async () => {
+    const res = await request(app).get("/nowhere").expect(404);
+
+    assert.equal(res.body.code, "NOT_FOUND");
+    assert.equal(res.body.requestId, res.headers["x-request-id"]);
+  });
+
+  it("echoes a well-formed upstream request id", async () => {
+    const res = await request(app).get("/nowhere").set("X-Request-Id", "abc-123").expect(404);
+
+    assert.equal(res.headers["x-request-id"], "abc-123");
+  });
+
+  it("answers malformed JSON with a validation error", async () => {
+    const res = await request(app)
+      .post("/signup")
+      .set("Content-Type", "application/json")
+      .send("{not json")
+      .expect(400);
+
+    assert.equal(res.body.code, "VALIDATION_ERROR");
+    assert.ok(res.body.requestId);
+  });
+});
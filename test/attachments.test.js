@@ -0,0 +1,167 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const crypto = require("crypto");
+const { testConfig, setupTestApp, resetDatabase, createUser, loginAs, noticeBody } = require("./helpers");
+
+const pdf = Buffer.from("%PDF-1.7\n% exam routine\n");
+const docx = Buffer.concat([Buffer.from("504b0304", "hex"), Buffer.from("word/document.xml")]);
+
+const downloadKey = crypto
+  .createHmac("sha256", testConfig.jwtSecret)
+  .update("lupulse-attachment-signing-key")
+  .digest();
+
+// Every file kept in `directory`, relative to it
+const listFiles = async (directory) =>
+  (await fs.readdir(directory, { recursive: true, withFileTypes: true }))
+    .filter((entry) => entry.isFile())
+    .map((entry) => path.relative(directory, path.join(entry.parentPath ?? entry.path, entry.name)));
+
+describe("notice attachments", () => {
+  let app;
+  let db;
+  let fileDirectory;
+  let close;
+
+  before(async () => {
+    ({ app, db, fileDirectory, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(async () => {
+    await resetDatabase(db);
+    await fs.rm(path.join(fileDirectory, "notices"), { recursive: true, force: true });
+  });
+
+  const createNotice = async (overrides) => {
+    const admin = await createUser(db, { adminRole: "admin", userType: "staff", department: "CSE" });
+    const agent = await loginAs(app, admin);
+    await agent.post("/notices").send(noticeBody(overrides)).expect(201);
+    const notice = await db.collection("Notices").findOne({}, { sort: { _id: -1 } });
+    return { agent, notice };
+  };
+
+  it("attaches whitelisted documents and rejects anything else", async () => {
+    const { agent, notice } = await createNotice();
+
+    const res = await agent
+      .post(`/notices/${notice._id}/attachments`)
+      .attach("files", pdf, "Routine.pdf")
+      .attach("files", docx, "../../Seat plan.docx")
+      .expect(201);
+
+    assert.deepEqual(
+      res.body.attachments.map(({ name, contentType, size }) => ({ name, contentType, size })),
+      [
+        { name: "Routine.pdf", contentType: "application/pdf", size: pdf.length },
+        {
+          name: "Seat plan.docx",
+          contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+          size: docx.length,
+        },
+      ]
+    );
+    assert.equal((await listFiles(fileDirectory)).length, 2);
+
+    const rejected = [
+      ["setup.exe", Buffer.from("MZ")],
+      ["routine.pdf", Buffer.from("MZ not really a pdf")],
+      ["huge.pdf", Buffer.concat([pdf, Buffer.alloc(testConfig.attachments.maxBytes)])],
+    ];
+    for (const [name, contents] of rejected) {
+      const error = await agent.post(`/notices/${notice._id}/attachments`).attach("files", contents, name).expect(400);
+      assert.equal(error.body.code, "VALIDATION_ERROR");
+    }
+
+    // Two attached, one more allowed
+    await agent
+      .post(`/notices/${notice._id}/attachments`)
+      .attach("files", pdf, "a.pdf")
+      .attach("files", pdf, "b.pdf")
+      .expect(400);
+    assert.equal((await db.collection("Notices").findOne({ _id: notice._id })).attachments.length, 2);
+    assert.equal((await listFiles(fileDirectory)).length, 2);
+  });
+
+  it("only lets admins of the notice's departments change its attachments", async () => {
+    const { notice } = await createNotice();
+    const otherAdmin = await createUser(db, { adminRole: "admin", userType: "staff", department: "EEE" });
+    const student = await createUser(db);
+
+    await (await loginAs(app, otherAdmin))
+      .post(`/notices/${notice._id}/attachments`)
+      .attach("files", pdf, "routine.pdf")
+      .expect(403);
+    await (await loginAs(app, student))
+      .post(`/notices/${notice._id}/attachments`)
+      .attach("files", pdf, "routine.pdf")
+      .expect(403);
+  });
+
+  it("hands out short-lived download links to those who can open the notice", async () => {
+    const { agent, notice } = await createNotice({ publishAt: null });
+    const [attachment] = (
+      await agent.post(`/notices/${notice._id}/attachments`).attach("files", pdf, "Routine.pdf").expect(201)
+    ).body.attachments;
+    const student = await loginAs(app, await createUser(db));
+    const linkPath = `/notices/${notice._id}/attachments/${attachment._id}/link`;
+
+    // Drafts are hidden from students
+    await student.get(linkPath).expect(404);
+    await agent.put(`/notices/${notice._id}`).send(noticeBody({ publishAt: new Date().toISOString() })).expect(200);
+
+    const link = (await student.get(linkPath).expect(200)).body;
+    const url = new URL(link.url);
+    assert.equal(url.origin, testConfig.publicUrl);
+    assert.ok(new Date(link.expiresAt) - Date.now() <= testConfig.attachments.linkTtlSeconds * 1000);
+
+    const download = await request(app)
+      .get(`${url.pathname}${url.search}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    assert.equal(download.headers["content-type"], "application/pdf");
+    assert.equal(download.headers["content-disposition"], 'attachment; filename="Routine.pdf"');
+    assert.equal(download.headers["x-content-type-options"], "nosniff");
+    assert.deepEqual(download.body, pdf);
+
+    const claims = { purpose: "attachment", noticeId: notice._id.toString(), attachmentId: attachment._id };
+    const expired = jwt.sign({ ...claims, exp: Math.floor(Date.now() / 1000) - 1 }, downloadKey);
+    await request(app).get(`/attachments/${attachment._id}?token=${expired}`).expect(401);
+    // Tokens signed with the JWT secret itself, as access tokens are, are refused
+    const accessSigned = jwt.sign(claims, testConfig.jwtSecret, { expiresIn: 60 });
+    await request(app).get(`/attachments/${attachment._id}?token=${accessSigned}`).expect(401);
+    const otherPurpose = jwt.sign({ ...claims, purpose: "unsubscribe" }, downloadKey, { expiresIn: 60 });
+    await request(app).get(`/attachments/${attachment._id}?token=${otherPurpose}`).expect(401);
+    await request(app).get(`/attachments/${attachment._id}?token=${url.searchParams.get("token")}x`).expect(401);
+    await request(app).get(`/attachments/${attachment._id}`).expect(401);
+  });
+
+  it("deletes attachment files when they or their notice are removed", async () => {
+    const { agent, notice } = await createNotice();
+    const [first] = (
+      await agent
+        .post(`/notices/${notice._id}/attachments`)
+        .attach("files", pdf, "a.pdf")
+        .attach("files", pdf, "b.pdf")
+        .expect(201)
+    ).body.attachments;
+
+    await agent.delete(`/notices/${notice._id}/attachments/${first._id}`).expect(200);
+    await agent.delete(`/notices/${notice._id}/attachments/${first._id}`).expect(404);
+    assert.equal((await listFiles(fileDirectory)).length, 1);
+    await agent.get(`/notices/${notice._id}/attachments/${first._id}/link`).expect(404);
+
+    await agent.delete(`/notices/${notice._id}`).expect(200);
+    assert.deepEqual(await listFiles(fileDirectory), []);
+  });
+});
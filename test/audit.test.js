@@ -0,0 +1,80 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestApp, resetDatabase, createUser, loginAs } = require("./helpers");
+
+describe("audit log", () => {
+  let app;
+  let db;
+  let close;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(() => resetDatabase(db));
+
+  it("records who changed what, with a diff", async () => {
+    const superadmin = await createUser(db, { adminRole: "superadmin" });
+    const user = await createUser(db);
+    const agent = await loginAs(app, superadmin);
+
+    await agent
+      .patch(`/users/${user.email}/role`)
+      .set("User-Agent", "audit-test")
+      .set("X-Forwarded-For", "203.0.113.7")
+      .expect(200);
+
+    const res = await agent.get("/audit?action=user.promote").expect(200);
+    assert.equal(res.body.entries.length, 1);
+
+    const [entry] = res.body.entries;
+    assert.equal(entry.actor, superadmin.email);
+    assert.equal(entry.targetId, user.email);
+    assert.equal(entry.userAgent, "audit-test");
+    assert.equal(entry.ip, "203.0.113.7");
+    assert.deepEqual(entry.changes.adminRole, { from: "user", to: "admin" });
+  });
+
+  it("is hidden from admins without audit:read", async () => {
+    const admin = await createUser(db, { adminRole: "admin" });
+
+    await (await loginAs(app, admin)).get("/audit").expect(403);
+  });
+
+  it("filters by date range and validates it", async () => {
+    const superadmin = await createUser(db, { adminRole: "superadmin" });
+    const agent = await loginAs(app, superadmin);
+    await db.collection("AuditLog").insertMany([
+      { action: "user.update", actor: "a@lus.ac.bd", timestamp: new Date("2026-01-01T00:00:00Z") },
+      { action: "user.update", actor: "b@lus.ac.bd", timestamp: new Date("2026-02-01T00:00:00Z") },
+    ]);
+
+    const res = await agent.get("/audit?from=2026-01-15&to=2026-03-01").expect(200);
+    assert.deepEqual(res.body.entries.map((entry) => entry.actor), ["b@lus.ac.bd"]);
+
+    await agent.get("/audit?from=yesterday").expect(400);
+  });
+
+  it("exports CSV", async () => {
+    const superadmin = await createUser(db, { adminRole: "superadmin" });
+    const agent = await loginAs(app, superadmin);
+    await db.collection("AuditLog").insertOne({
+      action: "role.create",
+      actor: superadmin.email,
+      actorRole: "superadmin",
+      targetType: "role",
+      targetId: "editor, senior",
+      timestamp: new Date("2026-01-01T00:00:00Z"),
+    });
+
+    const res = await agent.get("/audit?format=csv").expect(200);
+
+    assert.match(res.headers["content-type"], /text\/csv/);
+    const lines = res.text.trim().split("\r\n");
+    assert.equal(lines.length, 2);
+    assert.ok(lines[0].startsWith('"timestamp","actor"'));
+    assert.ok(lines[1].includes('"editor, senior"'));
+  });
+});
@@ -0,0 +1,278 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const {
+  setupTestApp,
+  resetDatabase,
+  createUser,
+  signIdToken,
+  loginAs,
+  getCookie,
+} = require("./helpers");
+
+describe("auth", () => {
+  let app;
+  let db;
+  let close;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(() => resetDatabase(db));
+
+  describe("POST /login", () => {
+    it("issues access and refresh cookies for a verified ID token", async () => {
+      const user = await createUser(db);
+
+      const res = await request(app)
+        .post("/login")
+        .set("X-Forwarded-For", "203.0.113.7")
+        .send({ idToken: signIdToken({ email: user.email }) })
+        .expect(200);
+
+      assert.equal(res.body.success, true);
+      assert.ok(getCookie(res, "token"));
+      assert.ok(getCookie(res, "refreshToken"));
+
+      const stored = await db.collection("Users").findOne({ email: user.email });
+      assert.equal(stored.uid, `uid-${user.email}`);
+      const sessions = await db.collection("Sessions").find({ email: user.email }).toArray();
+      assert.equal(sessions.length, 1);
+      // The client address forwarded by the (trusted) proxy
+      assert.equal(sessions[0].ip, "203.0.113.7");
+    });
+
+    it("ignores emailVerified sent in the body", async () => {
+      const user = await createUser(db);
+
+      const res = await request(app)
+        .post("/login")
+        .send({ email: user.email, emailVerified: true })
+        .expect(400);
+
+      assert.equal(res.body.code, "VALIDATION_ERROR");
+    });
+
+    it("rejects tokens whose email is not verified", async () => {
+      const user = await createUser(db);
+
+      const res = await request(app)
+        .post("/login")
+        .send({ idToken: signIdToken({ email: user.email, email_verified: false }) })
+        .expect(403);
+
+      assert.equal(res.body.code, "FORBIDDEN");
+    });
+
+    it("rejects tokens signed by another key", async () => {
+      const user = await createUser(db);
+      const { privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+      const forged = jwt.sign({ email: user.email, email_verified: true }, privateKey, {
+        algorithm: "RS256",
+        keyid: "test-key",
+        audience: "lupulse-test",
+        issuer: "https://securetoken.google.com/lupulse-test",
+        subject: "attacker",
+      });
+
+      await request(app).post("/login").send({ idToken: forged }).expect(401);
+    });
+
+    it("rejects tokens for another Firebase project", async () => {
+      const user = await createUser(db);
+
+      await request(app)
+        .post("/login")
+        .send({ idToken: signIdToken({ email: user.email }, { audience: "other-project" }) })
+        .expect(401);
+    });
+
+    it("rejects expired tokens", async () => {
+      const user = await createUser(db);
+
+      await request(app)
+        .post("/login")
+        .send({ idToken: signIdToken({ email: user.email }, { expiresIn: -10 }) })
+        .expect(401);
+    });
+
+    it("refuses a different Firebase account once the profile is linked", async () => {
+      const user = await createUser(db);
+      await loginAs(app, user);
+
+      const res = await request(app)
+        .post("/login")
+        .send({ idToken: signIdToken({ email: user.email }, { subject: "recreated-account" }) })
+        .expect(403);
+
+      assert.equal(res.body.code, "FORBIDDEN");
+      assert.equal((await db.collection("Users").findOne({ email: user.email })).uid, `uid-${user.email}`);
+      assert.equal(await db.collection("Sessions").countDocuments({ email: user.email }), 1);
+    });
+
+    it("answers 404 when no account matches the verified email", async () => {
+      const res = await request(app)
+        .post("/login")
+        .send({ idToken: signIdToken({ email: "nobody@lus.ac.bd" }) })
+        .expect(404);
+
+      assert.equal(res.body.code, "NOT_FOUND");
+    });
+  });
+
+  describe("POST /signup", () => {
+    it("creates a regular user and strips unknown fields", async () => {
+      const res = await request(app)
+        .post("/signup")
+        .send({
+          fullName: "New Student",
+          id: "CSE-0001",
+          email: "new@lus.ac.bd",
+          userType: "student",
+          department: "CSE",
+          adminRole: "superadmin",
+        })
+        .expect(201);
+
+      assert.equal(res.body.user.adminRole, "user");
+
+      const stored = await db.collection("Users").findOne({ email: "new@lus.ac.bd" });
+      assert.equal(stored.adminRole, "user");
+    });
+
+    it("lists every invalid field", async () => {
+      const res = await request(app)
+        .post("/signup")
+        .send({ fullName: "X", id: "1", email: "not-an-email", userType: "alien" })
+        .expect(400);
+
+      const fields = res.body.errors.map((error) => error.field).sort();
+      assert.deepEqual(fields, ["department", "email", "userType"]);
+    });
+
+    it("answers 409 for an already registered email", async () => {
+      const user = await createUser(db);
+
+      const res = await request(app)
+        .post("/signup")
+        .send({
+          fullName: "Dup",
+          id: "X1",
+          email: user.email,
+          userType: "student",
+          department: "CSE",
+        })
+        .expect(409);
+
+      assert.equal(res.body.code, "CONFLICT");
+    });
+
+    it("treats emails that differ only in case as the same account", async () => {
+      const user = await createUser(db, { email: "Mixed.Case@lus.ac.bd" });
+
+      await request(app)
+        .post("/signup")
+        .send({ fullName: "Dup", id: "X1", email: "mixed.case@LUS.AC.BD", userType: "student", department: "CSE" })
+        .expect(409);
+      await request(app)
+        .post("/login")
+        .send({ idToken: signIdToken({ email: user.email.toLowerCase() }, { subject: "mixed-case-uid" }) })
+        .expect(200);
+    });
+  });
+
+  describe("sessions", () => {
+    it("rotates the refresh token on POST /auth/refresh", async () => {
+      const user = await createUser(db);
+      const login = await request(app)
+        .post("/login")
+        .send({ idToken: signIdToken({ email: user.email }) });
+      const refreshToken = getCookie(login, "refreshToken");
+
+      const res = await request(app)
+        .post("/auth/refresh")
+        .set("Cookie", `refreshToken=${encodeURIComponent(refreshToken)}`)
+        .expect(200);
+
+      const rotated = getCookie(res, "refreshToken");
+      assert.ok(rotated);
+      assert.notEqual(rotated, refreshToken);
+
+      await request(app)
+        .get(`/users/${user.email}`)
+        .set("Cookie", `token=${getCookie(res, "token")}`)
+        .expect(200);
+    });
+
+    it("revokes the whole session when a rotated refresh token is reused", async () => {
+      const user = await createUser(db);
+      const login = await request(app)
+        .post("/login")
+        .send({ idToken: signIdToken({ email: user.email }) });
+      const original = getCookie(login, "refreshToken");
+
+      const refreshed = await request(app)
+        .post("/auth/refresh")
+        .set("Cookie", `refreshToken=${encodeURIComponent(original)}`)
+        .expect(200);
+
+      await request(app)
+        .post("/auth/refresh")
+        .set("Cookie", `refreshToken=${encodeURIComponent(original)}`)
+        .expect(401);
+
+      const session = await db.collection("Sessions").findOne({ email: user.email });
+      assert.equal(session.revokedReason, "refresh_token_reuse");
+
+      await request(app)
+        .post("/auth/refresh")
+        .set("Cookie", `refreshToken=${encodeURIComponent(getCookie(refreshed, "refreshToken"))}`)
+        .expect(401);
+      await request(app)
+        .get(`/users/${user.email}`)
+        .set("Cookie", `token=${getCookie(refreshed, "token")}`)
+        .expect(401);
+    });
+
+    it("invalidates the access token on logout", async () => {
+      const user = await createUser(db);
+      const login = await request(app)
+        .post("/login")
+        .send({ idToken: signIdToken({ email: user.email }) });
+      const cookie = `token=${getCookie(login, "token")}`;
+
+      await request(app).post("/logout").set("Cookie", cookie).expect(200);
+
+      const res = await request(app).get(`/users/${user.email}`).set("Cookie", cookie).expect(401);
+      assert.equal(res.body.code, "UNAUTHORIZED");
+    });
+
+    it("lets an admin sign a user out everywhere", async () => {
+      const admin = await createUser(db, { adminRole: "admin" });
+      const user = await createUser(db);
+      const adminAgent = await loginAs(app, admin);
+      const first = await loginAs(app, user);
+      const second = await loginAs(app, user);
+
+      const res = await adminAgent.delete(`/users/${user.email}/sessions`).expect(200);
+      assert.equal(res.body.revokedCount, 2);
+
+      await first.get(`/users/${user.email}`).expect(401);
+      await second.get(`/users/${user.email}`).expect(401);
+      await adminAgent.get(`/users/${admin.email}`).expect(200);
+    });
+
+    it("does not let regular users sign others out", async () => {
+      const user = await createUser(db);
+      const other = await createUser(db);
+      const agent = await loginAs(app, user);
+
+      await agent.delete(`/users/${other.email}/sessions`).expect(403);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { buildCalendar } = require("../src/ical");
+const { runMigrations } = require("../src/migrations");
+const { setupTestApp, resetDatabase, createUser, loginAs, testConfig } = require("./helpers");
+
+// Unfolds content lines and splits the calendar into them
+const contentLines = (ics) => ics.replace(/\r\n /g, "").split("\r\n");
+
+describe("calendar", () => {
+  let app;
+  let db;
+  let close;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(() => resetDatabase(db));
+
+  const createEvent = async (overrides = {}) => {
+    const admin = await createUser(db, { adminRole: "admin" });
+    await (await loginAs(app, admin))
+      .post("/events")
+      .send({
+        name: "Convocation, 2026",
+        date: "2026-07-01",
+        time: "9:00 AM",
+        endTime: "12:30",
+        venue: "Main Campus; Field",
+        details: "Gowns are available\nat the admin building.",
+        ...overrides,
+      })
+      .expect(201);
+    return db.collection("Events").findOne({}, { sort: { _id: -1 } });
+  };
+
+  it("stores event times as real instants in the configured time zone", async () => {
+    const event = await createEvent();
+
+    assert.equal(event.startsAt.toISOString(), "2026-07-01T03:00:00.000Z");
+    assert.equal(event.endsAt.toISOString(), "2026-07-01T06:30:00.000Z");
+    assert.equal(event.timezone, "Asia/Dhaka");
+  });
+
+  it("serves every scheduled event as an RFC 5545 calendar", async () => {
+    const event = await createEvent();
+
+    const res = await request(app).get("/events.ics").expect(200);
+
+    assert.match(res.headers["content-type"], /^text\/calendar/);
+    assert.ok(res.text.endsWith("\r\n"));
+    assert.ok(res.text.split("\r\n").every((line) => Buffer.byteLength(line) <= 75));
+
+    const lines = contentLines(res.text);
+    assert.equal(lines[0], "BEGIN:VCALENDAR");
+    assert.ok(lines.includes("TZID:Asia/Dhaka"));
+    assert.ok(lines.includes("TZOFFSETTO:+0600"));
+    assert.ok(lines.includes(`UID:event-${event._id}@lupulse`));
+    assert.ok(lines.includes("DTSTART;TZID=Asia/Dhaka:20260701T090000"));
+    assert.ok(lines.includes("DTEND;TZID=Asia/Dhaka:20260701T123000"));
+    assert.ok(lines.includes("SUMMARY:Convocation\\, 2026"));
+    assert.ok(lines.includes("LOCATION:Main Campus\\; Field"));
+    assert.ok(lines.includes("DESCRIPTION:Gowns are available\\nat the admin building."));
+  });
+
+  it("serves a single event and answers 404 for unknown ones", async () => {
+    const event = await createEvent();
+
+    const res = await request(app).get(`/events/${event._id}.ics`).expect(200);
+    assert.equal(contentLines(res.text).filter((line) => line === "BEGIN:VEVENT").length, 1);
+
+    await request(app).get("/events/0123456789abcdef01234567.ics").expect(404);
+  });
+
+  it("describes daylight-saving zones with their transitions", () => {
+    const ics = buildCalendar({
+      name: "Test",
+      timeZone: "America/New_York",
+      events: [
+        {
+          _id: "x",
+          name: "Meeting",
+          startsAt: new Date("2026-07-01T14:00:00Z"),
+          timezone: "America/New_York",
+        },
+      ],
+    });
+    const lines = contentLines(ics);
+
+    assert.ok(lines.includes("BEGIN:DAYLIGHT"));
+    assert.ok(lines.includes("DTSTART:20260308T020000"));
+    assert.ok(lines.includes("DTSTART;TZID=America/New_York:20260701T100000"));
+  });
+
+  describe("personal feed", () => {
+    it("includes the notices the owner may see", async () => {
+      await createEvent();
+      await db.collection("Notices").insertMany([
+        { title: "Exam week", date: "2026-06-10", targetAudience: "student", department: "CSE" },
+        { title: "Faculty meeting", date: "2026-06-11", targetAudience: "faculty", department: "EEE" },
+        { title: "Undated", targetAudience: "All", department: "CSE" },
+      ]);
+      const agent = await loginAs(app, await createUser(db, { userType: "student" }));
+
+      const created = await agent.post("/calendar/feed").expect(201);
+      assert.match(created.body.url, /^https:\/\/api\.lupulse\.test\/calendar\/[\w-]+\.ics$/);
+      assert.ok(created.body.webcalUrl.startsWith("webcal://"));
+
+      const res = await request(app).get(new URL(created.body.url).pathname).expect(200);
+      const lines = contentLines(res.text);
+
+      assert.ok(lines.includes("SUMMARY:Exam week"));
+      assert.ok(lines.includes("DTSTART;VALUE=DATE:20260610"));
+      assert.ok(lines.includes("DTEND;VALUE=DATE:20260611"));
+      assert.ok(!lines.includes("SUMMARY:Faculty meeting"));
+      assert.ok(!lines.includes("SUMMARY:Undated"));
+      assert.ok(lines.includes("SUMMARY:Convocation\\, 2026"));
+    });
+
+    it("stops working once replaced or revoked", async () => {
+      const agent = await loginAs(app, await createUser(db));
+
+      const first = new URL((await agent.post("/calendar/feed")).body.url).pathname;
+      const second = new URL((await agent.post("/calendar/feed")).body.url).pathname;
+
+      await request(app).get(first).expect(404);
+      await request(app).get(second).expect(200);
+
+      await agent.delete("/calendar/feed").expect(200);
+      await request(app).get(second).expect(404);
+    });
+  });
+
+  describe("event timestamps migration", () => {
+    it("backfills legacy events once", async () => {
+      await db.collection("Migrations").deleteMany({});
+      await db.collection("Events").insertMany([
+        { name: "Legacy", date: "October 12, 2026", time: "10:00 AM", venue: "Hall" },
+        { name: "Vague", date: "sometime", time: "soon", venue: "Hall" },
+      ]);
+
+      await runMigrations(db, testConfig, { log: () => {} });
+
+      const legacy = await db.collection("Events").findOne({ name: "Legacy" });
+      assert.equal(legacy.startsAt.toISOString(), "2026-10-12T04:00:00.000Z");
+      assert.equal(legacy.date, "2026-10-12");
+      assert.equal(legacy.timezone, "Asia/Dhaka");
+
+      const vague = await db.collection("Events").findOne({ name: "Vague" });
+      assert.equal(vague.startsAt, null);
+      assert.equal(vague.date, "sometime");
+
+      const [migration] = await db.collection("Migrations").find().toArray();
+      assert.deepEqual(migration.result.unparseable.map(String), [String(vague._id)]);
+
+      await db.collection("Events").updateOne({ name: "Legacy" }, { $unset: { startsAt: "" } });
+      await runMigrations(db, testConfig, { log: () => {} });
+      assert.equal((await db.collection("Events").findOne({ name: "Legacy" })).startsAt, undefined);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const request = require("supertest");
+const { verifyCheckInCode } = require("../src/services/checkin");
+const { setupTestApp, resetDatabase, createUser, loginAs } = require("./helpers");
+
+describe("check-in", () => {
+  let app;
+  let db;
+  let close;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(() => resetDatabase(db));
+
+  // Creates a CSE event and registers `attendee`; returns the event and their code
+  const registerFor = async (attendee, eventOverrides = {}) => {
+    const { insertedId } = await db.collection("Events").insertOne({
+      name: "Tech Talk",
+      date: "2026-08-01",
+      time: "15:00",
+      venue: "Seminar Hall",
+      details: "Guest lecture.",
+      department: "CSE",
+      capacity: null,
+      registeredCount: 0,
+      ...eventOverrides,
+    });
+    const agent = await loginAs(app, attendee);
+    const res = await agent.post(`/events/${insertedId}/registration`).expect(201);
+    return { eventId: insertedId, agent, code: res.body.registration.checkInCode };
+  };
+
+  it("issues codes that verify offline with the published public key", async () => {
+    const { code } = await registerFor(await createUser(db));
+
+    const res = await request(app).get("/checkin/public-key").expect(200);
+    const publicKey = crypto.createPublicKey(res.body.publicKey);
+
+    const payload = verifyCheckInCode(code, publicKey);
+    assert.ok(payload);
+    assert.match(payload.u, /@lus\.ac\.bd$/);
+
+    const [prefix, body, signature] = code.split(".");
+    const tampered = Buffer.from(JSON.stringify({ ...payload, u: "someone@lus.ac.bd" })).toString("base64url");
+    assert.equal(verifyCheckInCode(`${prefix}.${tampered}.${signature}`, publicKey), null);
+    assert.ok(body);
+  });
+
+  it("renders the code as a PNG or SVG QR image", async () => {
+    const { eventId, agent } = await registerFor(await createUser(db));
+
+    const png = await agent.get(`/events/${eventId}/registration/qr`).buffer(true).expect(200);
+    assert.equal(png.headers["content-type"], "image/png");
+    assert.deepEqual(png.body.subarray(0, 4), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+    const svg = await agent.get(`/events/${eventId}/registration/qr?format=svg`).buffer(true).expect(200);
+    assert.match(svg.headers["content-type"], /image\/svg\+xml/);
+  });
+
+  it("gives waitlisted users no code", async () => {
+    const first = await createUser(db);
+    const { eventId } = await registerFor(first, { capacity: 1 });
+    const agent = await loginAs(app, await createUser(db));
+    const res = await agent.post(`/events/${eventId}/registration`).expect(201);
+
+    assert.equal(res.body.registration.checkInCode, null);
+    await agent.get(`/events/${eventId}/registration/qr`).expect(404);
+  });
+
+  it("checks an attendee in exactly once", async () => {
+    const attendee = await createUser(db, { fullName: "Present Student" });
+    const { eventId, code } = await registerFor(attendee);
+    const admin = await createUser(db, { adminRole: "admin", department: "CSE" });
+    const agent = await loginAs(app, admin);
+
+    const res = await agent.post(`/events/${eventId}/checkin`).send({ code }).expect(200);
+    assert.equal(res.body.attendee.fullName, "Present Student");
+
+    const again = await agent.post(`/events/${eventId}/checkin`).send({ code }).expect(409);
+    assert.match(again.body.message, /Already checked in/);
+
+    const stored = await db.collection("Registrations").findOne({ email: attendee.email });
+    assert.equal(stored.checkedInBy, admin.email);
+  });
+
+  it("accepts offline scans with their scan time", async () => {
+    const { eventId, code } = await registerFor(await createUser(db));
+    const agent = await loginAs(app, await createUser(db, { adminRole: "admin" }));
+
+    await agent
+      .post(`/events/${eventId}/checkin`)
+      .send({ code, scannedAt: "2099-01-01T00:00:00Z" })
+      .expect(400);
+    await agent
+      .post(`/events/${eventId}/checkin`)
+      .send({ code, scannedAt: "2026-08-01T15:05:00Z" })
+      .expect(200);
+
+    const stored = await db.collection("Registrations").findOne({});
+    assert.equal(stored.checkedInAt.toISOString(), "2026-08-01T15:05:00.000Z");
+  });
+
+  it("rejects forged, foreign and cancelled codes", async () => {
+    const attendee = await createUser(db);
+    const { eventId, code, agent: attendeeAgent } = await registerFor(attendee);
+    const other = await registerFor(await createUser(db));
+    const agent = await loginAs(app, await createUser(db, { adminRole: "admin" }));
+
+    await agent.post(`/events/${eventId}/checkin`).send({ code: `${code}x` }).expect(400);
+    await agent.post(`/events/${eventId}/checkin`).send({ code: other.code }).expect(400);
+
+    await attendeeAgent.delete(`/events/${eventId}/registration`).expect(200);
+    await agent.post(`/events/${eventId}/checkin`).send({ code }).expect(409);
+
+    // Registering again issues a new code; the old one stays dead
+    const renewed = await attendeeAgent.post(`/events/${eventId}/registration`).expect(201);
+    assert.notEqual(renewed.body.registration.checkInCode, code);
+    await agent.post(`/events/${eventId}/checkin`).send({ code }).expect(409);
+    await agent
+      .post(`/events/${eventId}/checkin`)
+      .send({ code: renewed.body.registration.checkInCode })
+      .expect(200);
+  });
+
+  it("lets volunteers with a scoped events:checkin role check in, and nobody else", async () => {
+    const { eventId, code } = await registerFor(await createUser(db));
+    await db.collection("Roles").insertOne({
+      name: "cse-volunteer",
+      permissions: ["events:checkin@CSE"],
+      department: "CSE",
+      builtIn: false,
+    });
+    const volunteer = await createUser(db, { adminRole: "cse-volunteer" });
+    const eeeAdmin = await createUser(db, { adminRole: "admin", department: "EEE" });
+    const student = await createUser(db);
+
+    await (await loginAs(app, student)).post(`/events/${eventId}/checkin`).send({ code }).expect(403);
+    await (await loginAs(app, eeeAdmin)).post(`/events/${eventId}/checkin`).send({ code }).expect(403);
+    await (await loginAs(app, volunteer)).post(`/events/${eventId}/checkin`).send({ code }).expect(200);
+  });
+
+  describe("attendance reports", () => {
+    it("summarises one event by department and user type", async () => {
+      const cse = await createUser(db, { department: "CSE", userType: "student" });
+      const eee = await createUser(db, { department: "EEE", userType: "faculty" });
+      const { eventId, code } = await registerFor(cse);
+      await (await loginAs(app, eee)).post(`/events/${eventId}/registration`).expect(201);
+      const agent = await loginAs(app, await createUser(db, { adminRole: "admin" }));
+      await agent.post(`/events/${eventId}/checkin`).send({ code }).expect(200);
+
+      const res = await agent.get(`/events/${eventId}/attendance`).expect(200);
+
+      assert.equal(res.body.registered, 2);
+      assert.equal(res.body.checkedIn, 1);
+      assert.equal(res.body.noShows, 1);
+      assert.equal(res.body.attendanceRate, 50);
+      assert.deepEqual(
+        res.body.byDepartment.map((group) => [group.department, group.checkedIn]).sort(),
+        [["CSE", 1], ["EEE", 0]]
+      );
+      assert.deepEqual(
+        res.body.byUserType.map((group) => group.userType).sort(),
+        ["faculty", "student"]
+      );
+    });
+
+    it("reports attendance per department within the admin's scope", async () => {
+      const { eventId, code } = await registerFor(await createUser(db));
+      await registerFor(await createUser(db), { name: "EEE Fair", department: "EEE" });
+      const admin = await createUser(db, { adminRole: "admin", department: "CSE" });
+      const agent = await loginAs(app, admin);
+      await agent.post(`/events/${eventId}/checkin`).send({ code }).expect(200);
+
+      const res = await agent.get("/reports/attendance").expect(200);
+      assert.deepEqual(res.body.departments.map((group) => group.department), ["CSE"]);
+      assert.equal(res.body.departments[0].attendanceRate, 100);
+
+      await agent.get("/reports/attendance?department=EEE").expect(403);
+
+      const superadmin = await loginAs(app, await createUser(db, { adminRole: "superadmin" }));
+      const all = await superadmin.get("/reports/attendance?from=2026-08-01&to=2026-08-01").expect(200);
+      assert.deepEqual(all.body.departments.map((group) => group.department).sort(), ["CSE", "EEE"]);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const {
+  setupTestApp,
+  resetDatabase,
+  createUser,
+  loginAs,
+  eventBody: baseEventBody,
+  noticeBody: baseNoticeBody,
+} = require("./helpers");
+
+// Club events are upcoming and club notices go to the club's members, so
+// they set neither targetAudience nor department
+const eventBody = (overrides = {}) => baseEventBody({ date: "2099-04-10", ...overrides });
+const noticeBody = (overrides = {}) =>
+  baseNoticeBody({ date: "2099-04-01", targetAudience: undefined, department: undefined, ...overrides });
+
+describe("clubs", () => {
+  let app;
+  let db;
+  let close;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(() => resetDatabase(db));
+
+  // A club led by a fresh user, with a logged-in agent for its president
+  const setupClub = async (overrides = {}) => {
+    const superadmin = await loginAs(app, await createUser(db, { adminRole: "superadmin", userType: "staff" }));
+    const president = await createUser(db);
+    const res = await superadmin
+      .post("/clubs")
+      .send({ name: "Robotics Club", department: "CSE", president: president.email, ...overrides })
+      .expect(201);
+
+    return { club: res.body.club, president, presidentAgent: await loginAs(app, president), superadmin };
+  };
+
+  // A logged-in member of `club` with `role`, approved by its president
+  const addMember = async (club, presidentAgent, role = "member") => {
+    const user = await createUser(db);
+    const agent = await loginAs(app, user);
+    await agent.post(`/clubs/${club._id}/join`).expect(201);
+    await presidentAgent.post(`/clubs/${club._id}/members/${user.email}/approve`).expect(200);
+    if (role !== "member") {
+      await presidentAgent.patch(`/clubs/${club._id}/members/${user.email}`).send({ role }).expect(200);
+    }
+    return { user, agent };
+  };
+
+  it("lets club managers create clubs in their departments", async () => {
+    const admin = await loginAs(app, await createUser(db, { adminRole: "admin", userType: "staff", department: "EEE" }));
+    const president = await createUser(db);
+
+    await admin.post("/clubs").send({ name: "Chess Club", department: "CSE", president: president.email }).expect(403);
+    await admin.post("/clubs").send({ name: "Chess Club", president: president.email }).expect(403);
+    await admin.post("/clubs").send({ name: "Chess Club", department: "EEE", president: "nobody@lus.ac.bd" }).expect(404);
+    const res = await admin
+      .post("/clubs")
+      .send({ name: "Chess Club", department: "EEE", description: "Weekly games.", president: president.email })
+      .expect(201);
+    assert.deepEqual([res.body.club.name, res.body.club.memberCount, res.body.club.images], ["Chess Club", 1, null]);
+    await admin.post("/clubs").send({ name: "chess club", department: "EEE", president: president.email }).expect(409);
+
+    const [listed] = (await (await loginAs(app, president)).get("/clubs").expect(200)).body;
+    assert.deepEqual(listed.membership, { role: "president", status: "active" });
+    assert.equal((await request(app).get(`/clubs/${listed._id}`).expect(200)).body.membership, null);
+
+    const audit = await db.collection("AuditLog").findOne({ action: "club.create" });
+    assert.equal(audit.after.president, president.email);
+  });
+
+  it("handles join requests, approvals and leaving", async () => {
+    const { club, president, presidentAgent } = await setupClub();
+    const student = await createUser(db, { fullName: "Joiner" });
+    const agent = await loginAs(app, student);
+
+    const joined = await agent.post(`/clubs/${club._id}/join`).expect(201);
+    assert.equal(joined.body.member.status, "pending");
+    await agent.post(`/clubs/${club._id}/join`).expect(409);
+
+    await agent.get(`/clubs/${club._id}/members?status=pending`).expect(403);
+    await agent.post(`/clubs/${club._id}/members/${student.email}/approve`).expect(403);
+    const pending = (await presidentAgent.get(`/clubs/${club._id}/members?status=pending`).expect(200)).body;
+    assert.deepEqual(pending.map((member) => member.fullName), ["Joiner"]);
+
+    await presidentAgent.post(`/clubs/${club._id}/members/${student.email}/approve`).expect(200);
+    await presidentAgent.post(`/clubs/${club._id}/members/${student.email}/approve`).expect(404);
+    const members = (await agent.get(`/clubs/${club._id}/members`).expect(200)).body;
+    assert.deepEqual(members.map((member) => [member.email, member.role]), [
+      [president.email, "president"],
+      [student.email, "member"],
+    ]);
+
+    await agent.delete(`/clubs/${club._id}/join`).expect(200);
+    await presidentAgent.delete(`/clubs/${club._id}/join`).expect(403);
+    assert.equal((await request(app).get(`/clubs/${club._id}`)).body.memberCount, 1);
+  });
+
+  it("lets presidents assign roles and hand the club over", async () => {
+    const { club, president, presidentAgent } = await setupClub();
+    const { user: moderator, agent: moderatorAgent } = await addMember(club, presidentAgent, "moderator");
+    const { user: member } = await addMember(club, presidentAgent);
+    const { user: otherModerator } = await addMember(club, presidentAgent, "moderator");
+
+    await moderatorAgent.patch(`/clubs/${club._id}/members/${member.email}`).send({ role: "moderator" }).expect(403);
+    await moderatorAgent.patch(`/clubs/${club._id}`).send({ description: "Hijacked" }).expect(403);
+    await moderatorAgent.delete(`/clubs/${club._id}/members/${otherModerator.email}`).expect(403);
+    await moderatorAgent.delete(`/clubs/${club._id}/members/${member.email}`).expect(200);
+    await presidentAgent.patch(`/clubs/${club._id}/members/${president.email}`).send({ role: "member" }).expect(403);
+
+    await presidentAgent.patch(`/clubs/${club._id}/members/${moderator.email}`).send({ role: "president" }).expect(200);
+    const roles = (await moderatorAgent.get(`/clubs/${club._id}/members`)).body.map((entry) => [entry.email, entry.role]);
+    assert.deepEqual(roles, [
+      [moderator.email, "president"],
+      [president.email, "moderator"],
+      [otherModerator.email, "moderator"],
+    ]);
+
+    const updated = await moderatorAgent.patch(`/clubs/${club._id}`).send({ description: "Robots!" }).expect(200);
+    assert.equal(updated.body.club.description, "Robots!");
+  });
+
+  it("lets club moderators manage their club's events without a global role", async () => {
+    const { club, presidentAgent } = await setupClub();
+    const other = await setupClub({ name: "Drama Club", department: "EEE" });
+    const { agent: moderator } = await addMember(club, presidentAgent, "moderator");
+    const { agent: member } = await addMember(club, presidentAgent);
+
+    await member.post("/events").send(eventBody({ club: club._id })).expect(403);
+    await moderator.post("/events").send(eventBody()).expect(403);
+    await moderator.post("/events").send(eventBody({ club: other.club._id })).expect(403);
+    await moderator.post("/events").send(eventBody({ club: club._id, department: "EEE" })).expect(400);
+    const created = (await moderator.post("/events").send(eventBody({ club: club._id })).expect(201)).body.event;
+    assert.deepEqual([created.club, created.department], [club._id, "CSE"]);
+
+    const id = (await db.collection("Events").findOne({}))._id;
+    await moderator.put(`/events/${id}`).send(eventBody({ name: "Robotics Workshop II" })).expect(200);
+    assert.equal((await db.collection("Events").findOne({ _id: id })).club.toString(), club._id);
+    await other.presidentAgent.put(`/events/${id}`).send(eventBody()).expect(403);
+    await moderator.get(`/events/${id}/attendees`).expect(200);
+
+    await other.presidentAgent.post("/events").send(eventBody({ name: "Play", club: other.club._id })).expect(201);
+    const filtered = (await request(app).get(`/events?club=${club._id}`).expect(200)).body;
+    assert.deepEqual(filtered.map((event) => event.name), ["Robotics Workshop II"]);
+
+    await other.superadmin.delete(`/clubs/${club._id}`).expect(409);
+    await moderator.delete(`/events/${id}`).expect(200);
+    await other.superadmin.delete(`/clubs/${club._id}`).expect(200);
+    assert.equal(await db.collection("Users").countDocuments({ "clubs.clubId": new ObjectId(club._id) }), 0);
+  });
+
+  it("shows club-only notices to the club's members alone", async () => {
+    const { club, presidentAgent } = await setupClub();
+    const { agent: member } = await addMember(club, presidentAgent);
+    const outsider = await loginAs(app, await createUser(db, { department: "CSE" }));
+
+    await presidentAgent.post("/notices").send(noticeBody({ targetAudience: "All", department: "CSE" })).expect(403);
+    await presidentAgent.post("/notices").send(noticeBody()).expect(400);
+    await presidentAgent.post("/notices").send(noticeBody({ club: club._id, targetAudience: "All" })).expect(400);
+    const res = await presidentAgent.post("/notices").send(noticeBody({ club: club._id })).expect(201);
+    assert.deepEqual([res.body.notice.targetAudience, res.body.notice.department], [null, "CSE"]);
+    const id = (await db.collection("Notices").findOne({}))._id;
+
+    assert.deepEqual((await member.get("/notices")).body.notices.map((notice) => notice.title), ["Mid-term schedule"]);
+    await member.get(`/notices/${id}`).expect(200);
+    assert.equal((await outsider.get("/notices")).body.pagination.total, 0);
+    await outsider.get(`/notices/${id}`).expect(404);
+
+    const report = (await presidentAgent.get(`/notices/${id}/acknowledgements`).expect(200)).body;
+    assert.equal(report.audience, 2);
+  });
+
+  it("feeds members their clubs' latest notices and upcoming events", async () => {
+    const { club, presidentAgent } = await setupClub();
+    const { agent: member } = await addMember(club, presidentAgent);
+    const loner = await loginAs(app, await createUser(db));
+
+    await presidentAgent.post("/events").send(eventBody({ club: club._id })).expect(201);
+    await presidentAgent.post("/events").send(eventBody({ name: "Last year", date: "2020-01-01", club: club._id })).expect(201);
+    await presidentAgent.post("/notices").send(noticeBody({ club: club._id })).expect(201);
+    await presidentAgent.post("/notices").send(noticeBody({ title: "Draft", club: club._id, publishAt: null })).expect(201);
+
+    const feed = (await member.get("/clubs/feed").expect(200)).body;
+    assert.deepEqual(feed.clubs.map((entry) => entry.name), ["Robotics Club"]);
+    assert.deepEqual(feed.notices.map((notice) => notice.title), ["Mid-term schedule"]);
+    assert.deepEqual(feed.events.map((event) => event.name), ["Programming Contest"]);
+
+    assert.deepEqual((await loner.get("/clubs/feed").expect(200)).body, { clubs: [], notices: [], events: [] });
+  });
+});
@@ -0,0 +1,191 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { setupTestApp, resetDatabase, createUser, loginAs } = require("./helpers");
+
+describe("comments and reactions", () => {
+  let app;
+  let db;
+  let close;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(() => resetDatabase(db));
+
+  const insertNotice = async (overrides = {}) => {
+    const notice = {
+      title: "Lab schedule",
+      category: "Academic",
+      description: "Labs move to the new building.",
+      date: "2026-03-01",
+      targetAudience: "student",
+      department: "CSE",
+      publishAt: new Date(Date.now() - 60 * 1000),
+      expiresAt: null,
+      createdAt: new Date(),
+      ...overrides,
+    };
+    const { insertedId } = await db.collection("Notices").insertOne(notice);
+    return { ...notice, _id: insertedId };
+  };
+
+  const insertEvent = async (overrides = {}) => {
+    const event = { name: "Hackathon", date: "2026-03-10", time: "10:00", department: "CSE", ...overrides };
+    const { insertedId } = await db.collection("Events").insertOne(event);
+    return { ...event, _id: insertedId };
+  };
+
+  it("lets the notice's audience comment, and nobody else", async () => {
+    const notice = await insertNotice();
+    const student = await loginAs(app, await createUser(db, { userType: "student", department: "EEE" }));
+    const outsider = await loginAs(app, await createUser(db, { userType: "faculty", department: "EEE" }));
+
+    await request(app).get(`/notices/${notice._id}/comments`).expect(401);
+    await outsider.get(`/notices/${notice._id}/comments`).expect(404);
+    await outsider.post(`/notices/${notice._id}/comments`).send({ body: "Hello?" }).expect(404);
+    await outsider.put(`/notices/${notice._id}/reactions/👍`).expect(404);
+
+    const res = await student.post(`/notices/${notice._id}/comments`).send({ body: "  Which room?  " }).expect(201);
+    assert.equal(res.body.comment.body, "Which room?");
+    assert.equal(res.body.comment.status, "visible");
+    assert.equal(res.body.comment.isMine, true);
+    await student.post(`/notices/${notice._id}/comments`).send({ body: "" }).expect(400);
+
+    // Events are open to every logged-in user
+    const event = await insertEvent();
+    await outsider.post(`/events/${event._id}/comments`).send({ body: "Count me in" }).expect(201);
+  });
+
+  it("threads replies under top-level comments", async () => {
+    const event = await insertEvent();
+    const otherEvent = await insertEvent({ name: "Career fair" });
+    const agent = await loginAs(app, await createUser(db, { fullName: "Asker" }));
+
+    const question = (await agent.post(`/events/${event._id}/comments`).send({ body: "Is food provided?" })).body.comment;
+    const answer = (
+      await agent.post(`/events/${event._id}/comments`).send({ body: "Yes, lunch.", parentId: question._id }).expect(201)
+    ).body.comment;
+    await agent.post(`/events/${event._id}/comments`).send({ body: "Thanks", parentId: answer._id }).expect(400);
+    await agent.post(`/events/${otherEvent._id}/comments`).send({ body: "Hm", parentId: question._id }).expect(404);
+    await agent.post(`/events/${event._id}/comments`).send({ body: "Second question" }).expect(201);
+
+    const res = await agent.get(`/events/${event._id}/comments?limit=1`).expect(200);
+    assert.deepEqual(res.body.pagination, { page: 1, limit: 1, total: 2, totalPages: 2 });
+    const [thread] = res.body.comments;
+    assert.equal(thread.body, "Is food provided?");
+    assert.deepEqual(thread.author, { email: thread.author.email, fullName: "Asker" });
+    assert.deepEqual(thread.replies.map((reply) => [reply.body, reply.parentId]), [["Yes, lunch.", question._id]]);
+  });
+
+  it("lets only authors edit their comments, and authors or moderators delete them", async () => {
+    const event = await insertEvent();
+    const author = await loginAs(app, await createUser(db));
+    const other = await loginAs(app, await createUser(db));
+    const moderator = await loginAs(app, await createUser(db, { adminRole: "admin", userType: "staff", department: "CSE" }));
+
+    const comment = (await author.post(`/events/${event._id}/comments`).send({ body: "Typo" })).body.comment;
+    await author.post(`/events/${event._id}/comments`).send({ body: "Reply", parentId: comment._id }).expect(201);
+    const second = (await other.post(`/events/${event._id}/comments`).send({ body: "Spam" })).body.comment;
+
+    await other.patch(`/comments/${comment._id}`).send({ body: "Hijacked" }).expect(403);
+    const edited = (await author.patch(`/comments/${comment._id}`).send({ body: "Fixed" }).expect(200)).body.comment;
+    assert.equal(edited.body, "Fixed");
+    assert.ok(edited.editedAt);
+
+    await other.delete(`/comments/${comment._id}`).expect(403);
+    await author.delete(`/comments/${comment._id}`).expect(200);
+    await author.patch(`/comments/${comment._id}`).send({ body: "Back" }).expect(403);
+    await moderator.delete(`/comments/${second._id}`).expect(200);
+
+    const [deleted, removed] = (await other.get(`/events/${event._id}/comments`).expect(200)).body.comments;
+    assert.deepEqual([deleted.status, deleted.body, deleted.author], ["deleted", null, null]);
+    assert.equal(deleted.replies[0].body, "Reply");
+    assert.equal(removed.status, "deleted");
+
+    const entries = await db.collection("AuditLog").find({ action: "comment.delete" }).toArray();
+    assert.deepEqual(entries.map((entry) => entry.targetId), [second._id]);
+  });
+
+  it("lets moderators of the department hide comments and lock threads", async () => {
+    const notice = await insertNotice();
+    const student = await loginAs(app, await createUser(db));
+    const moderator = await loginAs(app, await createUser(db, { adminRole: "admin", userType: "staff", department: "CSE" }));
+    const otherAdmin = await loginAs(app, await createUser(db, { adminRole: "admin", userType: "staff", department: "EEE" }));
+
+    const comment = (await student.post(`/notices/${notice._id}/comments`).send({ body: "Rude remark" })).body.comment;
+
+    await student.post(`/comments/${comment._id}/hide`).expect(403);
+    await otherAdmin.post(`/comments/${comment._id}/hide`).expect(403);
+    const hidden = (await moderator.post(`/comments/${comment._id}/hide`).expect(200)).body.comment;
+    assert.deepEqual([hidden.status, hidden.body], ["hidden", "Rude remark"]);
+
+    const seenByStudent = (await student.get(`/notices/${notice._id}/comments`)).body.comments[0];
+    assert.deepEqual([seenByStudent.status, seenByStudent.body], ["hidden", null]);
+    await moderator.post(`/comments/${comment._id}/unhide`).expect(200);
+    assert.equal((await student.get(`/notices/${notice._id}/comments`)).body.comments[0].body, "Rude remark");
+
+    await student.post(`/notices/${notice._id}/comments/lock`).expect(403);
+    await moderator.post(`/notices/${notice._id}/comments/lock`).expect(200);
+    assert.equal((await student.get(`/notices/${notice._id}/comments`)).body.locked, true);
+    await student.post(`/notices/${notice._id}/comments`).send({ body: "One more thing" }).expect(403);
+    await student.patch(`/comments/${comment._id}`).send({ body: "Sorry" }).expect(403);
+    await moderator.post(`/notices/${notice._id}/comments`).send({ body: "Thread closed." }).expect(201);
+    await moderator.delete(`/notices/${notice._id}/comments/lock`).expect(200);
+    await student.post(`/notices/${notice._id}/comments`).send({ body: "One more thing" }).expect(201);
+
+    const actions = (await db.collection("AuditLog").find({}).sort({ timestamp: 1 }).toArray()).map(
+      (entry) => entry.action
+    );
+    assert.deepEqual(actions, ["comment.hide", "comment.unhide", "comments.lock", "comments.unlock"]);
+  });
+
+  it("counts reactions per emoji, once per user", async () => {
+    const event = await insertEvent();
+    const first = await loginAs(app, await createUser(db));
+    const second = await loginAs(app, await createUser(db));
+
+    await first.put(`/events/${event._id}/reactions/${encodeURIComponent("👍")}`).expect(200);
+    await first.put(`/events/${event._id}/reactions/${encodeURIComponent("👍")}`).expect(200);
+    await first.put(`/events/${event._id}/reactions/${encodeURIComponent("🎉")}`).expect(200);
+    const res = await second.put(`/events/${event._id}/reactions/${encodeURIComponent("👍")}`).expect(200);
+    assert.deepEqual(res.body, { counts: { "👍": 2, "🎉": 1 }, mine: ["👍"] });
+
+    await first.put(`/events/${event._id}/reactions/${encodeURIComponent("💩")}`).expect(400);
+    await first.delete(`/events/${event._id}/reactions/${encodeURIComponent("👍")}`).expect(200);
+    assert.deepEqual((await first.get(`/events/${event._id}/reactions`).expect(200)).body, {
+      counts: { "👍": 1, "🎉": 1 },
+      mine: ["🎉"],
+    });
+  });
+
+  it("shows comment counts in notice and event lists and cleans up with the item", async () => {
+    const notice = await insertNotice({ targetAudience: "All" });
+    await insertNotice({ targetAudience: "All", title: "Quiet" });
+    const event = await insertEvent();
+    const admin = await createUser(db, { adminRole: "superadmin", userType: "staff" });
+    const agent = await loginAs(app, admin);
+
+    const comment = (await agent.post(`/notices/${notice._id}/comments`).send({ body: "First" })).body.comment;
+    await agent.post(`/notices/${notice._id}/comments`).send({ body: "Reply", parentId: comment._id });
+    const hidden = (await agent.post(`/notices/${notice._id}/comments`).send({ body: "Hidden" })).body.comment;
+    await agent.post(`/comments/${hidden._id}/hide`).expect(200);
+    await agent.post(`/events/${event._id}/comments`).send({ body: "See you there" });
+    await agent.put(`/notices/${notice._id}/reactions/${encodeURIComponent("❤️")}`).expect(200);
+
+    const notices = (await agent.get("/notices").expect(200)).body.notices;
+    assert.deepEqual(
+      Object.fromEntries(notices.map((entry) => [entry.title, entry.commentCount])),
+      { "Lab schedule": 2, Quiet: 0 }
+    );
+    const events = (await request(app).get("/events").expect(200)).body;
+    assert.equal(events[0].commentCount, 1);
+
+    await agent.delete(`/notices/${notice._id}`).expect(200);
+    assert.equal(await db.collection("Comments").countDocuments({ targetType: "notice" }), 0);
+    assert.equal(await db.collection("Reactions").countDocuments(), 0);
+  });
+});
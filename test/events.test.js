@@ -0,0 +1,92 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { setupTestApp, resetDatabase, createUser, loginAs, eventBody } = require("./helpers");
+
+describe("events", () => {
+  let app;
+  let db;
+  let close;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(() => resetDatabase(db));
+
+  it("lists events without login", async () => {
+    await db.collection("Events").insertOne({ ...eventBody(), department: "CSE" });
+
+    const res = await request(app).get("/events").expect(200);
+
+    assert.equal(res.body.length, 1);
+  });
+
+  it("creates events in the admin's department by default", async () => {
+    const admin = await createUser(db, { adminRole: "admin", department: "EEE" });
+
+    const res = await (await loginAs(app, admin)).post("/events").send(eventBody()).expect(201);
+
+    assert.equal(res.body.event.department, "EEE");
+    assert.equal(res.body.event.images, null);
+  });
+
+  it("refuses events for another department", async () => {
+    const admin = await createUser(db, { adminRole: "admin", department: "EEE" });
+
+    await (await loginAs(app, admin))
+      .post("/events")
+      .send(eventBody({ department: "CSE" }))
+      .expect(403);
+  });
+
+  it("validates date and time formats", async () => {
+    const admin = await createUser(db, { adminRole: "admin" });
+
+    const res = await (await loginAs(app, admin))
+      .post("/events")
+      .send(eventBody({ date: "10/04/2026", time: "25:00" }))
+      .expect(400);
+
+    assert.deepEqual(res.body.errors.map((error) => error.field).sort(), ["date", "time"]);
+  });
+
+  it("rejects dates that do not exist on the calendar", async () => {
+    const admin = await createUser(db, { adminRole: "admin" });
+
+    const res = await (await loginAs(app, admin))
+      .post("/events")
+      .send(eventBody({ date: "2026-02-30" }))
+      .expect(400);
+
+    assert.deepEqual(res.body.errors.map((error) => error.field), ["date"]);
+  });
+
+  it("updates and deletes events, recording both in the audit log", async () => {
+    const { insertedId } = await db
+      .collection("Events")
+      .insertOne({ ...eventBody(), department: "CSE" });
+    const admin = await createUser(db, { adminRole: "admin", department: "CSE" });
+    const agent = await loginAs(app, admin);
+
+    await agent.put(`/events/${insertedId}`).send(eventBody({ venue: "Room 301" })).expect(200);
+    assert.equal((await request(app).get(`/events/${insertedId}`)).body.venue, "Room 301");
+
+    await agent.delete(`/events/${insertedId}`).expect(200);
+    await request(app).get(`/events/${insertedId}`).expect(404);
+
+    const actions = await db.collection("AuditLog").distinct("action");
+    assert.deepEqual(actions.sort(), ["event.delete", "event.update"]);
+  });
+
+  it("lets a superadmin manage events of any department", async () => {
+    const { insertedId } = await db
+      .collection("Events")
+      .insertOne({ ...eventBody(), department: "BBA" });
+    const superadmin = await createUser(db, { adminRole: "superadmin", department: "CSE" });
+
+    await (await loginAs(app, superadmin)).delete(`/events/${insertedId}`).expect(200);
+  });
+});
@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const { MongoClient } = require("mongodb");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const { createApp } = require("../src/app");
+const { prepareDatabase } = require("../src/db");
+const { createFileTransport } = require("../src/mail/transports");
+const { createDiskFileStore } = require("../src/storage/files");
+const { createDiskImageStore } = require("../src/storage/images");
+const { createMemoryBroker } = require("../src/stream/brokers");
+
+// A locally generated key pair stands in for Firebase's signing keys
+const FIREBASE_PROJECT_ID = "lupulse-test";
+const FIREBASE_KEY_ID = "test-key";
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+const testConfig = {
+  nodeEnv: "test",
+  jwtSecret: "test-jwt-secret",
+  corsOrigins: ["http://localhost:5173"],
+  logRequests: false,
+  // supertest connects over loopback, standing in for a reverse proxy
+  trustProxy: "loopback",
+  timezone: "Asia/Dhaka",
+  publicUrl: "https://api.lupulse.test",
+  appUrl: "https://lupulse.test",
+  mail: { from: "LuPulse <no-reply@lupulse.test>" },
+  notifications: { maxAttempts: 3, retryDelayMs: 60 * 1000, batchSize: 50, pollIntervalMs: 1000 },
+  images: { maxBytes: 64 * 1024, maxDimension: 256, orphanGraceMs: 60 * 60 * 1000, reapIntervalMs: 60 * 1000 },
+  attachments: { maxBytes: 64 * 1024, maxPerNotice: 3, linkTtlSeconds: 60 },
+  imports: { maxBytes: 64 * 1024, inlineRows: 5, batchSize: 2, staleAfterMs: 60 * 1000, reapIntervalMs: 1000 },
+  // Streams check their session on every heartbeat
+  stream: { heartbeatMs: 200, announceIntervalMs: 1000 },
+  // The local push service stand-in listens on plain http
+  webPush: {
+    subject: "mailto:admin@lupulse.test",
+    ttlSeconds: 60,
+    endpointHosts: ["127.0.0.1"],
+    allowInsecureEndpoints: true,
+  },
+  firebase: {
+    projectId: FIREBASE_PROJECT_ID,
+    publicKeys: { [FIREBASE_KEY_ID]: publicKey.export({ type: "spki", format: "pem" }) },
+  },
+};
+
+// The emails a file transport wrote to `directory`, oldest first
+const readMail = async (directory) => {
+  const names = (await fs.readdir(directory).catch(() => [])).sort();
+  return Promise.all(
+    names.map(async (name) => JSON.parse(await fs.readFile(path.join(directory, name), "utf8")))
+  );
+};
+
+// Starts an in-memory MongoDB and builds an app on top of it. Emails are
+// written to a temporary `mailDirectory` and uploaded images and private
+// files kept in a temporary `fileDirectory`; live updates stay in this
+// process.
+const setupTestApp = async () => {
+  const mongo = await MongoMemoryServer.create();
+  const client = await new MongoClient(mongo.getUri()).connect();
+  const db = client.db("LuPulseTest");
+  await prepareDatabase(db, testConfig, { log: () => {} });
+
+  const mailDirectory = await fs.mkdtemp(path.join(os.tmpdir(), "lupulse-mail-"));
+  const mailer = createFileTransport({ directory: mailDirectory });
+  const fileDirectory = await fs.mkdtemp(path.join(os.tmpdir(), "lupulse-files-"));
+  const files = createDiskFileStore({ directory: fileDirectory });
+  const images = createDiskImageStore({
+    directory: path.join(fileDirectory, "images"),
+    baseUrl: `${testConfig.publicUrl}/images`,
+  });
+  const broker = createMemoryBroker();
+  const app = createApp({ db, images, files, mailer, broker, config: testConfig });
+
+  const close = async () => {
+    await client.close();
+    await mongo.stop();
+    await fs.rm(mailDirectory, { recursive: true, force: true });
+    await fs.rm(fileDirectory, { recursive: true, force: true });
+  };
+
+  return { app, db, images, files, mailer, broker, mailDirectory, fileDirectory, close };
+};
+
+// Empties every collection except the seeded Roles
+const resetDatabase = async (db) => {
+  const names = [
+    "Users",
+    "Sessions",
+    "Notices",
+    "Events",
+    "AuditLog",
+    "Registrations",
+    "NoticeReceipts",
+    "Uploads",
+    "Comments",
+    "Reactions",
+    "Clubs",
+    "UserImports",
+    "UserImportRows",
+    "NotificationQueue",
+    "PushSubscriptions",
+    "StreamEvents",
+    "StreamState",
+  ];
+  for (const name of names) {
+    await db.collection(name).deleteMany({});
+  }
+  await db.collection("Roles").deleteMany({ builtIn: { $ne: true } });
+};
+
+let userCounter = 0;
+
+const createUser = async (db, overrides = {}) => {
+  userCounter += 1;
+  const user = {
+    fullName: `Test User ${userCounter}`,
+    id: `LU${1000 + userCounter}`,
+    email: `user${userCounter}@lus.ac.bd`,
+    userType: "student",
+    department: "CSE",
+    designation: "Student",
+    adminRole: "user",
+    createdAt: new Date(),
+    ...overrides,
+  };
+
+  await db.collection("Users").insertOne(user);
+  return user;
+};
+
+// Request bodies that pass noticeSchema and eventSchema
+const noticeBody = (overrides = {}) => ({
+  title: "Mid-term schedule",
+  category: "Exam",
+  description: "The mid-term exams start next week.",
+  date: "2026-03-01",
+  targetAudience: "student",
+  department: "CSE",
+  ...overrides,
+});
+
+const eventBody = (overrides = {}) => ({
+  name: "Programming Contest",
+  date: "2026-04-10",
+  time: "10:00",
+  venue: "Main Auditorium",
+  details: "Intra-university contest.",
+  ...overrides,
+});
+
+// Signs an ID token the way Firebase would for the given claims
+const signIdToken = (claims, options = {}) =>
+  jwt.sign({ email_verified: true, ...claims }, privateKey, {
+    algorithm: "RS256",
+    keyid: FIREBASE_KEY_ID,
+    audience: FIREBASE_PROJECT_ID,
+    issuer: `https://securetoken.google.com/${FIREBASE_PROJECT_ID}`,
+    subject: `uid-${claims.email}`,
+    expiresIn: "1h",
+    ...options,
+  });
+
+// Logs in and returns a supertest agent carrying the auth cookies
+const loginAs = async (app, user) => {
+  const agent = request.agent(app);
+  await agent.post("/login").send({ idToken: signIdToken({ email: user.email }) }).expect(200);
+  return agent;
+};
+
+// Reads one cookie value out of a response's Set-Cookie headers
+const getCookie = (res, name) => {
+  const header = (res.headers["set-cookie"] || []).find((cookie) => cookie.startsWith(`${name}=`));
+  return header ? decodeURIComponent(header.split(";")[0].slice(name.length + 1)) : undefined;
+};
+
+module.exports = {
+  testConfig,
+  setupTestApp,
+  resetDatabase,
+  readMail,
+  createUser,
+  noticeBody,
+  eventBody,
+  signIdToken,
+  loginAs,
+  getCookie,
+};
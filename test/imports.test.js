@@ -0,0 +1,211 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { getCollections } = require("../src/db");
+const { createImportService } = require("../src/services/imports");
+const { testConfig, setupTestApp, resetDatabase, createUser, loginAs } = require("./helpers");
+
+const HEADER = "id,fullName,email,userType,department,designation";
+
+// A roster CSV with a header row and the given lines
+const roster = (...lines) => Buffer.from([HEADER, ...lines].join("\r\n") + "\r\n");
+
+describe("user imports", () => {
+  let app;
+  let db;
+  let close;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(() => resetDatabase(db));
+
+  const loginSuperadmin = async () =>
+    loginAs(app, await createUser(db, { adminRole: "superadmin", userType: "staff" }));
+
+  // Polls an import until it is no longer running
+  const waitForImport = async (agent, id) => {
+    for (let attempt = 0; attempt < 100; attempt += 1) {
+      const job = (await agent.get(`/users/imports/${id}`).expect(200)).body;
+      if (job.status !== "running") {
+        return job;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error("The import did not finish");
+  };
+
+  it("only lets superadmins import users", async () => {
+    const admin = await loginAs(app, await createUser(db, { adminRole: "admin", userType: "staff" }));
+    await admin
+      .post("/users/imports")
+      .attach("file", roster("LU2001,Ayesha Rahman,ayesha@lus.ac.bd,student,CSE,Student"), "roster.csv")
+      .expect(403);
+    await admin.get("/users/imports").expect(403);
+  });
+
+  it("rejects files that are not rosters", async () => {
+    const superadmin = await loginSuperadmin();
+
+    await superadmin.post("/users/imports").expect(400);
+    await superadmin.post("/users/imports").attach("file", roster("LU2001"), "roster.xlsx").expect(400);
+    const missing = await superadmin
+      .post("/users/imports")
+      .attach("file", Buffer.from("id,email\r\nLU2001,a@lus.ac.bd\r\n"), "roster.csv")
+      .expect(400);
+    assert.deepEqual(missing.body.errors.map((error) => error.field), ["fullName", "userType", "department"]);
+    await superadmin.post("/users/imports").attach("file", roster(), "roster.csv").expect(400);
+    await superadmin.post("/users/imports").attach("file", roster('LU2001,"Ayesha'), "roster.csv").expect(400);
+    await superadmin.post("/users/imports?dryRun=maybe").attach("file", roster(), "roster.csv").expect(400);
+  });
+
+  it("reports what a dry run would do without changing users", async () => {
+    const superadmin = await loginSuperadmin();
+    await createUser(db, { id: "LU2002", email: "karim@lus.ac.bd", fullName: "Karim Uddin", department: "EEE", designation: "Student" });
+    await createUser(db, { id: "LU2003", email: "nadia@lus.ac.bd", fullName: "Nadia Islam", department: "CSE", designation: "Student" });
+    await createUser(db, { id: "LU2004", email: "owner@lus.ac.bd" });
+
+    const res = await superadmin
+      .post("/users/imports?dryRun=true")
+      .attach(
+        "file",
+        roster(
+          'LU2001,"Rahman, Ayesha",Ayesha@LUS.ac.bd,student,CSE,Student',
+          "LU2002,Karim Uddin,karim@lus.ac.bd,student,CSE,Student",
+          "LU2003,Nadia Islam,nadia@lus.ac.bd,student,CSE,Student",
+          "LU2004,Someone Else,someone@lus.ac.bd,student,CSE,Student",
+          "LU2005,+No Email,not-an-email,alumnus,CSE,"
+        ),
+        "roster.csv"
+      )
+      .expect(201);
+
+    const job = res.body.import;
+    assert.deepEqual([job.dryRun, job.status, job.total, job.processed, job.progress], [true, "completed", 5, 5, 100]);
+    assert.deepEqual(job.summary, { created: 1, updated: 1, unchanged: 1, invalid: 1, conflict: 1 });
+    assert.equal(await db.collection("Users").countDocuments({ email: "ayesha@lus.ac.bd" }), 0);
+    assert.equal((await db.collection("Users").findOne({ email: "karim@lus.ac.bd" })).department, "EEE");
+    assert.equal(await db.collection("AuditLog").countDocuments({ action: "user.import" }), 0);
+
+    const report = (await superadmin.get(`/users/imports/${job._id}/report`).expect(200)).body;
+    assert.deepEqual(
+      report.rows.map((row) => [row.row, row.status, row.message]),
+      [
+        [2, "created", null],
+        [3, "updated", "Changed department"],
+        [4, "unchanged", null],
+        [5, "conflict", "id LU2004 already belongs to owner@lus.ac.bd"],
+        [6, "invalid", "email must be a valid email address; userType must be one of: student, faculty, staff"],
+      ]
+    );
+    assert.equal(report.rows[0].fullName, "Rahman, Ayesha");
+    assert.equal(report.rows[4].fullName, "+No Email");
+
+    const invalid = await superadmin.get(`/users/imports/${job._id}/report?status=invalid&format=csv`).expect(200);
+    assert.match(invalid.headers["content-type"], /^text\/csv/);
+    assert.equal(
+      invalid.text,
+      '"row","id","fullName","email","userType","department","designation","status","message"\r\n' +
+        '"6","LU2005","\'+No Email","not-an-email","alumnus","CSE","","invalid","email must be a valid email address; userType must be one of: student, faculty, staff"\r\n'
+    );
+  });
+
+  it("creates and updates users from the roster", async () => {
+    const superadmin = await loginSuperadmin();
+    await createUser(db, { id: "LU2002", email: "karim@lus.ac.bd", adminRole: "admin", designation: "Student" });
+
+    const res = await superadmin
+      .post("/users/imports")
+      .attach(
+        "file",
+        Buffer.from(
+          "Email,Department,FullName,ID,UserType,Notes\n" +
+            "ayesha@lus.ac.bd,CSE,Ayesha Rahman,LU2001,student,transfer\n" +
+            "karim@lus.ac.bd,EEE,Karim Uddin,LU2002,faculty,\n" +
+            "AYESHA@lus.ac.bd,CSE,Ayesha Again,LU2009,student,\n"
+        ),
+        "roster.csv"
+      )
+      .expect(201);
+    assert.deepEqual(res.body.import.summary, { created: 1, updated: 1, unchanged: 0, invalid: 0, conflict: 1 });
+
+    const ayesha = await db.collection("Users").findOne({ email: "ayesha@lus.ac.bd" });
+    assert.deepEqual(
+      [ayesha.fullName, ayesha.id, ayesha.userType, ayesha.department, ayesha.adminRole, ayesha.importedBy],
+      ["Ayesha Rahman", "LU2001", "student", "CSE", "user", res.body.import.createdBy]
+    );
+    const karim = await db.collection("Users").findOne({ email: "karim@lus.ac.bd" });
+    assert.deepEqual(
+      [karim.userType, karim.department, karim.adminRole, karim.designation],
+      ["faculty", "EEE", "admin", "Student"]
+    );
+
+    const report = (await superadmin.get(`/users/imports/${res.body.import._id}/report?status=conflict`)).body;
+    assert.deepEqual(report.rows.map((row) => [row.row, row.message]), [[4, "email repeats row 2"]]);
+
+    const audit = await db.collection("AuditLog").findOne({ action: "user.import" });
+    assert.deepEqual(audit.after, { fileName: "roster.csv", total: 3 });
+
+    // The imported student can log in straight away
+    await loginAs(app, ayesha);
+  });
+
+  it("matches existing users whatever the case of their email", async () => {
+    const superadmin = await loginSuperadmin();
+    await createUser(db, { id: "LU2002", email: "Karim.Uddin@LUS.ac.bd", fullName: "Karim Uddin", department: "EEE", designation: "Student" });
+    const file = roster("LU2002,Karim Uddin,karim.uddin@lus.ac.bd,student,CSE,Student");
+
+    const dryRun = await superadmin.post("/users/imports?dryRun=true").attach("file", file, "roster.csv").expect(201);
+    assert.deepEqual(dryRun.body.import.summary, { created: 0, updated: 1, unchanged: 0, invalid: 0, conflict: 0 });
+
+    const res = await superadmin.post("/users/imports").attach("file", file, "roster.csv").expect(201);
+    assert.equal(res.body.import.summary.updated, 1);
+    const users = await db.collection("Users").find({ id: "LU2002" }).toArray();
+    assert.deepEqual(users.map((user) => [user.email, user.department]), [["Karim.Uddin@LUS.ac.bd", "CSE"]]);
+  });
+
+  it("imports large rosters in the background", async () => {
+    const superadmin = await loginSuperadmin();
+    const lines = Array.from({ length: 9 }, (_, index) =>
+      `LU3${index},Student ${index},student${index}@lus.ac.bd,student,CSE,Student`
+    );
+
+    const res = await superadmin.post("/users/imports").attach("file", roster(...lines), "roster.csv").expect(202);
+    assert.equal(res.body.import.total, 9);
+
+    const job = await waitForImport(superadmin, res.body.import._id);
+    assert.deepEqual([job.status, job.processed, job.progress, job.summary.created], ["completed", 9, 100, 9]);
+    assert.equal(await db.collection("Users").countDocuments({ department: "CSE", userType: "student" }), 9);
+
+    const csv = (await superadmin.get(`/users/imports/${job._id}/report?format=csv`).expect(200)).text;
+    assert.equal(csv.trim().split("\r\n").length, 10);
+
+    const [listed] = (await superadmin.get("/users/imports").expect(200)).body;
+    assert.equal(listed._id, job._id);
+    await superadmin.get("/users/imports/0123456789abcdef01234567").expect(404);
+  });
+
+  it("fails background imports that stopped making progress", async () => {
+    const superadmin = await loginSuperadmin();
+    const imports = createImportService({ collections: getCollections(db), config: testConfig });
+    const now = Date.now();
+    const running = { fileName: "roster.csv", dryRun: false, status: "running", total: 9, processed: 2, finishedAt: null };
+    const { insertedIds } = await db.collection("UserImports").insertMany([
+      { ...running, createdAt: new Date(now - 10 * 60 * 1000), heartbeatAt: new Date(now - 2 * 60 * 1000) },
+      { ...running, createdAt: new Date(now - 10 * 60 * 1000), heartbeatAt: new Date(now - 10 * 1000) },
+      { ...running, createdAt: new Date(now - 10 * 60 * 1000) },
+    ]);
+    await superadmin.get(`/users/imports/${insertedIds[0]}/report`).expect(409);
+
+    assert.deepEqual(await imports.failStaleImports({ now: new Date(now) }), { failed: 2 });
+
+    const jobs = await Promise.all(
+      Object.values(insertedIds).map((id) => superadmin.get(`/users/imports/${id}`).expect(200))
+    );
+    assert.deepEqual(jobs.map((res) => res.body.status), ["failed", "running", "failed"]);
+    assert.match(jobs[0].body.error, /import the roster again/);
+    await superadmin.get(`/users/imports/${insertedIds[0]}/report`).expect(200);
+  });
+});
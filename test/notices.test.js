@@ -0,0 +1,207 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { setupTestApp, resetDatabase, createUser, loginAs, noticeBody } = require("./helpers");
+
+describe("notices", () => {
+  let app;
+  let db;
+  let close;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(() => resetDatabase(db));
+
+  const insertNotice = async (overrides = {}) => {
+    const notice = { ...noticeBody(overrides), createdAt: new Date() };
+    const { insertedId } = await db.collection("Notices").insertOne(notice);
+    return { ...notice, _id: insertedId };
+  };
+
+  describe("GET /notices", () => {
+    it("requires login", async () => {
+      await request(app).get("/notices").expect(401);
+    });
+
+    it("shows users notices for their audience or department only", async () => {
+      await insertNotice({ title: "Everyone", targetAudience: "All", department: "BBA" });
+      await insertNotice({ title: "Students", targetAudience: "student", department: "BBA" });
+      await insertNotice({ title: "Faculty of CSE", targetAudience: "faculty", department: "CSE" });
+      await insertNotice({ title: "Faculty of EEE", targetAudience: "faculty", department: "EEE" });
+      const student = await createUser(db, { userType: "student", department: "CSE" });
+
+      const res = await (await loginAs(app, student)).get("/notices").expect(200);
+
+      assert.deepEqual(
+        res.body.notices.map((notice) => notice.title).sort(),
+        ["Everyone", "Faculty of CSE", "Students"]
+      );
+    });
+
+    it("shows admins every notice", async () => {
+      await insertNotice({ targetAudience: "faculty", department: "EEE" });
+      const admin = await createUser(db, { adminRole: "admin", userType: "staff" });
+
+      const res = await (await loginAs(app, admin)).get("/notices").expect(200);
+
+      assert.equal(res.body.notices.length, 1);
+    });
+  });
+
+  describe("POST /notices", () => {
+    it("lets an admin publish for their own department and audits it", async () => {
+      const admin = await createUser(db, { adminRole: "admin", department: "CSE" });
+
+      const res = await (await loginAs(app, admin)).post("/notices").send(noticeBody()).expect(201);
+
+      assert.equal(res.body.notice.createdBy, admin.email);
+      const entry = await db.collection("AuditLog").findOne({ action: "notice.create" });
+      assert.equal(entry.actor, admin.email);
+    });
+
+    it("refuses notices for another department", async () => {
+      const admin = await createUser(db, { adminRole: "admin", department: "CSE" });
+
+      await (await loginAs(app, admin))
+        .post("/notices")
+        .send(noticeBody({ department: "EEE" }))
+        .expect(403);
+    });
+
+    it("refuses regular users", async () => {
+      const user = await createUser(db);
+
+      await (await loginAs(app, user)).post("/notices").send(noticeBody()).expect(403);
+    });
+
+    it("reports invalid fields", async () => {
+      const admin = await createUser(db, { adminRole: "admin" });
+
+      const res = await (await loginAs(app, admin))
+        .post("/notices")
+        .send(noticeBody({ category: "Gossip", date: "tomorrow" }))
+        .expect(400);
+
+      assert.deepEqual(res.body.errors.map((error) => error.field).sort(), ["category", "date"]);
+    });
+  });
+
+  describe("scheduling and pinning", () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    it("hides drafts, scheduled and expired notices from readers but not from editors", async () => {
+      const now = Date.now();
+      await insertNotice({ title: "Live", publishAt: new Date(now - DAY), expiresAt: null });
+      await insertNotice({ title: "Legacy" });
+      const draft = await insertNotice({ title: "Draft", publishAt: null });
+      await insertNotice({ title: "Scheduled", publishAt: new Date(now + DAY) });
+      await insertNotice({ title: "Expired", publishAt: new Date(now - 2 * DAY), expiresAt: new Date(now - DAY) });
+
+      const student = await loginAs(app, await createUser(db, { userType: "student", department: "CSE" }));
+      const listed = (await student.get("/notices").expect(200)).body.notices;
+      assert.deepEqual(listed.map((notice) => notice.title).sort(), ["Legacy", "Live"]);
+      assert.ok(listed.every((notice) => notice.status === "live"));
+      await student.get(`/notices/${draft._id}`).expect(404);
+
+      const admin = await loginAs(app, await createUser(db, { adminRole: "admin", department: "CSE" }));
+      assert.equal((await admin.get("/notices").expect(200)).body.pagination.total, 5);
+      assert.equal((await admin.get(`/notices/${draft._id}`).expect(200)).body.status, "draft");
+
+      for (const [status, title] of [["draft", "Draft"], ["scheduled", "Scheduled"], ["expired", "Expired"]]) {
+        const res = await admin.get("/notices").query({ status }).expect(200);
+        assert.deepEqual(res.body.notices.map((notice) => notice.title), [title]);
+      }
+
+      const otherAdmin = await loginAs(app, await createUser(db, { adminRole: "admin", department: "EEE" }));
+      assert.equal((await otherAdmin.get("/notices").query({ status: "draft" })).body.notices.length, 0);
+    });
+
+    it("publishes on creation unless scheduled or saved as a draft", async () => {
+      const agent = await loginAs(app, await createUser(db, { adminRole: "admin", department: "CSE" }));
+
+      const now = await agent.post("/notices").send(noticeBody()).expect(201);
+      assert.equal(now.body.notice.status, "live");
+
+      const later = await agent
+        .post("/notices")
+        .send(noticeBody({ publishAt: "2099-01-01", expiresAt: "2099-02-01T09:00" }))
+        .expect(201);
+      assert.equal(later.body.notice.status, "scheduled");
+      assert.equal(later.body.notice.publishAt, "2098-12-31T18:00:00.000Z");
+      assert.equal(later.body.notice.expiresAt, "2099-02-01T03:00:00.000Z");
+
+      const draft = await agent.post("/notices").send(noticeBody({ publishAt: null })).expect(201);
+      assert.equal(draft.body.notice.status, "draft");
+
+      await agent
+        .post("/notices")
+        .send(noticeBody({ publishAt: "2099-01-01", expiresAt: "2098-01-01" }))
+        .expect(400);
+    });
+
+    it("keeps the publication time when an edit leaves it out", async () => {
+      const publishAt = new Date("2026-01-05T04:00:00Z");
+      const notice = await insertNotice({ publishAt });
+      const agent = await loginAs(app, await createUser(db, { adminRole: "admin", department: "CSE" }));
+
+      await agent.put(`/notices/${notice._id}`).send(noticeBody({ title: "Edited" })).expect(200);
+
+      assert.deepEqual((await db.collection("Notices").findOne({ _id: notice._id })).publishAt, publishAt);
+    });
+
+    it("lists pinned notices first, then newest first, a page at a time", async () => {
+      for (let day = 1; day <= 5; day += 1) {
+        await insertNotice({ title: `Day ${day}`, publishAt: new Date(Date.UTC(2026, 0, day)), pinned: false });
+      }
+      await insertNotice({ title: "Pinned", publishAt: new Date(Date.UTC(2025, 0, 1)), pinned: true });
+      const agent = await loginAs(app, await createUser(db, { userType: "student", department: "CSE" }));
+
+      const first = await agent.get("/notices").query({ limit: 3 }).expect(200);
+      assert.deepEqual(first.body.notices.map((notice) => notice.title), ["Pinned", "Day 5", "Day 4"]);
+      assert.deepEqual(first.body.pagination, { page: 1, limit: 3, total: 6, totalPages: 2 });
+
+      const second = await agent.get("/notices").query({ limit: 3, page: 2 }).expect(200);
+      assert.deepEqual(second.body.notices.map((notice) => notice.title), ["Day 3", "Day 2", "Day 1"]);
+
+      await agent.get("/notices").query({ limit: 101 }).expect(400);
+    });
+  });
+
+  describe("PUT and DELETE /notices/:id", () => {
+    it("updates and deletes notices in the admin's department", async () => {
+      const notice = await insertNotice();
+      const admin = await createUser(db, { adminRole: "admin", department: "CSE" });
+      const agent = await loginAs(app, admin);
+
+      await agent
+        .put(`/notices/${notice._id}`)
+        .send(noticeBody({ title: "Rescheduled" }))
+        .expect(200);
+      assert.equal((await db.collection("Notices").findOne({ _id: notice._id })).title, "Rescheduled");
+
+      await agent.delete(`/notices/${notice._id}`).expect(200);
+      assert.equal(await db.collection("Notices").countDocuments(), 0);
+    });
+
+    it("refuses to touch another department's notices", async () => {
+      const notice = await insertNotice({ department: "EEE" });
+      const admin = await createUser(db, { adminRole: "admin", department: "CSE" });
+      const agent = await loginAs(app, admin);
+
+      await agent.put(`/notices/${notice._id}`).send(noticeBody({ department: "EEE" })).expect(403);
+      await agent.delete(`/notices/${notice._id}`).expect(403);
+    });
+
+    it("answers 400 for malformed ids and 404 for missing notices", async () => {
+      const admin = await createUser(db, { adminRole: "admin" });
+      const agent = await loginAs(app, admin);
+
+      await agent.get("/notices/not-an-id").expect(400);
+      await agent.get("/notices/0123456789abcdef01234567").expect(404);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const { getCollections } = require("../src/db");
+const { createNotificationService } = require("../src/services/notifications");
+const {
+  testConfig,
+  setupTestApp,
+  resetDatabase,
+  readMail,
+  createUser,
+  noticeBody,
+  loginAs,
+} = require("./helpers");
+
+describe("notice emails", () => {
+  let app;
+  let db;
+  let mailer;
+  let mailDirectory;
+  let close;
+  let notifications;
+
+  before(async () => {
+    ({ app, db, mailer, mailDirectory, close } = await setupTestApp());
+    notifications = createNotificationService({ collections: getCollections(db), config: testConfig, mailer });
+  });
+
+  after(() => close());
+
+  beforeEach(async () => {
+    await resetDatabase(db);
+    await fs.rm(mailDirectory, { recursive: true, force: true });
+  });
+
+  const adminAgent = async () =>
+    loginAs(app, await createUser(db, { adminRole: "superadmin", userType: "staff", department: "BBA" }));
+
+  it("emails the notice's audience, except those who opted out", async () => {
+    await createUser(db, { email: "student@lus.ac.bd", userType: "student", department: "EEE" });
+    await createUser(db, { email: "cse-teacher@lus.ac.bd", userType: "faculty", department: "CSE" });
+    await createUser(db, { email: "eee-teacher@lus.ac.bd", userType: "faculty", department: "EEE" });
+    await createUser(db, {
+      email: "opted-out@lus.ac.bd",
+      notificationPreferences: { emailNotices: false },
+    });
+    await (await adminAgent()).post("/notices").send(noticeBody({ title: "Convocation <2026>" })).expect(201);
+
+    assert.deepEqual(await notifications.processQueue(), { sent: 2, retried: 0, failed: 0, skipped: 0 });
+    assert.deepEqual(await notifications.processQueue(), { sent: 0, retried: 0, failed: 0, skipped: 0 });
+
+    const mail = await readMail(mailDirectory);
+    assert.deepEqual(mail.map((message) => message.to).sort(), ["cse-teacher@lus.ac.bd", "student@lus.ac.bd"]);
+
+    const message = mail.find((entry) => entry.to === "student@lus.ac.bd");
+    const notice = await db.collection("Notices").findOne({});
+    assert.equal(message.from, testConfig.mail.from);
+    assert.equal(message.subject, "New notice: Convocation <2026>");
+    assert.match(message.text, new RegExp(`https://lupulse.test/notices/${notice._id}`));
+    assert.match(message.html, /Convocation &#60;2026&#62;/);
+    assert.match(message.headers["List-Unsubscribe"], /^<https:\/\/api\.lupulse\.test\/notifications\/unsubscribe\?token=/);
+  });
+
+  it("waits for scheduled notices, skips drafts and sends one email per pending change", async () => {
+    await createUser(db, { email: "reader@lus.ac.bd" });
+    const admin = await adminAgent();
+
+    await admin.post("/notices").send(noticeBody({ publishAt: null })).expect(201);
+    assert.equal(await db.collection("NotificationQueue").countDocuments(), 0);
+
+    await admin.post("/notices").send(noticeBody({ title: "Later", publishAt: "2099-01-01" })).expect(201);
+    assert.equal((await notifications.processQueue()).sent, 0);
+    const later = await notifications.processQueue({ now: new Date("2099-01-02T00:00:00Z") });
+    assert.equal(later.sent, 1);
+
+    // Publishing the draft announces it as new; editing it again before the
+    // email goes out does not send a second one
+    const draft = await db.collection("Notices").findOne({ publishAt: null });
+    await admin.put(`/notices/${draft._id}`).send(noticeBody({ publishAt: "2026-01-01" })).expect(200);
+    await admin.put(`/notices/${draft._id}`).send(noticeBody({ title: "Corrected", publishAt: "2026-01-01" })).expect(200);
+    assert.equal(await db.collection("NotificationQueue").countDocuments({ noticeId: draft._id }), 1);
+    await notifications.processQueue();
+
+    await admin.put(`/notices/${draft._id}`).send(noticeBody({ title: "Moved", publishAt: "2026-01-01" })).expect(200);
+    await notifications.processQueue();
+
+    const subjects = (await readMail(mailDirectory)).map((message) => message.subject).sort();
+    assert.deepEqual(subjects, ["New notice: Corrected", "New notice: Later", "Notice updated: Moved"]);
+  });
+
+  it("retries failed sends with backoff and gives up after the last attempt", async () => {
+    await createUser(db, { email: "reader@lus.ac.bd" });
+    await (await adminAgent()).post("/notices").send(noticeBody()).expect(201);
+    const failing = createNotificationService({
+      collections: getCollections(db),
+      config: testConfig,
+      mailer: { send: async () => { throw new Error("SMTP unavailable"); } },
+    });
+    const start = Date.now();
+
+    assert.equal((await failing.processQueue({ now: new Date(start) })).retried, 1);
+    let job = await db.collection("NotificationQueue").findOne({});
+    assert.equal(job.attempts, 1);
+    assert.equal(job.lastError, "SMTP unavailable");
+    assert.equal(job.nextAttemptAt.getTime(), start + 60 * 1000);
+
+    // Not due yet
+    assert.equal((await failing.processQueue({ now: new Date(start + 1000) })).retried, 0);
+    await failing.processQueue({ now: new Date(start + 60 * 1000) });
+    job = await db.collection("NotificationQueue").findOne({});
+    assert.equal(job.nextAttemptAt.getTime(), start + 3 * 60 * 1000);
+
+    assert.equal((await failing.processQueue({ now: new Date(start + 3 * 60 * 1000) })).failed, 1);
+    assert.equal((await db.collection("NotificationQueue").findOne({})).status, "failed");
+    assert.equal((await notifications.processQueue({ now: new Date(start + 60 * 60 * 1000) })).sent, 0);
+  });
+
+  it("lets users opt out in their settings or from the email", async () => {
+    const user = await createUser(db, { email: "reader@lus.ac.bd" });
+    const agent = await loginAs(app, user);
+
+    assert.deepEqual((await agent.get("/notifications/preferences").expect(200)).body, {
+      emailNotices: true,
+      pushNotices: true,
+    });
+    await agent.put("/notifications/preferences").send({ emailNotices: "no" }).expect(400);
+    await agent.put("/notifications/preferences").send({}).expect(400);
+    const saved = await agent.put("/notifications/preferences").send({ emailNotices: false }).expect(200);
+    assert.deepEqual(saved.body.preferences, { emailNotices: false, pushNotices: true });
+    await agent.put("/notifications/preferences").send({ emailNotices: true }).expect(200);
+
+    await (await adminAgent()).post("/notices").send(noticeBody()).expect(201);
+    await notifications.processQueue();
+    const [message] = await readMail(mailDirectory);
+    const link = new URL(message.headers["List-Unsubscribe"].slice(1, -1));
+
+    await request(app).get("/notifications/unsubscribe").query({ token: "forged" }).expect(401);
+    // Tokens signed with the access token secret are not accepted
+    const reused = jwt.sign({ email: user.email, purpose: "unsubscribe" }, testConfig.jwtSecret);
+    await request(app).post("/notifications/unsubscribe").query({ token: reused }).expect(401);
+
+    // Opening the link only asks for confirmation
+    const page = await request(app).get(`${link.pathname}${link.search}`).expect(200);
+    assert.match(page.text, /<form method="post"/);
+    assert.deepEqual((await agent.get("/notifications/preferences")).body, {
+      emailNotices: true,
+      pushNotices: true,
+    });
+
+    await request(app).post(`${link.pathname}${link.search}`).expect(200);
+    assert.deepEqual((await agent.get("/notifications/preferences")).body, {
+      emailNotices: false,
+      pushNotices: true,
+    });
+
+    await (await adminAgent()).post("/notices").send(noticeBody({ title: "Another" })).expect(201);
+    assert.equal(await db.collection("NotificationQueue").countDocuments({ status: "pending" }), 0);
+  });
+});
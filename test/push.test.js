@@ -0,0 +1,244 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const { getCollections } = require("../src/db");
+const { createNotificationService } = require("../src/services/notifications");
+const { createPushService } = require("../src/services/push");
+const {
+  testConfig,
+  setupTestApp,
+  resetDatabase,
+  createUser,
+  noticeBody,
+  loginAs,
+} = require("./helpers");
+
+// Local stand-in for a browser vendor's push service: records every request
+// and answers each endpoint path with the status set in `statuses` (201 by
+// default)
+const startPushService = async () => {
+  const received = [];
+  const statuses = {};
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(statuses[req.url] || 201).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    received,
+    statuses,
+    origin: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+// A browser's side of a subscription: its key pair and auth secret
+const createBrowser = (endpoint) => {
+  const ecdh = crypto.createECDH("prime256v1");
+  ecdh.generateKeys();
+  const auth = crypto.randomBytes(16);
+
+  return {
+    ecdh,
+    auth,
+    subscription: {
+      endpoint,
+      keys: { p256dh: ecdh.getPublicKey().toString("base64url"), auth: auth.toString("base64url") },
+    },
+  };
+};
+
+// Decrypts an aes128gcm push message body (RFC 8291) the way a browser would
+const decryptPayload = (body, { ecdh, auth }) => {
+  const salt = body.subarray(0, 16);
+  const keyLength = body[20];
+  const serverKey = body.subarray(21, 21 + keyLength);
+  const ciphertext = body.subarray(21 + keyLength);
+
+  const info = Buffer.concat([Buffer.from("WebPush: info\0"), ecdh.getPublicKey(), serverKey]);
+  const ikm = crypto.hkdfSync("sha256", ecdh.computeSecret(serverKey), auth, info, 32);
+  const key = crypto.hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: aes128gcm\0"), 16);
+  const nonce = crypto.hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12);
+
+  const decipher = crypto.createDecipheriv("aes-128-gcm", Buffer.from(key), Buffer.from(nonce));
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+  // The last record ends with a 0x02 delimiter and optional zero padding
+  let end = padded.length - 1;
+  while (padded[end] === 0) {
+    end -= 1;
+  }
+  assert.equal(padded[end], 2);
+  return JSON.parse(padded.subarray(0, end).toString());
+};
+
+// Verifies the VAPID Authorization header and returns the JWT's claims
+const verifyVapid = (header, audience) => {
+  const [, token, publicKey] = header.match(/^vapid t=([^,]+), k=(.+)$/);
+  const point = Buffer.from(publicKey, "base64url");
+  const key = crypto.createPublicKey({
+    key: {
+      kty: "EC",
+      crv: "P-256",
+      x: point.subarray(1, 33).toString("base64url"),
+      y: point.subarray(33).toString("base64url"),
+    },
+    format: "jwk",
+  });
+  return { publicKey, claims: jwt.verify(token, key, { algorithms: ["ES256"], audience }) };
+};
+
+describe("web push", () => {
+  let app;
+  let db;
+  let close;
+  let pushService;
+  let notifications;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+    pushService = await startPushService();
+    const collections = getCollections(db);
+    notifications = createNotificationService({
+      collections,
+      config: testConfig,
+      mailer: { send: async () => ({ messageId: "unused" }) },
+      push: createPushService({ collections, config: testConfig }),
+    });
+  });
+
+  after(async () => {
+    await pushService.close();
+    await close();
+  });
+
+  beforeEach(async () => {
+    await resetDatabase(db);
+    pushService.received.length = 0;
+  });
+
+  const publishNotice = async (overrides) => {
+    const admin = await createUser(db, { adminRole: "superadmin", userType: "staff", department: "BBA" });
+    await (await loginAs(app, admin)).post("/notices").send(noticeBody(overrides)).expect(201);
+  };
+
+  it("hands out one VAPID public key, generated once and kept", async () => {
+    const first = await request(app).get("/push/vapid-public-key").expect(200);
+    const second = await request(app).get("/push/vapid-public-key").expect(200);
+
+    assert.equal(Buffer.from(first.body.publicKey, "base64url").length, 65);
+    assert.equal(second.body.publicKey, first.body.publicKey);
+    assert.equal((await db.collection("Settings").findOne({ _id: "vapidKeys" })).publicKey, first.body.publicKey);
+  });
+
+  it("registers, lists and removes a user's browsers", async () => {
+    const agent = await loginAs(app, await createUser(db));
+    const browser = createBrowser(`${pushService.origin}/phone`);
+
+    await agent
+      .post("/push/subscriptions")
+      .send({ ...browser.subscription, keys: { ...browser.subscription.keys, auth: "c2hvcnQ" } })
+      .expect(400);
+    await agent.post("/push/subscriptions").send({ endpoint: "not a url", keys: browser.subscription.keys }).expect(400);
+    await agent.post("/push/subscriptions").set("User-Agent", "Phone").send(browser.subscription).expect(201);
+    await agent.post("/push/subscriptions").send(browser.subscription).expect(201);
+
+    const listed = (await agent.get("/push/subscriptions").expect(200)).body;
+    assert.deepEqual(listed.map((entry) => entry.endpoint), [browser.subscription.endpoint]);
+
+    await agent.delete("/push/subscriptions").send({ endpoint: browser.subscription.endpoint }).expect(200);
+    await agent.delete("/push/subscriptions").send({ endpoint: browser.subscription.endpoint }).expect(404);
+  });
+
+  it("refuses endpoints outside the known push services", async () => {
+    const agent = await loginAs(app, await createUser(db));
+    const { keys } = createBrowser(`${pushService.origin}/phone`).subscription;
+
+    for (const endpoint of [
+      "http://169.254.169.254/latest/meta-data",
+      `http://localhost:${new URL(pushService.origin).port}/phone`,
+      "https://fcm.googleapis.com.attacker.test/fcm/send/abc",
+    ]) {
+      const res = await agent.post("/push/subscriptions").send({ endpoint, keys }).expect(400);
+      assert.match(res.body.message, /push service/);
+    }
+    assert.equal(await db.collection("PushSubscriptions").countDocuments(), 0);
+  });
+
+  it("pushes encrypted, signed messages to the notice's audience", async () => {
+    const student = await createUser(db, { userType: "student", department: "EEE" });
+    const optedOut = await createUser(db, { notificationPreferences: { pushNotices: false } });
+    const outsider = await createUser(db, { userType: "faculty", department: "EEE" });
+    const browsers = {};
+    for (const [name, user] of Object.entries({ student, optedOut, outsider })) {
+      browsers[name] = createBrowser(`${pushService.origin}/${name}`);
+      await (await loginAs(app, user)).post("/push/subscriptions").send(browsers[name].subscription).expect(201);
+    }
+
+    await publishNotice();
+    const results = await notifications.processQueue();
+
+    // Emails to both students, but only one push message
+    assert.equal(results.sent, 3);
+    assert.equal(pushService.received.length, 1);
+    const [message] = pushService.received;
+    assert.equal(message.path, "/student");
+    assert.equal(message.headers["content-encoding"], "aes128gcm");
+    assert.equal(message.headers.ttl, "60");
+
+    const { publicKey, claims } = verifyVapid(message.headers.authorization, pushService.origin);
+    assert.equal(publicKey, (await request(app).get("/push/vapid-public-key")).body.publicKey);
+    assert.equal(claims.sub, testConfig.webPush.subject);
+
+    const notice = await db.collection("Notices").findOne({});
+    const payload = decryptPayload(message.body, browsers.student);
+    assert.equal(message.headers.topic, `notice-${notice._id}`);
+    assert.deepEqual(payload, {
+      type: "notice.created",
+      noticeId: notice._id.toString(),
+      title: "Mid-term schedule",
+      body: "The mid-term exams start next week.",
+      url: `https://lupulse.test/notices/${notice._id}`,
+      tag: `notice-${notice._id}`,
+    });
+  });
+
+  it("forgets expired subscriptions and retries failed deliveries", async () => {
+    const user = await createUser(db, { notificationPreferences: { emailNotices: false } });
+    const agent = await loginAs(app, user);
+    const gone = createBrowser(`${pushService.origin}/gone`);
+    const flaky = createBrowser(`${pushService.origin}/flaky`);
+    await agent.post("/push/subscriptions").send(gone.subscription).expect(201);
+    await agent.post("/push/subscriptions").send(flaky.subscription).expect(201);
+    pushService.statuses["/gone"] = 410;
+    pushService.statuses["/flaky"] = 503;
+
+    await publishNotice();
+    const now = Date.now();
+    assert.deepEqual(await notifications.processQueue({ now: new Date(now) }), {
+      sent: 0,
+      retried: 1,
+      failed: 0,
+      skipped: 1,
+    });
+
+    assert.deepEqual(
+      (await db.collection("PushSubscriptions").find({}).toArray()).map((entry) => entry.endpoint),
+      [flaky.subscription.endpoint]
+    );
+    const job = await db.collection("NotificationQueue").findOne({ endpoint: flaky.subscription.endpoint });
+    assert.equal(job.lastError, "Push service responded 503");
+
+    delete pushService.statuses["/flaky"];
+    assert.equal((await notifications.processQueue({ now: new Date(now + 60 * 1000) })).sent, 1);
+  });
+});
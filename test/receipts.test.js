@@ -0,0 +1,106 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestApp, resetDatabase, createUser, loginAs, noticeBody } = require("./helpers");
+
+describe("notice receipts", () => {
+  let app;
+  let db;
+  let close;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(() => resetDatabase(db));
+
+  const publish = async (overrides) => {
+    const admin = await createUser(db, {
+      fullName: "Registrar",
+      userType: "staff",
+      adminRole: "admin",
+      department: "CSE",
+    });
+    const agent = await loginAs(app, admin);
+    await agent.post("/notices").send(noticeBody({ requiresAck: true, ...overrides })).expect(201);
+    const notice = await db.collection("Notices").findOne({}, { sort: { _id: -1 } });
+    return { agent, notice };
+  };
+
+  it("records reads and acknowledgements and counts what is left", async () => {
+    const { notice } = await publish();
+    await publish({ title: "Library hours", requiresAck: false });
+    const student = await loginAs(app, await createUser(db, { userType: "student", department: "EEE" }));
+
+    assert.deepEqual((await student.get("/notices/unread-count").expect(200)).body, {
+      unread: 2,
+      unacknowledged: 1,
+    });
+
+    const opened = await student.get(`/notices/${notice._id}`).expect(200);
+    assert.ok(opened.body.readAt);
+    assert.equal(opened.body.acknowledgedAt, null);
+    assert.deepEqual((await student.get("/notices/unread-count")).body, { unread: 1, unacknowledged: 1 });
+
+    const ack = await student.post(`/notices/${notice._id}/ack`).expect(200);
+    assert.ok(ack.body.acknowledgedAt);
+    await student.post(`/notices/${notice._id}/ack`).expect(200);
+
+    const receipt = await db.collection("NoticeReceipts").findOne({ noticeId: notice._id });
+    assert.equal(new Date(ack.body.acknowledgedAt).getTime(), receipt.acknowledgedAt.getTime());
+    assert.deepEqual((await student.get("/notices/unread-count")).body, { unread: 1, unacknowledged: 0 });
+
+    const listed = (await student.get("/notices")).body.notices.find((entry) => entry.title === notice.title);
+    assert.equal(listed.isRead, true);
+    assert.ok(listed.acknowledgedAt);
+  });
+
+  it("only acknowledges visible notices that ask for it", async () => {
+    const { notice: plain } = await publish({ requiresAck: false });
+    const { notice: draft } = await publish({ publishAt: null });
+    const { notice: faculty } = await publish({ targetAudience: "faculty" });
+    const student = await loginAs(app, await createUser(db, { userType: "student", department: "EEE" }));
+
+    await student.post(`/notices/${plain._id}/ack`).expect(400);
+    await student.post(`/notices/${draft._id}/ack`).expect(404);
+    await student.post(`/notices/${faculty._id}/ack`).expect(404);
+  });
+
+  it("reports acknowledgement rates and who is still pending", async () => {
+    const { agent, notice } = await publish();
+    const users = [
+      await createUser(db, { fullName: "Anika", userType: "student", department: "CSE" }),
+      await createUser(db, { fullName: "Bashir", userType: "student", department: "EEE" }),
+      await createUser(db, { fullName: "Chowdhury", userType: "faculty", department: "CSE" }),
+      await createUser(db, { fullName: "Dipa", userType: "faculty", department: "BBA" }),
+    ];
+    await (await loginAs(app, users[0])).post(`/notices/${notice._id}/ack`).expect(200);
+    await (await loginAs(app, users[1])).get(`/notices/${notice._id}`).expect(200);
+
+    const res = await agent.get(`/notices/${notice._id}/acknowledgements`).expect(200);
+
+    // Students anywhere plus everyone in CSE; the BBA faculty member is not addressed
+    assert.equal(res.body.audience, 4);
+    assert.equal(res.body.read, 2);
+    assert.equal(res.body.acknowledged, 1);
+    assert.equal(res.body.acknowledgementRate, 25);
+    assert.deepEqual(
+      res.body.byUserType.map((group) => [group.userType, group.audience, group.acknowledged]),
+      [["student", 2, 1], ["faculty", 1, 0], ["staff", 1, 0]]
+    );
+    assert.deepEqual(res.body.pending.map((user) => user.fullName), ["Bashir", "Chowdhury", "Registrar"]);
+
+    const csv = await agent.get(`/notices/${notice._id}/acknowledgements?format=csv`).expect(200);
+    assert.equal(csv.text.trim().split("\r\n").length, 4);
+  });
+
+  it("limits the report to admins of the notice's department", async () => {
+    const { notice } = await publish();
+    const otherAdmin = await createUser(db, { adminRole: "admin", department: "EEE" });
+    const student = await createUser(db);
+
+    await (await loginAs(app, otherAdmin)).get(`/notices/${notice._id}/acknowledgements`).expect(403);
+    await (await loginAs(app, student)).get(`/notices/${notice._id}/acknowledgements`).expect(403);
+  });
+});
@@ -0,0 +1,209 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { setupTestApp, resetDatabase, createUser, loginAs } = require("./helpers");
+
+const seriesBody = (overrides = {}) => ({
+  name: "Robotics Club",
+  date: "2026-07-01",
+  time: "16:00",
+  endTime: "18:00",
+  venue: "Lab 4",
+  details: "Weekly build session.",
+  recurrence: { frequency: "weekly", count: 6 },
+  ...overrides,
+});
+
+// Dates of the occurrences GET /events lists for a window
+const listDates = async (app, from = "2026-06-01", to = "2026-09-30") =>
+  (await request(app).get("/events").query({ from, to }).expect(200)).body.map((event) => event.date);
+
+describe("recurring events", () => {
+  let app;
+  let db;
+  let close;
+  let agent;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(async () => {
+    await resetDatabase(db);
+    agent = await loginAs(app, await createUser(db, { adminRole: "admin", department: "CSE" }));
+  });
+
+  const createSeries = async (overrides) => {
+    await agent.post("/events").send(seriesBody(overrides)).expect(201);
+    return db.collection("Events").findOne({}, { sort: { _id: -1 } });
+  };
+
+  it("expands a series into its occurrences within the requested window", async () => {
+    const series = await createSeries();
+    await db.collection("Events").insertOne({ name: "One-off", date: "2026-07-10", time: "10:00" });
+
+    assert.equal(series.lastOccurrence, "2026-08-05");
+    assert.deepEqual(await listDates(app, "2026-07-05", "2026-07-25"), [
+      "2026-07-08",
+      "2026-07-10",
+      "2026-07-15",
+      "2026-07-22",
+    ]);
+
+    const [occurrence] = (await request(app).get("/events").query({ from: "2026-07-08", to: "2026-07-08" })).body;
+    assert.equal(occurrence._id, String(series._id));
+    assert.equal(occurrence.occurrence, "2026-07-08");
+    assert.equal(occurrence.startsAt, "2026-07-08T10:00:00.000Z");
+    assert.equal(occurrence.endsAt, "2026-07-08T12:00:00.000Z");
+
+    // Without a window the series is listed once
+    assert.equal((await request(app).get("/events")).body.length, 2);
+  });
+
+  it("skips months without the series' day", async () => {
+    await createSeries({ date: "2026-01-31", recurrence: { frequency: "monthly", until: "2026-12-31" } });
+
+    assert.deepEqual(await listDates(app, "2026-01-01", "2026-12-31"), [
+      "2026-01-31",
+      "2026-03-31",
+      "2026-05-31",
+      "2026-07-31",
+      "2026-08-31",
+      "2026-10-31",
+      "2026-12-31",
+    ]);
+  });
+
+  it("validates recurrence rules and windows", async () => {
+    const res = await agent
+      .post("/events")
+      .send(seriesBody({ recurrence: { frequency: "yearly", interval: 0 } }))
+      .expect(400);
+    assert.deepEqual(res.body.errors.map((error) => error.field).sort(), [
+      "recurrence.frequency",
+      "recurrence.interval",
+    ]);
+
+    await agent
+      .post("/events")
+      .send(seriesBody({ recurrence: { frequency: "daily", until: "2026-08-01", count: 3 } }))
+      .expect(400);
+    await agent
+      .post("/events")
+      .send(seriesBody({ recurrence: { frequency: "daily", until: "2035-01-01" } }))
+      .expect(400);
+
+    await request(app).get("/events").query({ from: "2026-01-01", to: "2027-06-01" }).expect(400);
+  });
+
+  it("changes and cancels single occurrences", async () => {
+    const series = await createSeries();
+
+    const res = await agent
+      .put(`/events/${series._id}`)
+      .query({ scope: "occurrence", occurrence: "2026-07-15" })
+      .send(seriesBody({ date: "2026-07-16", venue: "Main Auditorium", recurrence: undefined }))
+      .expect(200);
+    assert.equal(res.body.event.venue, "Main Auditorium");
+    assert.equal(res.body.event.isModified, true);
+
+    await agent
+      .delete(`/events/${series._id}`)
+      .query({ scope: "occurrence", occurrence: "2026-07-22" })
+      .expect(200);
+
+    const occurrences = (await request(app).get("/events").query({ from: "2026-07-01", to: "2026-08-31" })).body;
+    assert.deepEqual(
+      occurrences.map((event) => [event.date, event.venue]),
+      [
+        ["2026-07-01", "Lab 4"],
+        ["2026-07-08", "Lab 4"],
+        ["2026-07-16", "Main Auditorium"],
+        ["2026-07-29", "Lab 4"],
+        ["2026-08-05", "Lab 4"],
+      ]
+    );
+
+    // Cancelled occurrences can no longer be addressed
+    await agent
+      .delete(`/events/${series._id}`)
+      .query({ scope: "occurrence", occurrence: "2026-07-22" })
+      .expect(404);
+  });
+
+  it("splits a series when this and following occurrences change", async () => {
+    const series = await createSeries();
+    await agent
+      .delete(`/events/${series._id}`)
+      .query({ scope: "occurrence", occurrence: "2026-07-29" })
+      .expect(200);
+
+    const res = await agent
+      .put(`/events/${series._id}`)
+      .query({ scope: "following", occurrence: "2026-07-22" })
+      .send(seriesBody({ date: "2026-07-22", time: "17:00", recurrence: undefined }))
+      .expect(200);
+
+    assert.deepEqual(res.body.event.recurrence, { frequency: "weekly", interval: 1, until: null, count: 3 });
+    assert.deepEqual(res.body.event.exceptions, ["2026-07-29"]);
+
+    const original = await db.collection("Events").findOne({ _id: series._id });
+    assert.equal(original.recurrence.until, "2026-07-21");
+    assert.equal(original.lastOccurrence, "2026-07-15");
+
+    const occurrences = (await request(app).get("/events").query({ from: "2026-07-01", to: "2026-08-31" })).body;
+    assert.deepEqual(
+      occurrences.map((event) => `${event.date} ${event.time}`),
+      ["2026-07-01 16:00", "2026-07-08 16:00", "2026-07-15 16:00", "2026-07-22 17:00", "2026-08-05 17:00"]
+    );
+  });
+
+  it("ends a series when this and following occurrences are deleted", async () => {
+    const series = await createSeries();
+
+    await agent
+      .delete(`/events/${series._id}`)
+      .query({ scope: "following", occurrence: "2026-07-15" })
+      .expect(200);
+    assert.deepEqual(await listDates(app), ["2026-07-01", "2026-07-08"]);
+
+    await agent
+      .delete(`/events/${series._id}`)
+      .query({ scope: "following", occurrence: "2026-07-01" })
+      .expect(200);
+    assert.equal(await db.collection("Events").countDocuments(), 0);
+  });
+
+  it("rejects scopes that do not fit the event", async () => {
+    const series = await createSeries();
+    const { insertedId } = await db
+      .collection("Events")
+      .insertOne({ ...seriesBody({ recurrence: null }), department: "CSE" });
+
+    await agent.delete(`/events/${insertedId}`).query({ scope: "occurrence", occurrence: "2026-07-01" }).expect(400);
+    await agent.delete(`/events/${series._id}`).query({ scope: "occurrence" }).expect(400);
+    await agent.delete(`/events/${series._id}`).query({ scope: "occurrence", occurrence: "2026-07-02" }).expect(404);
+  });
+
+  it("publishes series with their rule, cancellations and changes", async () => {
+    const series = await createSeries();
+    await agent
+      .delete(`/events/${series._id}`)
+      .query({ scope: "occurrence", occurrence: "2026-07-22" })
+      .expect(200);
+    await agent
+      .put(`/events/${series._id}`)
+      .query({ scope: "occurrence", occurrence: "2026-07-15" })
+      .send(seriesBody({ date: "2026-07-15", time: "17:30", recurrence: undefined }))
+      .expect(200);
+
+    const lines = (await request(app).get(`/events/${series._id}.ics`).expect(200)).text.split("\r\n");
+
+    assert.ok(lines.includes("RRULE:FREQ=WEEKLY;INTERVAL=1;COUNT=6"));
+    assert.ok(lines.includes("EXDATE;TZID=Asia/Dhaka:20260722T160000"));
+    assert.ok(lines.includes("RECURRENCE-ID;TZID=Asia/Dhaka:20260715T160000"));
+    assert.ok(lines.includes("DTSTART;TZID=Asia/Dhaka:20260715T173000"));
+  });
+});
@@ -0,0 +1,203 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { setupTestApp, resetDatabase, createUser, loginAs } = require("./helpers");
+
+describe("event registration", () => {
+  let app;
+  let db;
+  let close;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(() => resetDatabase(db));
+
+  const createEvent = async (overrides = {}) => {
+    const admin = await createUser(db, { adminRole: "admin", department: "CSE" });
+    const res = await (await loginAs(app, admin))
+      .post("/events")
+      .send({
+        name: "Hackathon",
+        date: "2026-07-01",
+        time: "09:00",
+        venue: "Lab 3",
+        details: "24 hour hackathon.",
+        ...overrides,
+      })
+      .expect(201);
+    const event = await db.collection("Events").findOne({ name: res.body.event.name });
+    return { admin, event };
+  };
+
+  it("stores capacity and deadline and reports seats remaining", async () => {
+    const { event } = await createEvent({ capacity: 2, registrationDeadline: "2099-01-01T00:00:00Z" });
+
+    assert.equal(event.capacity, 2);
+    assert.ok(event.registrationDeadline instanceof Date);
+
+    const res = await request(app).get(`/events/${event._id}`).expect(200);
+    assert.equal(res.body.seatsRemaining, 2);
+    assert.equal(res.body.isRegistered, false);
+    assert.equal(res.body.registration, null);
+  });
+
+  it("reads a deadline without a UTC offset in the configured time zone", async () => {
+    const { event } = await createEvent({ registrationDeadline: "2099-01-01" });
+
+    // Midnight in Asia/Dhaka (UTC+6)
+    assert.equal(event.registrationDeadline.toISOString(), "2098-12-31T18:00:00.000Z");
+  });
+
+  it("validates capacity", async () => {
+    const admin = await createUser(db, { adminRole: "admin" });
+
+    const res = await (await loginAs(app, admin))
+      .post("/events")
+      .send({ name: "X", date: "2026-07-01", time: "09:00", venue: "Y", details: "Z", capacity: 0 })
+      .expect(400);
+
+    assert.deepEqual(res.body.errors, [{ field: "capacity", message: "must be at least 1" }]);
+  });
+
+  it("registers users until full, then waitlists them", async () => {
+    const { event } = await createEvent({ capacity: 1 });
+    const first = await loginAs(app, await createUser(db));
+    const second = await loginAs(app, await createUser(db));
+
+    const registered = await first.post(`/events/${event._id}/registration`).expect(201);
+    assert.equal(registered.body.registration.status, "registered");
+
+    const waitlisted = await second.post(`/events/${event._id}/registration`).expect(201);
+    assert.equal(waitlisted.body.registration.status, "waitlisted");
+    assert.equal(waitlisted.body.registration.waitlistPosition, 1);
+
+    const details = await first.get(`/events/${event._id}`).expect(200);
+    assert.equal(details.body.seatsRemaining, 0);
+    assert.equal(details.body.waitlistCount, 1);
+    assert.equal(details.body.isRegistered, true);
+
+    await first.post(`/events/${event._id}/registration`).expect(409);
+  });
+
+  it("promotes the oldest waitlisted user when a seat frees up", async () => {
+    const { event } = await createEvent({ capacity: 1 });
+    const first = await loginAs(app, await createUser(db));
+    const secondUser = await createUser(db);
+    const second = await loginAs(app, secondUser);
+    const third = await loginAs(app, await createUser(db));
+
+    await first.post(`/events/${event._id}/registration`).expect(201);
+    await second.post(`/events/${event._id}/registration`).expect(201);
+    await third.post(`/events/${event._id}/registration`).expect(201);
+
+    await first.delete(`/events/${event._id}/registration`).expect(200);
+
+    const promoted = await second.get(`/events/${event._id}`).expect(200);
+    assert.equal(promoted.body.isRegistered, true);
+    assert.equal(promoted.body.seatsRemaining, 0);
+
+    const stillWaiting = await third.get(`/events/${event._id}`).expect(200);
+    assert.equal(stillWaiting.body.registration.status, "waitlisted");
+    assert.equal(stillWaiting.body.registration.waitlistPosition, 1);
+
+    const stored = await db.collection("Registrations").findOne({ email: secondUser.email });
+    assert.ok(stored.promotedAt);
+  });
+
+  it("promotes the waitlist when an admin raises the capacity", async () => {
+    const { admin, event } = await createEvent({ capacity: 1 });
+    const first = await loginAs(app, await createUser(db));
+    const second = await loginAs(app, await createUser(db));
+    await first.post(`/events/${event._id}/registration`).expect(201);
+    await second.post(`/events/${event._id}/registration`).expect(201);
+
+    await (await loginAs(app, admin))
+      .put(`/events/${event._id}`)
+      .send({
+        name: event.name,
+        date: event.date,
+        time: event.time,
+        venue: event.venue,
+        details: event.details,
+        capacity: 5,
+      })
+      .expect(200);
+
+    const res = await second.get(`/events/${event._id}`).expect(200);
+    assert.equal(res.body.isRegistered, true);
+    assert.equal(res.body.seatsRemaining, 3);
+  });
+
+  it("lets users re-register after cancelling", async () => {
+    const { event } = await createEvent();
+    const agent = await loginAs(app, await createUser(db));
+
+    await agent.post(`/events/${event._id}/registration`).expect(201);
+    await agent.delete(`/events/${event._id}/registration`).expect(200);
+    await agent.delete(`/events/${event._id}/registration`).expect(404);
+    await agent.post(`/events/${event._id}/registration`).expect(201);
+
+    assert.equal(await db.collection("Registrations").countDocuments(), 1);
+  });
+
+  it("closes registration after the deadline", async () => {
+    const { event } = await createEvent({ registrationDeadline: "2020-01-01" });
+    const agent = await loginAs(app, await createUser(db));
+
+    await agent.post(`/events/${event._id}/registration`).expect(403);
+  });
+
+  it("requires login to register", async () => {
+    const { event } = await createEvent();
+
+    await request(app).post(`/events/${event._id}/registration`).expect(401);
+  });
+
+  describe("GET /events/:id/attendees", () => {
+    it("lists attendees for the event's department admins, with CSV export", async () => {
+      const { admin, event } = await createEvent({ capacity: 1 });
+      const first = await createUser(db, { fullName: "First, Student" });
+      const second = await createUser(db);
+      await (await loginAs(app, second)).post(`/events/${event._id}/registration`);
+      await (await loginAs(app, first)).post(`/events/${event._id}/registration`);
+      const agent = await loginAs(app, admin);
+
+      const res = await agent.get(`/events/${event._id}/attendees`).expect(200);
+      assert.deepEqual(
+        res.body.attendees.map((attendee) => [attendee.email, attendee.status]),
+        [[second.email, "registered"], [first.email, "waitlisted"]]
+      );
+
+      const waitlist = await agent.get(`/events/${event._id}/attendees?status=waitlisted`).expect(200);
+      assert.equal(waitlist.body.attendees.length, 1);
+
+      const csv = await agent.get(`/events/${event._id}/attendees?format=csv`).expect(200);
+      assert.match(csv.headers["content-type"], /text\/csv/);
+      const lines = csv.text.trim().split("\r\n");
+      assert.equal(lines.length, 3);
+      assert.ok(lines[2].includes('"First, Student"'));
+    });
+
+    it("is restricted to admins of the event's department", async () => {
+      const { event } = await createEvent();
+      const otherAdmin = await createUser(db, { adminRole: "admin", department: "EEE" });
+      const student = await createUser(db);
+
+      await (await loginAs(app, otherAdmin)).get(`/events/${event._id}/attendees`).expect(403);
+      await (await loginAs(app, student)).get(`/events/${event._id}/attendees`).expect(403);
+    });
+  });
+
+  it("removes registrations with the event", async () => {
+    const { admin, event } = await createEvent();
+    await (await loginAs(app, await createUser(db))).post(`/events/${event._id}/registration`);
+
+    await (await loginAs(app, admin)).delete(`/events/${event._id}`).expect(200);
+
+    assert.equal(await db.collection("Registrations").countDocuments(), 0);
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestApp, resetDatabase, createUser, loginAs } = require("./helpers");
+
+describe("roles", () => {
+  let app;
+  let db;
+  let close;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(() => resetDatabase(db));
+
+  it("is restricted to roles:manage", async () => {
+    const admin = await createUser(db, { adminRole: "admin" });
+
+    await (await loginAs(app, admin)).get("/roles").expect(403);
+  });
+
+  it("lists the built-in roles and known permissions", async () => {
+    const superadmin = await createUser(db, { adminRole: "superadmin" });
+
+    const res = await (await loginAs(app, superadmin)).get("/roles").expect(200);
+
+    assert.deepEqual(res.body.roles.map((role) => role.name), ["admin", "superadmin", "user"]);
+    assert.ok(res.body.permissions.includes("roles:manage"));
+  });
+
+  it("creates a department-scoped role that grants its permissions", async () => {
+    const superadmin = await createUser(db, { adminRole: "superadmin" });
+    const editor = await createUser(db, { adminRole: "eee-editor", department: "CSE" });
+    const agent = await loginAs(app, superadmin);
+
+    const res = await agent
+      .post("/roles")
+      .send({ name: "eee-editor", permissions: ["notices:write"], department: "EEE" })
+      .expect(201);
+    assert.deepEqual(res.body.role.permissions, ["notices:write@EEE"]);
+
+    const editorAgent = await loginAs(app, editor);
+    const notice = {
+      title: "Lab closed",
+      category: "General",
+      description: "The EEE lab is closed today.",
+      date: "2026-02-02",
+      targetAudience: "All",
+    };
+    await editorAgent.post("/notices").send({ ...notice, department: "EEE" }).expect(201);
+    await editorAgent.post("/notices").send({ ...notice, department: "CSE" }).expect(403);
+  });
+
+  it("rejects unknown permissions and duplicate names", async () => {
+    const superadmin = await createUser(db, { adminRole: "superadmin" });
+    const agent = await loginAs(app, superadmin);
+
+    await agent.post("/roles").send({ name: "mystery", permissions: ["fly"] }).expect(400);
+    await agent.post("/roles").send({ name: "admin", permissions: [] }).expect(409);
+  });
+
+  it("validates role descriptions and departments", async () => {
+    const superadmin = await createUser(db, { adminRole: "superadmin" });
+    const agent = await loginAs(app, superadmin);
+
+    const res = await agent
+      .post("/roles")
+      .send({ name: "lab-editor", description: 42, permissions: ["notices:write"], department: ["EEE"] })
+      .expect(400);
+    assert.deepEqual(res.body.errors.map((error) => error.field), ["description", "department"]);
+
+    await agent.post("/roles").send({ name: "lab-editor", permissions: ["notices:write"] }).expect(201);
+    await agent.patch("/roles/lab-editor").send({ department: { $ne: null } }).expect(400);
+  });
+
+  it("protects built-in roles and roles still in use", async () => {
+    const superadmin = await createUser(db, { adminRole: "superadmin" });
+    const agent = await loginAs(app, superadmin);
+
+    await agent.patch("/roles/admin").send({ description: "changed" }).expect(403);
+    await agent.delete("/roles/admin").expect(403);
+
+    await agent.post("/roles").send({ name: "moderator", permissions: ["users:read"] }).expect(201);
+    await createUser(db, { adminRole: "moderator" });
+    await agent.delete("/roles/moderator").expect(400);
+  });
+
+  it("moves scoped grants when a role changes department", async () => {
+    const superadmin = await createUser(db, { adminRole: "superadmin" });
+    const agent = await loginAs(app, superadmin);
+
+    await agent
+      .post("/roles")
+      .send({ name: "dept-editor", permissions: ["notices:write", "audit:read"], department: "CSE" })
+      .expect(201);
+
+    const res = await agent.patch("/roles/dept-editor").send({ department: "BBA" }).expect(200);
+
+    assert.deepEqual(res.body.role.permissions, ["notices:write@BBA", "audit:read@BBA"]);
+  });
+});
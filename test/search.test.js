@@ -0,0 +1,159 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { setupTestApp, resetDatabase, createUser, loginAs } = require("./helpers");
+
+describe("search", () => {
+  let app;
+  let db;
+  let close;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(async () => {
+    await resetDatabase(db);
+    await db.collection("Notices").insertMany([
+      {
+        title: "Final exam routine",
+        category: "Exam",
+        description: "The final exam routine for Spring 2026 has been published.",
+        date: "2026-05-01",
+        targetAudience: "All",
+        department: "CSE",
+      },
+      {
+        title: "Library hours",
+        category: "General",
+        description: "The library stays open late during exam week.",
+        date: "2026-04-20",
+        targetAudience: "All",
+        department: "BBA",
+      },
+      {
+        title: "Exam duty roster",
+        category: "Administrative",
+        description: "Invigilation duties for <faculty> members.",
+        date: "2026-04-25",
+        targetAudience: "faculty",
+        department: "EEE",
+      },
+    ]);
+    await db.collection("Events").insertMany([
+      {
+        name: "Robotics Workshop",
+        date: "2026-05-10",
+        time: "10:00",
+        venue: "Robotics Lab",
+        details: "Hands-on workshop on line-following robots.",
+        department: "EEE",
+      },
+      {
+        name: "Career Fair",
+        date: "2026-06-01",
+        time: "09:00",
+        venue: "Main Field",
+        details: "Meet recruiters from robotics and software companies.",
+        department: "BBA",
+      },
+    ]);
+  });
+
+  it("ranks title matches first and highlights the matching words", async () => {
+    const admin = await createUser(db, { adminRole: "admin" });
+
+    const res = await (await loginAs(app, admin)).get("/notices?q=exam").expect(200);
+
+    assert.equal(res.body.notices.length, 3);
+    assert.equal(res.body.notices.at(-1).title, "Library hours");
+    assert.ok(res.body.notices.every((notice) => typeof notice.score === "number"));
+    assert.equal(res.body.notices.at(-1).highlights.description, "The library stays open late during <mark>exam</mark> week.");
+  });
+
+  it("escapes HTML in snippets", async () => {
+    const admin = await createUser(db, { adminRole: "admin" });
+
+    const res = await (await loginAs(app, admin)).get("/notices?q=invigilation").expect(200);
+
+    assert.equal(
+      res.body.notices[0].highlights.description,
+      "<mark>Invigilation</mark> duties for &#60;faculty&#62; members."
+    );
+  });
+
+  it("keeps the audience rules for non-admins", async () => {
+    const student = await createUser(db, { userType: "student", department: "CSE" });
+
+    const res = await (await loginAs(app, student)).get("/notices?q=exam").expect(200);
+
+    assert.deepEqual(
+      res.body.notices.map((notice) => notice.title).sort(),
+      ["Final exam routine", "Library hours"]
+    );
+  });
+
+  it("filters notices by category, department and date range", async () => {
+    const admin = await createUser(db, { adminRole: "admin" });
+    const agent = await loginAs(app, admin);
+
+    const byCategory = await agent.get("/notices?q=exam&category=Exam").expect(200);
+    assert.deepEqual(byCategory.body.notices.map((notice) => notice.title), ["Final exam routine"]);
+
+    const byDepartment = await agent.get("/notices?department=BBA").expect(200);
+    assert.deepEqual(byDepartment.body.notices.map((notice) => notice.title), ["Library hours"]);
+
+    const byDate = await agent.get("/notices?from=2026-04-21&to=2026-04-25").expect(200);
+    assert.deepEqual(byDate.body.notices.map((notice) => notice.title), ["Exam duty roster"]);
+  });
+
+  it("rejects invalid filters", async () => {
+    const admin = await createUser(db, { adminRole: "admin" });
+    const agent = await loginAs(app, admin);
+
+    const res = await agent.get("/notices?category=Gossip&from=soon").expect(400);
+    assert.deepEqual(res.body.errors.map((error) => error.field).sort(), ["category", "from"]);
+  });
+
+  it("searches events by name, venue and details without login", async () => {
+    const res = await request(app).get("/events?q=robotics").expect(200);
+
+    assert.deepEqual(res.body.map((event) => event.name), ["Robotics Workshop", "Career Fair"]);
+    assert.equal(res.body[0].highlights.venue, "<mark>Robotics</mark> Lab");
+
+    const filtered = await request(app).get("/events?q=robotics&department=BBA").expect(200);
+    assert.deepEqual(filtered.body.map((event) => event.name), ["Career Fair"]);
+  });
+
+  describe("GET /search", () => {
+    it("searches notices and events together", async () => {
+      const user = await createUser(db, { userType: "faculty", department: "EEE" });
+
+      const res = await (await loginAs(app, user)).get("/search?q=exam workshop").expect(200);
+
+      assert.equal(res.body.query, "exam workshop");
+      assert.equal(res.body.notices.length, 3);
+      assert.deepEqual(res.body.events.map((event) => event.name), ["Robotics Workshop"]);
+    });
+
+    it("limits results and narrows by type", async () => {
+      const user = await createUser(db);
+      const agent = await loginAs(app, user);
+
+      const res = await agent.get("/search?q=exam&type=notices&limit=1").expect(200);
+
+      assert.equal(res.body.notices.length, 1);
+      assert.deepEqual(res.body.events, []);
+      await agent.get("/search?q=exam&limit=500").expect(400);
+    });
+
+    it("requires a query and a login", async () => {
+      const user = await createUser(db);
+
+      await request(app).get("/search?q=exam").expect(401);
+      await (await loginAs(app, user)).get("/search").expect(400);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const request = require("supertest");
+const { getCollections } = require("../src/db");
+const { createStreamService } = require("../src/services/stream");
+const {
+  testConfig,
+  setupTestApp,
+  resetDatabase,
+  createUser,
+  noticeBody,
+  eventBody,
+  loginAs,
+  signIdToken,
+  getCookie,
+} = require("./helpers");
+
+// Parses the Server-Sent Events in `text`, skipping comments and the retry hint
+const parseEvents = (text) =>
+  text
+    .split("\n\n")
+    .map((block) => Object.fromEntries(
+      block
+        .split("\n")
+        .filter((line) => /^(id|event|data): /.test(line))
+        .map((line) => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 2)])
+    ))
+    .filter((event) => event.event)
+    .map((event) => ({ id: Number(event.id), event: event.event, data: JSON.parse(event.data) }));
+
+describe("live updates", () => {
+  let app;
+  let db;
+  let broker;
+  let close;
+  let server;
+  let streams;
+
+  before(async () => {
+    ({ app, db, broker, close } = await setupTestApp());
+    server = app.listen(0);
+  });
+
+  after(async () => {
+    server.close();
+    await close();
+  });
+
+  beforeEach(async () => {
+    streams = [];
+    await resetDatabase(db);
+  });
+
+  afterEach(() => streams.forEach((stream) => stream.close()));
+
+  // Opens GET /stream as `user` and collects what arrives
+  const openStream = async (user, headers = {}) => {
+    const login = await request(app).post("/login").send({ idToken: signIdToken({ email: user.email }) });
+    const token = getCookie(login, "token");
+
+    return new Promise((resolve, reject) => {
+      const req = http.get(
+        { port: server.address().port, path: "/stream", headers: { Cookie: `token=${token}`, ...headers } },
+        (res) => {
+          let text = "";
+          const stream = {
+            res,
+            events: () => parseEvents(text),
+            // Resolves once `count` events have arrived
+            waitFor: (count) =>
+              new Promise((done, fail) => {
+                const check = () => {
+                  if (parseEvents(text).length >= count) {
+                    clearTimeout(timer);
+                    res.off("data", check);
+                    done(parseEvents(text));
+                  }
+                };
+                const timer = setTimeout(() => {
+                  res.off("data", check);
+                  fail(new Error(`Expected ${count} events, got ${JSON.stringify(parseEvents(text))}`));
+                }, 2000);
+                res.on("data", check);
+                check();
+              }),
+            close: () => req.destroy(),
+          };
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            text += chunk;
+          });
+          streams.push(stream);
+          // The retry hint is written first, once the stream is subscribed
+          res.once("data", () => setImmediate(() => resolve(stream)));
+        }
+      );
+      req.on("error", reject);
+    });
+  };
+
+  const adminAgent = async () =>
+    loginAs(app, await createUser(db, { adminRole: "superadmin", userType: "staff", department: "BBA" }));
+
+  it("requires login", async () => {
+    await request(app).get("/stream").expect(401);
+  });
+
+  it("ends the stream once its session is revoked", async () => {
+    const user = await createUser(db, { userType: "student", department: "CSE" });
+    const stream = await openStream(user);
+    const ended = new Promise((resolve) => stream.res.on("end", resolve));
+
+    // Still open after a heartbeat
+    await new Promise((resolve) => setTimeout(resolve, testConfig.stream.heartbeatMs * 2));
+    assert.equal(stream.res.complete, false);
+
+    await (await loginAs(app, user)).delete(`/users/${user.email}/sessions`).expect(200);
+    await ended;
+    assert.equal(stream.res.complete, true);
+  });
+
+  it("pushes notices to their audience and events to everyone", async () => {
+    const student = await openStream(await createUser(db, { userType: "student", department: "EEE" }));
+    const faculty = await openStream(await createUser(db, { userType: "faculty", department: "EEE" }));
+    assert.equal(student.res.headers["content-type"], "text/event-stream");
+
+    const admin = await adminAgent();
+    await admin.post("/notices").send(noticeBody()).expect(201);
+    await admin.post("/events").send(eventBody()).expect(201);
+
+    const [notice, event] = await student.waitFor(2);
+    assert.equal(notice.event, "notice.created");
+    assert.equal(notice.data.title, "Mid-term schedule");
+    assert.equal(notice.data.status, "live");
+    assert.equal(event.event, "event.created");
+    assert.equal(event.data.name, "Programming Contest");
+    assert.equal(event.id, notice.id + 1);
+
+    // The faculty member is not in the notice's audience
+    assert.deepEqual((await faculty.waitFor(1)).map((entry) => entry.event), ["event.created"]);
+  });
+
+  it("tells readers who lose sight of a notice that it is gone", async () => {
+    const student = await openStream(await createUser(db, { userType: "student", department: "EEE" }));
+    const admin = await adminAgent();
+    const { body } = await admin.post("/notices").send(noticeBody()).expect(201);
+    const notice = await db.collection("Notices").findOne({ title: body.notice.title });
+
+    await admin.put(`/notices/${notice._id}`).send(noticeBody({ title: "Lab open" })).expect(200);
+    await admin.put(`/notices/${notice._id}`).send(noticeBody({ targetAudience: "faculty" })).expect(200);
+    await admin.delete(`/notices/${notice._id}`).expect(200);
+
+    const events = await student.waitFor(3);
+    assert.deepEqual(
+      events.map((entry) => [entry.event, entry.data.title ?? null]),
+      [["notice.created", "Mid-term schedule"], ["notice.updated", "Lab open"], ["notice.deleted", null]]
+    );
+    assert.equal(events[2].data._id, notice._id.toString());
+
+    // Not told twice: the notice was already gone from their view
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(student.events().length, 3);
+  });
+
+  it("replays missed changes after Last-Event-ID, or asks for a reload when they expired", async () => {
+    const user = await createUser(db, { userType: "student", department: "CSE" });
+    const admin = await adminAgent();
+    for (const name of ["First", "Second", "Third"]) {
+      await admin.post("/events").send(eventBody({ name })).expect(201);
+    }
+
+    const resumed = await openStream(user, { "Last-Event-ID": "1" });
+    await admin.post("/events").send(eventBody({ name: "Fourth" })).expect(201);
+    assert.deepEqual(
+      (await resumed.waitFor(3)).map((entry) => [entry.id, entry.data.name]),
+      [[2, "Second"], [3, "Third"], [4, "Fourth"]]
+    );
+
+    await db.collection("StreamEvents").deleteMany({ _id: { $lte: 2 } });
+    const stale = await openStream(user, { "Last-Event-ID": "1" });
+    assert.deepEqual(await stale.waitFor(1), [{ id: 4, event: "reset", data: {} }]);
+  });
+
+  it("announces scheduled notices once they go live", async () => {
+    const stream = createStreamService({ collections: getCollections(db), config: testConfig, broker });
+    const student = await openStream(await createUser(db, { userType: "student", department: "CSE" }));
+    const admin = await adminAgent();
+    const publishAt = new Date(Date.now() + 300);
+
+    await stream.announceScheduledNotices();
+    await admin.post("/notices").send(noticeBody({ title: "Later", publishAt: publishAt.toISOString() })).expect(201);
+    await admin.post("/notices").send(noticeBody({ title: "Now" })).expect(201);
+
+    assert.equal(await stream.announceScheduledNotices(), 0);
+    await new Promise((resolve) => setTimeout(resolve, publishAt - Date.now() + 10));
+    assert.equal(await stream.announceScheduledNotices(), 1);
+    assert.equal(await stream.announceScheduledNotices(), 0);
+
+    const events = await student.waitFor(2);
+    assert.deepEqual(events.map((entry) => [entry.event, entry.data.title]), [
+      ["notice.created", "Now"],
+      ["notice.created", "Later"],
+    ]);
+  });
+});
@@ -0,0 +1,159 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const request = require("supertest");
+const { getCollections } = require("../src/db");
+const { createUploadService } = require("../src/services/uploads");
+const { testConfig, setupTestApp, resetDatabase, createUser, loginAs } = require("./helpers");
+
+const createImage = (width, height, format = "png") =>
+  sharp({ create: { width, height, channels: 3, background: "#3366cc" } })[format]().toBuffer();
+
+// Path of an image URL served by the test app
+const imagePath = (url) => new URL(url).pathname;
+
+describe("image uploads", () => {
+  let app;
+  let db;
+  let images;
+  let close;
+
+  before(async () => {
+    ({ app, db, images, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(() => resetDatabase(db));
+
+  it("requires login", async () => {
+    await request(app).post("/upload-image").attach("image", await createImage(10, 10), "photo.png").expect(401);
+  });
+
+  it("stores images, records who uploaded them and serves them back", async () => {
+    const user = await createUser(db);
+    const image = await createImage(40, 30, "jpeg");
+
+    const res = await (await loginAs(app, user))
+      .post("/upload-image")
+      .attach("image", image, "photo.png")
+      .expect(200);
+
+    const upload = await db.collection("Uploads").findOne({});
+    assert.equal(res.body.imageUrl, upload.url);
+    assert.ok(upload.url.startsWith(`${testConfig.publicUrl}/images/`));
+    assert.equal(upload.key, `${upload._id}.jpg`);
+    assert.deepEqual(
+      { contentType: upload.contentType, width: upload.width, height: upload.height, uploadedBy: upload.uploadedBy },
+      { contentType: "image/jpeg", width: 40, height: 30, uploadedBy: user.email }
+    );
+
+    const served = await request(app).get(imagePath(upload.url)).expect(200);
+    assert.equal(served.headers["content-type"], "image/jpeg");
+    assert.deepEqual(served.body, image);
+  });
+
+  it("stores every image in standard sizes with a placeholder", async () => {
+    const agent = await loginAs(app, await createUser(db));
+
+    const res = await agent
+      .post("/upload-image")
+      .attach("image", await createImage(240, 160, "jpeg"), "poster.jpg")
+      .expect(200);
+
+    const { original, avatar, thumbnail, large, placeholder } = res.body.images;
+    assert.deepEqual(original, { url: res.body.imageUrl, width: 240, height: 160 });
+    assert.deepEqual([avatar.width, avatar.height], [128, 128]);
+    assert.deepEqual([thumbnail.width, thumbnail.height], [480, 320]);
+    // Not enlarged beyond the original
+    assert.deepEqual([large.width, large.height], [240, 160]);
+    assert.match(placeholder, /^[0-9A-Za-z#$%*+,\-.:;=?@[\]^_{|}~]{28}$/);
+
+    for (const variant of [avatar, thumbnail, large]) {
+      const served = await request(app).get(imagePath(variant.url)).expect(200);
+      assert.equal(served.headers["content-type"], "image/webp");
+      const metadata = await sharp(served.body).metadata();
+      assert.deepEqual([metadata.format, metadata.width, metadata.height], ["webp", variant.width, variant.height]);
+    }
+  });
+
+  it("shows users', notices' and events' images in every size", async () => {
+    const user = await createUser(db, { adminRole: "superadmin", userType: "staff" });
+    const agent = await loginAs(app, user);
+    const { imageUrl, images } = (
+      await agent.post("/upload-image").attach("image", await createImage(60, 60), "me.png").expect(200)
+    ).body;
+
+    await agent.patch(`/users/${user.email}`).send({ fullName: "Me", designation: "Registrar", image: imageUrl }).expect(200);
+    const profile = (await agent.get(`/users/${user.email}`).expect(200)).body;
+    assert.equal(profile.image, undefined);
+    assert.deepEqual(profile.images, images);
+
+    const notice = {
+      title: "Convocation",
+      category: "General",
+      description: "Gowns are ready for collection.",
+      date: "2026-03-01",
+      targetAudience: "All",
+      department: "CSE",
+    };
+    await agent.post("/notices").send({ ...notice, image: imageUrl }).expect(201);
+    // Images from before uploads were recorded are only known in one size
+    await agent.post("/notices").send({ ...notice, image: "https://res.cloudinary.com/lupulse/old.jpg" }).expect(201);
+    await agent.post("/notices").send(notice).expect(201);
+
+    const listed = (await agent.get("/notices").expect(200)).body.notices;
+    const legacy = { url: "https://res.cloudinary.com/lupulse/old.jpg", width: null, height: null };
+    assert.deepEqual(
+      listed.map((entry) => entry.images),
+      [null, { original: legacy, avatar: legacy, thumbnail: legacy, large: legacy, placeholder: null }, images]
+    );
+  });
+
+  it("rejects files that are not images or are too large", async () => {
+    const agent = await loginAs(app, await createUser(db));
+    const { maxBytes, maxDimension } = testConfig.images;
+
+    await agent.post("/upload-image").expect(400);
+    const rejected = [
+      ["not an image", Buffer.from("<svg onload=alert(1)>"), "photo.png"],
+      ["a truncated image", (await createImage(10, 10)).subarray(0, 20), "photo.png"],
+      ["too many pixels", await createImage(maxDimension + 1, 10), "wide.png"],
+      ["too many bytes", Buffer.concat([await createImage(10, 10), Buffer.alloc(maxBytes)]), "big.png"],
+    ];
+    for (const [reason, contents, name] of rejected) {
+      const res = await agent.post("/upload-image").attach("image", contents, name);
+      assert.equal(res.status, 400, reason);
+    }
+
+    assert.equal(await db.collection("Uploads").countDocuments(), 0);
+  });
+
+  it("deletes old images that nothing refers to", async () => {
+    const agent = await loginAs(app, await createUser(db));
+    const upload = async () =>
+      (await agent.post("/upload-image").attach("image", await createImage(10, 10), "photo.png").expect(200)).body.imageUrl;
+    const [avatar, poster, override, orphan] = [await upload(), await upload(), await upload(), await upload()];
+
+    await db.collection("Users").insertOne({ email: "someone@lus.ac.bd", image: avatar });
+    await db.collection("Events").insertOne({
+      name: "Fair",
+      image: poster,
+      overrides: [{ occurrence: "2026-03-01", image: override }],
+    });
+
+    const { reapOrphans } = createUploadService({ collections: getCollections(db), config: testConfig, images });
+    // Too recent to be reaped yet
+    assert.deepEqual(await reapOrphans(), { removed: 0 });
+
+    const later = new Date(Date.now() + testConfig.images.orphanGraceMs + 1000);
+    assert.deepEqual(await reapOrphans({ now: later }), { removed: 1 });
+    assert.deepEqual(
+      (await db.collection("Uploads").find({}).toArray()).map((entry) => entry.url).sort(),
+      [avatar, poster, override].sort()
+    );
+    await request(app).get(imagePath(orphan)).expect(404);
+    await request(app).get(imagePath(orphan.replace(/\.png$/, "-thumbnail.webp"))).expect(404);
+    await request(app).get(imagePath(avatar)).expect(200);
+  });
+});
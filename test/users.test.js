@@ -0,0 +1,219 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { setupTestApp, resetDatabase, createUser, loginAs } = require("./helpers");
+
+describe("users", () => {
+  let app;
+  let db;
+  let close;
+
+  before(async () => {
+    ({ app, db, close } = await setupTestApp());
+  });
+
+  after(() => close());
+
+  beforeEach(() => resetDatabase(db));
+
+  describe("GET /users", () => {
+    it("requires a logged-in admin", async () => {
+      const student = await createUser(db);
+
+      await request(app).get("/users").expect(401);
+      await (await loginAs(app, student)).get("/users").expect(403);
+    });
+
+    it("paginates and reports totals", async () => {
+      const admin = await createUser(db, { adminRole: "admin", fullName: "Admin" });
+      for (let i = 0; i < 4; i += 1) {
+        await createUser(db, { fullName: `Student ${i}` });
+      }
+      const agent = await loginAs(app, admin);
+
+      const res = await agent.get("/users?page=2&limit=2").expect(200);
+
+      assert.equal(res.body.users.length, 2);
+      assert.deepEqual(res.body.pagination, { page: 2, limit: 2, total: 5, totalPages: 3 });
+    });
+
+    it("rejects out-of-range pagination", async () => {
+      const admin = await createUser(db, { adminRole: "admin" });
+      const agent = await loginAs(app, admin);
+
+      await agent.get("/users?limit=1000").expect(400);
+      await agent.get("/users?page=0").expect(400);
+    });
+
+    it("filters by department, userType and adminRole", async () => {
+      const admin = await createUser(db, { adminRole: "admin", department: "EEE" });
+      await createUser(db, { department: "CSE", userType: "student" });
+      await createUser(db, { department: "CSE", userType: "faculty" });
+      await createUser(db, { department: "BBA", userType: "faculty" });
+      const agent = await loginAs(app, admin);
+
+      const res = await agent.get("/users?department=CSE&userType=faculty").expect(200);
+      assert.equal(res.body.pagination.total, 1);
+
+      const admins = await agent.get("/users?adminRole=admin").expect(200);
+      assert.deepEqual(admins.body.users.map((user) => user.email), [admin.email]);
+    });
+
+    it("searches name, email and id case-insensitively and literally", async () => {
+      const admin = await createUser(db, { adminRole: "admin" });
+      await createUser(db, { fullName: "Rahim Uddin", id: "CSE-042" });
+      await createUser(db, { fullName: "Karim (TA)" });
+      const agent = await loginAs(app, admin);
+
+      assert.equal((await agent.get("/users?search=rahim").expect(200)).body.pagination.total, 1);
+      assert.equal((await agent.get("/users?search=cse-04").expect(200)).body.pagination.total, 1);
+      assert.equal((await agent.get("/users?search=(ta)").expect(200)).body.pagination.total, 1);
+      assert.equal((await agent.get("/users?search=.*").expect(200)).body.pagination.total, 0);
+    });
+
+    it("never returns internal fields", async () => {
+      const admin = await createUser(db, { adminRole: "admin" });
+      const agent = await loginAs(app, admin);
+
+      const res = await agent.get("/users").expect(200);
+
+      assert.equal(res.body.users[0].uid, undefined);
+    });
+  });
+
+  describe("GET /users/:email", () => {
+    it("lets users read only their own account", async () => {
+      const user = await createUser(db);
+      const other = await createUser(db);
+      const agent = await loginAs(app, user);
+
+      await agent.get(`/users/${user.email}`).expect(200);
+      await agent.get(`/users/${other.email}`).expect(403);
+    });
+
+    it("lets admins read any account", async () => {
+      const admin = await createUser(db, { adminRole: "admin" });
+      const other = await createUser(db);
+
+      await (await loginAs(app, admin)).get(`/users/${other.email}`).expect(200);
+    });
+
+    it("matches the path email ignoring case, as login does", async () => {
+      const user = await createUser(db, { email: "Mixed.Case@lus.ac.bd" });
+      const other = await createUser(db);
+      const agent = await loginAs(app, user);
+
+      const res = await agent.get("/users/mixed.case@LUS.AC.BD").expect(200);
+      assert.equal(res.body.email, "Mixed.Case@lus.ac.bd");
+      await agent.get(`/users/${other.email.toUpperCase()}`).expect(403);
+
+      await agent
+        .patch("/users/MIXED.CASE@lus.ac.bd")
+        .send({ fullName: "Renamed", designation: "Student" })
+        .expect(200);
+      assert.equal((await db.collection("Users").findOne({ _id: user._id })).fullName, "Renamed");
+    });
+  });
+
+  describe("PATCH /users/:email", () => {
+    it("updates the caller's own profile", async () => {
+      const user = await createUser(db);
+      const agent = await loginAs(app, user);
+
+      await agent
+        .patch(`/users/${user.email}`)
+        .send({ fullName: "Renamed", designation: "Student", adminRole: "admin" })
+        .expect(200);
+
+      const stored = await db.collection("Users").findOne({ email: user.email });
+      assert.equal(stored.fullName, "Renamed");
+      assert.equal(stored.adminRole, "user");
+    });
+
+    it("validates the body", async () => {
+      const user = await createUser(db);
+      const agent = await loginAs(app, user);
+
+      const res = await agent
+        .patch(`/users/${user.email}`)
+        .send({ fullName: "", image: "not a url" })
+        .expect(400);
+
+      assert.deepEqual(
+        res.body.errors.map((error) => error.field).sort(),
+        ["designation", "fullName", "image"]
+      );
+    });
+
+    it("forbids editing someone else's profile without users:update", async () => {
+      const user = await createUser(db);
+      const other = await createUser(db);
+
+      await (await loginAs(app, user))
+        .patch(`/users/${other.email}`)
+        .send({ fullName: "Hacked", designation: "None" })
+        .expect(403);
+    });
+  });
+
+  describe("role assignment", () => {
+    it("lets a superadmin promote and demote", async () => {
+      const superadmin = await createUser(db, { adminRole: "superadmin" });
+      const user = await createUser(db);
+      const agent = await loginAs(app, superadmin);
+
+      await agent.patch(`/users/${user.email}/role`).expect(200);
+      assert.equal((await db.collection("Users").findOne({ email: user.email })).adminRole, "admin");
+
+      await agent.patch(`/users/${user.email}/role`).expect(409);
+
+      await agent.patch(`/users/${user.email}/demote`).expect(200);
+      assert.equal((await db.collection("Users").findOne({ email: user.email })).adminRole, "user");
+    });
+
+    it("refuses to let admins promote", async () => {
+      const admin = await createUser(db, { adminRole: "admin" });
+      const user = await createUser(db);
+
+      await (await loginAs(app, admin)).patch(`/users/${user.email}/role`).expect(403);
+    });
+
+    it("protects superadmins", async () => {
+      const superadmin = await createUser(db, { adminRole: "superadmin" });
+      const other = await createUser(db, { adminRole: "superadmin" });
+      const agent = await loginAs(app, superadmin);
+
+      await agent.patch(`/users/${other.email}/demote`).expect(403);
+      await agent.patch(`/users/${other.email}/role`).send({ role: "admin" }).expect(403);
+      await agent.delete(`/users/${other.email}`).expect(403);
+    });
+
+    it("rejects unknown roles", async () => {
+      const superadmin = await createUser(db, { adminRole: "superadmin" });
+      const user = await createUser(db);
+
+      await (await loginAs(app, superadmin))
+        .patch(`/users/${user.email}/role`)
+        .send({ role: "wizard" })
+        .expect(404);
+    });
+  });
+
+  describe("DELETE /users/:email", () => {
+    it("lets admins delete regular users", async () => {
+      const admin = await createUser(db, { adminRole: "admin" });
+      const user = await createUser(db);
+
+      await (await loginAs(app, admin)).delete(`/users/${user.email}`).expect(200);
+
+      assert.equal(await db.collection("Users").countDocuments({ email: user.email }), 0);
+    });
+
+    it("answers 404 for unknown users", async () => {
+      const admin = await createUser(db, { adminRole: "admin" });
+
+      const res = await (await loginAs(app, admin)).delete("/users/ghost@lus.ac.bd").expect(404);
+      assert.equal(res.body.code, "NOT_FOUND");
+    });
+  });
+});